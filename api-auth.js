@@ -0,0 +1,103 @@
+/**
+ * QualGen API Authentication
+ * Credential formats, hashing and what each kind of caller may do
+ *
+ *   qgk_<48 hex>  org API key: qgjob, CI and the dashboard, scoped to one org
+ *   qgd_<48 hex>  device credential: device agents, optionally bound to one device
+ *
+ * Only a SHA-256 hash of a credential is stored; its first 12 characters are
+ * kept to tell keys apart in listings. The admin key (QUALGEN_ADMIN_API_KEY)
+ * acts as every principal and is not tied to an org.
+ *
+ * Roles and what they grant within an org:
+ *
+ *   viewer     read      jobs, builds, artifacts, schedules, devices, events
+ *   submitter  + submit  jobs, builds, cancellations, schedules (CI tokens)
+ *   admin      + manage  members, API keys, webhooks and the audit log
+ *   agent      agent     register, heartbeat, poll and report (device credentials only)
+ *
+ * Anything shared by every org needs the 'platform' permission, which only the
+ * admin key has: org quotas, device commands, device credentials (an unbound
+ * one can act as any device) and the scheduling policy.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PREFIXES = { api_key: 'qgk_', device: 'qgd_' };
+const DISPLAY_PREFIX_LENGTH = 12;
+const ROLE_PERMISSIONS = {
+  viewer: ['read'],
+  submitter: ['read', 'submit'],
+  admin: ['read', 'submit', 'manage'],
+  agent: ['agent']
+};
+// Roles an org member or API key can hold; 'agent' belongs to device credentials
+const MEMBER_ROLES = ['viewer', 'submitter', 'admin'];
+// The least role holding each permission, for error messages
+const PERMISSION_ROLES = { read: 'viewer', submit: 'submitter', manage: 'admin', agent: 'agent' };
+
+class ApiAuth {
+  static generate(kind) {
+    const token = `${TOKEN_PREFIXES[kind]}${crypto.randomBytes(24).toString('hex')}`;
+    return { token, prefix: token.substring(0, DISPLAY_PREFIX_LENGTH), hash: ApiAuth.hash(token) };
+  }
+
+  static hash(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  static kindOf(token) {
+    return Object.keys(TOKEN_PREFIXES).find(kind => String(token).startsWith(TOKEN_PREFIXES[kind])) || null;
+  }
+
+  // 'Bearer <token>' (case-insensitive scheme); null when absent or malformed
+  static bearerToken(header) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(String(header || ''));
+    return match ? match[1] : null;
+  }
+
+  static matchesAdminKey(token, adminKey) {
+    if (!token || !adminKey) return false;
+    const expected = Buffer.from(ApiAuth.hash(adminKey));
+    return crypto.timingSafeEqual(expected, Buffer.from(ApiAuth.hash(token)));
+  }
+
+  static validateRole(role) {
+    if (!MEMBER_ROLES.includes(role)) {
+      throw new Error(`Invalid role: ${role}. Supported: ${MEMBER_ROLES.join(', ')}`);
+    }
+    return role;
+  }
+
+  // Whether a principal's role grants a permission; the admin key has them all
+  static can(principal, permission) {
+    if (principal.type === 'admin') return true;
+    return (ROLE_PERMISSIONS[principal.role] || []).includes(permission);
+  }
+
+  // What a caller lacking a permission needs, e.g. 'the submitter role'
+  static describePermission(permission) {
+    if (permission === 'agent') return 'a device credential';
+    return PERMISSION_ROLES[permission] ? `the ${PERMISSION_ROLES[permission]} role` : 'the admin API key';
+  }
+
+  // The org a principal's queries are limited to; null for the admin key
+  static orgScope(principal) {
+    return principal.type === 'admin' ? null : principal.org_id;
+  }
+
+  static canAccessOrg(principal, orgId) {
+    return principal.type === 'admin' || (principal.type === 'api_key' && principal.org_id === orgId);
+  }
+
+  static canActAsDevice(principal, deviceId) {
+    if (principal.type === 'admin') return true;
+    return principal.type === 'device' && (!principal.device_id || principal.device_id === deviceId);
+  }
+}
+
+ApiAuth.TOKEN_PREFIXES = TOKEN_PREFIXES;
+ApiAuth.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+ApiAuth.MEMBER_ROLES = MEMBER_ROLES;
+
+module.exports = ApiAuth;
@@ -0,0 +1,171 @@
+/**
+ * QualGen Build Matrix
+ * Expands a matrix submission into one cell per combination of platform,
+ * target, OS version, API level and device model, and reports the build's
+ * pass/fail grid
+ *
+ *   {
+ *     "platform": ["android", "ios"],
+ *     "target": ["emulator"],
+ *     "os_version": { "ios": ["16", "17"] },      // per-platform values
+ *     "api_level": { "android": [33, 34] },
+ *     "device_model": ["Pixel 7"],
+ *     "exclude": [{ "platform": "ios", "device_model": "Pixel 7" }],
+ *     "include": [{ "platform": "ios", "target": "device", "device_model": "iPhone 15" }]
+ *   }
+ */
+
+const AXES = ['platform', 'target', 'os_version', 'api_level', 'device_model'];
+const MAX_CELLS = parseInt(process.env.MAX_MATRIX_CELLS) || 100;
+
+class BuildMatrix {
+  // Every cell of the matrix; axes a platform has no values for are left out of its cells
+  static expand(matrix, defaults = {}) {
+    if (typeof matrix !== 'object' || matrix === null || Array.isArray(matrix)) {
+      throw new Error('matrix must be an object of axis -> values');
+    }
+
+    const unknown = Object.keys(matrix).filter(key => !AXES.includes(key) && key !== 'include' && key !== 'exclude');
+    if (unknown.length > 0) {
+      throw new Error(`Unknown matrix axis: ${unknown.join(', ')}. Supported: ${AXES.join(', ')}`);
+    }
+
+    const platforms = BuildMatrix.axisValues(matrix, 'platform');
+    if (platforms.length === 0) {
+      throw new Error('matrix.platform must list at least one platform');
+    }
+
+    let cells = [];
+    for (const platform of platforms) {
+      let partial = [{ platform }];
+      for (const axis of AXES.slice(1)) {
+        const values = BuildMatrix.axisValues(matrix, axis, platform);
+        if (values.length === 0) {
+          if (axis === 'target' && defaults.target) {
+            partial = partial.map(cell => ({ ...cell, target: defaults.target }));
+          }
+          continue;
+        }
+        partial = partial.flatMap(cell => values.map(value => ({ ...cell, [axis]: value })));
+      }
+      cells.push(...partial);
+    }
+
+    const excludes = BuildMatrix.toList(matrix.exclude);
+    cells = cells.filter(cell => !excludes.some(exclude => BuildMatrix.cellMatches(cell, exclude)));
+
+    for (const include of BuildMatrix.toList(matrix.include)) {
+      const cell = { target: defaults.target, ...include };
+      if (!cell.platform || !cell.target) {
+        throw new Error('matrix.include entries need a platform and a target');
+      }
+      if (!cells.some(existing => BuildMatrix.cellKey(existing) === BuildMatrix.cellKey(cell))) {
+        cells.push(cell);
+      }
+    }
+
+    if (cells.length === 0) {
+      throw new Error('matrix expands to no jobs');
+    }
+    if (cells.length > MAX_CELLS) {
+      throw new Error(`matrix expands to ${cells.length} jobs; the limit is ${MAX_CELLS}`);
+    }
+    if (cells.some(cell => !cell.target)) {
+      throw new Error('matrix needs a target axis or a default target');
+    }
+
+    return cells;
+  }
+
+  // An axis is a list, or an object of platform -> list
+  static axisValues(matrix, axis, platform = null) {
+    const values = matrix[axis];
+    if (values && typeof values === 'object' && !Array.isArray(values)) {
+      return platform ? BuildMatrix.toList(values[platform]) : [];
+    }
+    return BuildMatrix.toList(values);
+  }
+
+  static toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  static cellMatches(cell, pattern) {
+    return Object.entries(pattern).every(([axis, value]) => String(cell[axis]) === String(value));
+  }
+
+  static cellKey(cell) {
+    return AXES.map(axis => (cell[axis] === undefined ? '' : String(cell[axis]))).join('|');
+  }
+
+  static cellLabel(cell) {
+    return [
+      cell.platform,
+      cell.os_version !== undefined ? `${cell.platform === 'ios' ? 'iOS' : 'OS'} ${cell.os_version}` : null,
+      cell.api_level !== undefined ? `API ${cell.api_level}` : null,
+      cell.device_model,
+      cell.target
+    ].filter(Boolean).join(' / ');
+  }
+
+  // Device requirements for a cell on top of the submission's own
+  static requirementsFor(cell, base = {}) {
+    const requirements = { ...base, platform: cell.platform };
+    if (cell.os_version !== undefined) requirements.os_version = String(cell.os_version);
+    if (cell.api_level !== undefined) requirements.api_level = parseInt(cell.api_level);
+    if (cell.device_model !== undefined) requirements.device_model = cell.device_model;
+    return requirements;
+  }
+
+  static resultOf(status) {
+    if (status === 'completed') return 'pass';
+    if (status === 'failed' || status === 'timed_out') return 'fail';
+    if (status === 'cancelled') return 'cancelled';
+    return 'pending';
+  }
+
+  /**
+   * Pass/fail grid for a build's jobs ({ job_id, status, metadata.matrix_cell,
+   * test_results }), with a summary and the build's overall status
+   */
+  static grid(jobs) {
+    const cells = jobs.map(job => {
+      const cell = job.metadata?.matrix_cell || {};
+      const results = job.test_results || {};
+      return {
+        ...cell,
+        label: BuildMatrix.cellLabel(cell),
+        job_id: job.job_id,
+        status: job.status,
+        result: BuildMatrix.resultOf(job.status),
+        tests: { total: results.total || 0, passed: results.passed || 0, failed: results.failed || 0 }
+      };
+    });
+
+    const summary = { total: cells.length, pass: 0, fail: 0, cancelled: 0, pending: 0 };
+    cells.forEach(cell => summary[cell.result]++);
+
+    let status;
+    if (summary.pending > 0) {
+      status = jobs.some(job => !['queued', 'retrying', 'blocked'].includes(job.status)) ? 'running' : 'queued';
+    } else if (summary.pass === summary.total) {
+      status = 'completed';
+    } else if (summary.fail === 0) {
+      status = 'cancelled';
+    } else {
+      status = 'failed';
+    }
+
+    return {
+      status,
+      summary,
+      axes: AXES.filter(axis => cells.some(cell => cell[axis] !== undefined)),
+      cells
+    };
+  }
+}
+
+BuildMatrix.AXES = AXES;
+
+module.exports = BuildMatrix;
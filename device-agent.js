@@ -13,14 +13,19 @@ const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const WebSocket = require('ws');
+const Logger = require('./logger');
+const Tracing = require('./tracing');
 
 class DeviceAgent {
     constructor(config = {}) {
         this.deviceId = config.deviceId || this.generateDeviceId();
+        this.log = new Logger('device-agent', { fields: { device_id: this.deviceId } });
+        this.tracer = new Tracing.Tracer('device-agent');
         this.deviceType = config.deviceType || this.detectDeviceType();
         this.platform = config.platform || this.detectPlatform();
         this.orchestratorUrl = config.orchestratorUrl || 'localhost:50051';
         this.wsUrl = config.wsUrl || 'ws://localhost:8080/ws';
+        this.deviceToken = config.deviceToken; // Device credential (qgd_...) issued by an admin
         this.workDir = config.workDir || path.join(os.tmpdir(), 'qualgen-agent');
         
         this.capabilities = {
@@ -31,16 +36,30 @@ class DeviceAgent {
             available_storage: '10GB',
             supports_video_recording: true,
             supports_app_installation: true,
-            max_parallel_jobs: 1
+            max_parallel_jobs: 1,
+            // Matched against job device_requirements (labels, location, api_level, ...)
+            labels: config.labels || [],
+            location: config.location || 'local'
         };
+        if (config.apiLevel) {
+            this.capabilities.api_level = parseInt(config.apiLevel);
+        }
+        if (config.screenDensity) {
+            this.capabilities.screen_density = parseInt(config.screenDensity);
+        }
+        if (config.deviceModel) {
+            this.capabilities.device_model = config.deviceModel;
+        }
         
         this.currentJobs = new Map();
+        this.draining = false; // Set by the 'drain' command: finish current jobs, accept no new ones
+        this.installedGroup = null; // { group_id, app_version_id } whose app is already on the device
         this.client = null;
         this.ws = null;
         this.heartbeatInterval = null;
         
-        console.log(`🤖 Device Agent initialized: ${this.deviceId}`);
-        console.log(`📱 Platform: ${this.platform}, Type: ${this.deviceType}`);
+        this.log.info(`Device Agent initialized: ${this.deviceId}`);
+        this.log.info(`Platform: ${this.platform}, Type: ${this.deviceType}`);
     }
     
     generateDeviceId() {
@@ -89,8 +108,11 @@ class DeviceAgent {
             // Connect to orchestrator
             await this.connectToOrchestrator();
             
-            // Connect to WebSocket for real-time updates
-            await this.connectWebSocket();
+            // Connect to WebSocket for real-time updates (optional - jobs are
+            // delivered through gRPC polling when no WebSocket is available)
+            await this.connectWebSocket().catch(error => {
+                this.log.warn(`WebSocket unavailable, continuing with gRPC polling: ${error.message}`);
+            });
             
             // Register device
             await this.registerDevice();
@@ -98,10 +120,10 @@ class DeviceAgent {
             // Start heartbeat
             this.startHeartbeat();
             
-            console.log('✅ Device agent initialized successfully');
+            this.log.info('Device agent initialized successfully');
             
         } catch (error) {
-            console.error('❌ Failed to initialize device agent:', error.message);
+            this.log.error('Failed to initialize device agent', error);
             process.exit(1);
         }
     }
@@ -123,7 +145,21 @@ class DeviceAgent {
         
         this.client = new JobService(this.orchestratorUrl, grpc.credentials.createInsecure());
         
-        console.log(`🔗 Connected to orchestrator: ${this.orchestratorUrl}`);
+        this.log.info(`Connected to orchestrator: ${this.orchestratorUrl}`);
+    }
+    
+    // Every call carries the device credential; the orchestrator rejects agents without one
+    callMetadata() {
+        const metadata = new grpc.Metadata();
+        if (this.deviceToken) {
+            metadata.set('authorization', `Bearer ${this.deviceToken}`);
+        }
+        // Calls made while working on a job continue that job's trace
+        const traceparent = Tracing.formatTraceparent(Tracing.current());
+        if (traceparent) {
+            metadata.set('traceparent', traceparent);
+        }
+        return metadata;
     }
     
     async connectWebSocket() {
@@ -131,7 +167,7 @@ class DeviceAgent {
             this.ws = new WebSocket(this.wsUrl);
             
             this.ws.on('open', () => {
-                console.log('🔗 WebSocket connected');
+                this.log.info('WebSocket connected');
                 resolve();
             });
             
@@ -140,18 +176,18 @@ class DeviceAgent {
                     const message = JSON.parse(data);
                     this.handleWebSocketMessage(message);
                 } catch (error) {
-                    console.error('❌ Invalid WebSocket message:', error.message);
+                    this.log.error('Invalid WebSocket message', error);
                 }
             });
             
             this.ws.on('error', (error) => {
-                console.error('❌ WebSocket error:', error.message);
+                this.log.error('WebSocket error', error);
                 reject(error);
             });
             
             this.ws.on('close', () => {
-                console.log('🔌 WebSocket disconnected, attempting to reconnect...');
-                setTimeout(() => this.connectWebSocket(), 5000);
+                this.log.info('WebSocket disconnected, attempting to reconnect...');
+                setTimeout(() => this.connectWebSocket().catch(() => {}), 5000);
             });
         });
     }
@@ -166,11 +202,11 @@ class DeviceAgent {
                 status: 'available'
             };
             
-            this.client.RegisterDevice(request, (error, response) => {
+            this.client.RegisterDevice(request, this.callMetadata(), (error, response) => {
                 if (error) {
                     reject(error);
                 } else {
-                    console.log('✅ Device registered successfully');
+                    this.log.info('Device registered successfully');
                     resolve(response);
                 }
             });
@@ -180,9 +216,10 @@ class DeviceAgent {
     startHeartbeat() {
         this.heartbeatInterval = setInterval(async () => {
             try {
-                await this.sendHeartbeat();
+                const response = await this.sendHeartbeat();
+                await this.processCommands(response.commands || []);
             } catch (error) {
-                console.error('❌ Heartbeat failed:', error.message);
+                this.log.error('Heartbeat failed', error);
             }
         }, 30000); // Every 30 seconds
     }
@@ -191,7 +228,7 @@ class DeviceAgent {
         return new Promise((resolve, reject) => {
             const request = {
                 device_id: this.deviceId,
-                status: this.currentJobs.size > 0 ? 'busy' : 'available',
+                status: this.currentJobs.size > 0 ? 'busy' : (this.draining ? 'maintenance' : 'available'),
                 active_jobs: this.currentJobs.size,
                 system_info: JSON.stringify({
                     cpu_usage: this.getCPUUsage(),
@@ -200,7 +237,7 @@ class DeviceAgent {
                 })
             };
             
-            this.client.Heartbeat(request, (error, response) => {
+            this.client.Heartbeat(request, this.callMetadata(), (error, response) => {
                 if (error) {
                     reject(error);
                 } else {
@@ -217,7 +254,7 @@ class DeviceAgent {
                 max_jobs: 1
             };
             
-            this.client.PollForJobs(request, (error, response) => {
+            this.client.PollForJobs(request, this.callMetadata(), (error, response) => {
                 if (error) {
                     reject(error);
                 } else {
@@ -227,9 +264,22 @@ class DeviceAgent {
         });
     }
     
+    // Run the job inside its trace (the traceparent it was assigned with) as a
+    // job.execute span, with a child span for each phase
     async executeJob(job) {
+        const context = { ...Tracing.parseTraceparent(job.traceparent), job_id: job.job_id };
+        return Tracing.run(context, () => this.tracer.inSpan('job.execute', {
+            attributes: { 'qualgen.job_id': job.job_id, 'qualgen.device_id': this.deviceId, 'qualgen.test_path': job.test_path }
+        }, span => this.runJob(job, span)));
+    }
+    
+    async runJob(job, span) {
         const jobId = job.job_id;
-        console.log(`🚀 Starting job execution: ${jobId}`);
+        this.log.info(`Starting job execution: ${jobId}`);
+        
+        // Tracks how far execution got, so failures outside the test run
+        // itself can be reported as infrastructure problems (and retried)
+        let phase = 'setup';
         
         try {
             // Update job status to running
@@ -239,31 +289,53 @@ class DeviceAgent {
             const jobWorkDir = path.join(this.workDir, jobId);
             await fs.mkdir(jobWorkDir, { recursive: true });
             
-            // Download app if needed
+            // Download app if needed (once per job group)
             let appPath = null;
-            if (job.app_url) {
-                appPath = await this.downloadApp(job.app_url, jobWorkDir);
-                console.log(`📱 Downloaded app: ${appPath}`);
+            if (job.app_url && this.hasGroupApp(job)) {
+                this.log.info(`Reusing app installed for group ${job.group_id}`);
+            } else if (job.app_url) {
+                phase = 'download';
+                const appDir = path.join(this.workDir, job.group_id || jobId);
+                await fs.mkdir(appDir, { recursive: true });
+                appPath = await this.tracer.inSpan('job.download', { attributes: { 'qualgen.app_url': job.app_url } },
+                    () => this.downloadApp(job.app_url, appDir));
+                this.log.info(`Downloaded app: ${appPath}`);
             }
             
             // Install app if needed
             if (appPath) {
-                await this.installApp(appPath);
-                console.log(`📱 Installed app successfully`);
+                phase = 'install';
+                this.installedGroup = null;
+                await this.tracer.inSpan('job.install', {}, () => this.installApp(appPath));
+                this.installedGroup = job.group_id ? { group_id: job.group_id, app_version_id: job.app_version_id } : null;
+                this.log.info(`Installed app successfully`);
             }
             
             // Start video recording
+            phase = 'recording';
             const videoPath = path.join(jobWorkDir, 'execution.mp4');
             const videoRecording = await this.startVideoRecording(videoPath);
             
             // Execute the actual test
-            const testResults = await this.runAppWrightTest(job, jobWorkDir);
+            phase = 'test';
+            const testResults = await this.tracer.inSpan('job.run', {}, async runSpan => {
+                const results = await this.runAppWrightTest(job, jobWorkDir);
+                runSpan.setAttributes({ 'qualgen.tests.passed': results.passed, 'qualgen.tests.failed': results.failed });
+                return results;
+            });
             
-            // Stop video recording
-            await this.stopVideoRecording(videoRecording);
+            // Stop video recording and upload artifacts
+            phase = 'upload';
+            const artifacts = await this.tracer.inSpan('job.upload', {}, async () => {
+                await this.stopVideoRecording(videoRecording);
+                return this.uploadArtifacts(jobWorkDir, job);
+            });
             
-            // Upload artifacts
-            const artifacts = await this.uploadArtifacts(jobWorkDir, job);
+            // The orchestrator may have cancelled or timed out the job meanwhile
+            if (!this.currentJobs.has(jobId)) {
+                this.log.info(`Job ${jobId} was aborted during execution, discarding results`);
+                return;
+            }
             
             // Update job status to completed
             await this.updateJobStatus(jobId, 'completed', 'Test execution completed', {
@@ -272,25 +344,42 @@ class DeviceAgent {
                 video_url: artifacts.video_url
             });
             
-            console.log(`✅ Job completed successfully: ${jobId}`);
+            this.log.info(`Job completed successfully: ${jobId}`);
             
         } catch (error) {
-            console.error(`❌ Job failed: ${jobId}`, error.message);
-            
-            // Update job status to failed
-            await this.updateJobStatus(jobId, 'failed', error.message);
+            this.log.error(`Job failed: ${jobId}`, error);
+            span.setAttributes({ 'qualgen.phase': phase }).recordError(error);
+            
+            // Update job status to failed (unless it was aborted)
+            if (this.currentJobs.has(jobId)) {
+                await this.updateJobStatus(jobId, 'failed', error.message, {
+                    failure_type: phase === 'test' ? 'test' : 'infrastructure',
+                    phase: phase
+                });
+            }
         } finally {
             // Cleanup
             this.currentJobs.delete(jobId);
+            if (job.group_id && job.group_remaining > 0) {
+                this.log.info(`${job.group_remaining} more job(s) queued for group ${job.group_id}`);
+            } else if (this.hasGroupApp(job)) {
+                this.installedGroup = null;
+            }
         }
     }
     
+    hasGroupApp(job) {
+        return Boolean(job.group_id && this.installedGroup &&
+            this.installedGroup.group_id === job.group_id &&
+            this.installedGroup.app_version_id === job.app_version_id);
+    }
+    
     async downloadApp(appUrl, workDir) {
         // Mock implementation - in reality would download from S3/GCS
         const appName = path.basename(appUrl) || 'app.apk';
         const appPath = path.join(workDir, appName);
         
-        console.log(`📥 Downloading app from: ${appUrl}`);
+        this.log.info(`Downloading app from: ${appUrl}`);
         
         // Simulate download
         await fs.writeFile(appPath, `Mock app binary for ${appUrl}`);
@@ -336,7 +425,7 @@ class DeviceAgent {
     }
     
     async startVideoRecording(outputPath) {
-        console.log(`🎥 Starting video recording: ${outputPath}`);
+        this.log.info(`Starting video recording: ${outputPath}`);
         
         if (this.platform === 'android') {
             return this.startAndroidRecording(outputPath);
@@ -392,7 +481,7 @@ class DeviceAgent {
             return recording.outputPath;
         }
         
-        console.log(`🎥 Stopping video recording`);
+        this.log.info(`Stopping video recording`);
         
         if (recording.platform === 'android') {
             // Stop recording and pull file
@@ -421,7 +510,7 @@ class DeviceAgent {
     }
     
     async runAppWrightTest(job, workDir) {
-        console.log(`🧪 Running AppWright test: ${job.test_path}`);
+        this.log.info(`Running AppWright test: ${job.test_path}`);
         
         // Mock test execution - in reality would run actual AppWright tests
         const testResults = {
@@ -475,13 +564,13 @@ class DeviceAgent {
         const resultsPath = path.join(workDir, 'test-results.json');
         await fs.writeFile(resultsPath, JSON.stringify(testResults, null, 2));
         
-        console.log(`✅ Test execution completed: ${testResults.passed}/${testResults.total} passed`);
+        this.log.info(`Test execution completed: ${testResults.passed}/${testResults.total} passed`);
         
         return testResults;
     }
     
     async uploadArtifacts(workDir, job) {
-        console.log(`📤 Uploading artifacts for job: ${job.job_id}`);
+        this.log.info(`Uploading artifacts for job: ${job.job_id}`);
         
         // Mock artifact upload - in reality would upload to S3/GCS
         const artifacts = {
@@ -503,10 +592,11 @@ class DeviceAgent {
                 job_id: jobId,
                 status: status,
                 message: message,
-                extra_data: JSON.stringify(extra)
+                extra_data: JSON.stringify(extra),
+                device_id: this.deviceId
             };
             
-            this.client.UpdateJobStatus(request, (error, response) => {
+            this.client.UpdateJobStatus(request, this.callMetadata(), (error, response) => {
                 if (error) {
                     reject(error);
                 } else {
@@ -519,26 +609,26 @@ class DeviceAgent {
     handleWebSocketMessage(message) {
         switch (message.type) {
             case 'job_assigned':
-                console.log(`📨 New job assigned: ${message.job_id}`);
-                this.executeJob(message.job).catch(console.error);
+                this.log.info(`New job assigned: ${message.job_id}`);
+                this.executeJob(message.job).catch(error => this.log.error('Job execution error', error));
                 break;
                 
             case 'job_cancelled':
-                console.log(`❌ Job cancelled: ${message.job_id}`);
+                this.log.info(`Job cancelled: ${message.job_id}`);
                 this.cancelJob(message.job_id);
                 break;
                 
             case 'device_command':
-                console.log(`📝 Device command: ${message.command}`);
-                this.handleDeviceCommand(message);
+                this.log.info(`Device command: ${message.command}`);
+                this.handleDeviceCommand(message).catch(error => this.log.error('Command failed', error));
                 break;
                 
             default:
-                console.log(`📨 Unknown message type: ${message.type}`);
+                this.log.info(`Unknown message type: ${message.type}`);
         }
     }
     
-    async cancelJob(jobId) {
+    async cancelJob(jobId, reason = 'Job cancelled by user') {
         if (this.currentJobs.has(jobId)) {
             const job = this.currentJobs.get(jobId);
             // Kill any running processes
@@ -546,30 +636,159 @@ class DeviceAgent {
                 job.process.kill();
             }
             this.currentJobs.delete(jobId);
-            await this.updateJobStatus(jobId, 'cancelled', 'Job cancelled by user');
+            await this.updateJobStatus(jobId, 'cancelled', reason);
+        }
+    }
+    
+    async processCommands(commands) {
+        for (const raw of commands) {
+            let command;
+            try {
+                command = JSON.parse(raw);
+            } catch (error) {
+                command = { command: raw };
+            }
+            
+            this.log.info(`Device command: ${command.command} (${command.command_id || 'untracked'})`);
+            
+            try {
+                await this.reportCommandResult(command.command_id, 'acknowledged');
+                const result = await this.handleDeviceCommand(command);
+                await this.reportCommandResult(command.command_id, 'succeeded', result);
+            } catch (error) {
+                this.log.error(`Command failed: ${command.command}`, error);
+                await this.reportCommandResult(command.command_id, 'failed', { error: error.message })
+                    .catch(reportError => this.log.error('Failed to report command result', reportError));
+            }
         }
     }
     
+    async reportCommandResult(commandId, status, result = {}) {
+        if (!commandId) {
+            return null;
+        }
+        
+        return new Promise((resolve, reject) => {
+            const request = {
+                device_id: this.deviceId,
+                command_id: commandId,
+                status: status,
+                result: JSON.stringify(result || {})
+            };
+            
+            this.client.ReportCommandResult(request, this.callMetadata(), (error, response) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+    
     async handleDeviceCommand(message) {
+        const args = message.args || {};
+        
         switch (message.command) {
             case 'restart':
-                console.log('🔄 Restarting device agent...');
-                process.exit(0);
-                break;
+                this.log.info('Restarting device agent...');
+                // Give the acknowledgement a moment to reach the orchestrator
+                setTimeout(() => process.exit(0), 1000);
+                return { restarting: true };
+                
+            case 'drain':
+                this.log.info('Draining: no new jobs will be accepted');
+                this.draining = true;
+                return { draining: true, active_jobs: this.currentJobs.size };
                 
-            case 'status':
+            case 'resume':
+                this.log.info('Resuming job polling');
+                this.draining = false;
+                return { draining: false };
+                
+            case 'cancel-job':
+                if (!this.currentJobs.has(args.job_id)) {
+                    throw new Error(`Job not running on this device: ${args.job_id}`);
+                }
+                await this.cancelJob(args.job_id, args.reason === 'timeout'
+                    ? 'Job aborted: timeout exceeded'
+                    : 'Job cancelled by operator');
+                return { cancelled_job_id: args.job_id };
+                
+            case 'clear-app-data':
+                return this.clearAppData(args.app_package);
+                
+            case 'collect-diagnostics':
+                return this.collectDiagnostics();
+                
+            case 'status': {
                 const status = {
                     device_id: this.deviceId,
                     active_jobs: this.currentJobs.size,
+                    draining: this.draining,
                     capabilities: this.capabilities,
                     uptime: process.uptime()
                 };
-                this.ws.send(JSON.stringify({
-                    type: 'device_status',
-                    status: status
-                }));
-                break;
+                if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                    this.ws.send(JSON.stringify({
+                        type: 'device_status',
+                        status: status
+                    }));
+                }
+                return status;
+            }
+                
+            default:
+                throw new Error(`Unknown command: ${message.command}`);
+        }
+    }
+    
+    async clearAppData(appPackage) {
+        if (!appPackage) {
+            throw new Error('clear-app-data requires args.app_package');
+        }
+        
+        let cmd;
+        if (this.platform === 'android') {
+            cmd = `adb shell pm clear "${appPackage}"`;
+        } else if (this.platform === 'ios') {
+            // Simulators have no "clear data"; uninstalling removes the app container
+            cmd = `xcrun simctl uninstall booted "${appPackage}"`;
+        } else {
+            throw new Error(`Unsupported platform: ${this.platform}`);
         }
+        
+        return new Promise((resolve, reject) => {
+            exec(cmd, (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error(`Clearing app data failed: ${stderr || error.message}`));
+                } else {
+                    resolve({ app_package: appPackage, output: stdout.trim() });
+                }
+            });
+        });
+    }
+    
+    async collectDiagnostics() {
+        return {
+            device_id: this.deviceId,
+            platform: this.platform,
+            device_type: this.deviceType,
+            os_version: this.getOSVersion(),
+            hostname: os.hostname(),
+            node_version: process.version,
+            agent_uptime: process.uptime(),
+            system_uptime: os.uptime(),
+            load_average: os.loadavg(),
+            free_memory: os.freemem(),
+            total_memory: os.totalmem(),
+            cpu_usage: this.getCPUUsage(),
+            memory_usage: this.getMemoryUsage(),
+            disk_usage: this.getDiskUsage(),
+            active_jobs: Array.from(this.currentJobs.keys()),
+            draining: this.draining,
+            work_dir: this.workDir
+        };
     }
     
     getCPUUsage() {
@@ -588,14 +807,17 @@ class DeviceAgent {
     }
     
     async start() {
-        console.log('🚀 Starting QualGen Device Agent...');
+        if (!this.deviceToken) {
+            throw new Error('DEVICE_TOKEN is not set; the orchestrator rejects agents without a device credential');
+        }
+        this.log.info('Starting QualGen Device Agent...');
         
         await this.initialize();
         
         // Main polling loop
         const pollLoop = async () => {
             try {
-                if (this.currentJobs.size < this.capabilities.max_parallel_jobs) {
+                if (!this.draining && this.currentJobs.size < this.capabilities.max_parallel_jobs) {
                     const jobs = await this.pollForJobs();
                     
                     for (const job of jobs) {
@@ -604,11 +826,11 @@ class DeviceAgent {
                         }
                         
                         this.currentJobs.set(job.job_id, job);
-                        this.executeJob(job).catch(console.error);
+                        this.executeJob(job).catch(error => this.log.error('Job execution error', error));
                     }
                 }
             } catch (error) {
-                console.error('❌ Polling error:', error.message);
+                this.log.error('Polling error', error);
             }
             
             // Poll every 5 seconds
@@ -618,8 +840,8 @@ class DeviceAgent {
         pollLoop();
         
         // Handle graceful shutdown
-        process.on('SIGINT', () => {
-            console.log('\n🛑 Shutting down device agent...');
+        process.on('SIGINT', async () => {
+            this.log.info('Shutting down device agent...');
             
             if (this.heartbeatInterval) {
                 clearInterval(this.heartbeatInterval);
@@ -629,12 +851,13 @@ class DeviceAgent {
                 this.ws.close();
             }
             
+            await this.tracer.flush();
             process.exit(0);
         });
         
-        console.log('✅ Device agent started successfully');
-        console.log(`📱 Device ID: ${this.deviceId}`);
-        console.log(`🔄 Polling for jobs every 5 seconds...`);
+        this.log.info('Device agent started successfully');
+        this.log.info(`Device ID: ${this.deviceId}`);
+        this.log.info(`Polling for jobs every 5 seconds...`);
     }
 }
 
@@ -646,12 +869,18 @@ if (require.main === module) {
         platform: process.env.PLATFORM,
         orchestratorUrl: process.env.ORCHESTRATOR_URL,
         wsUrl: process.env.WS_URL,
-        workDir: process.env.WORK_DIR
+        workDir: process.env.WORK_DIR,
+        labels: process.env.DEVICE_LABELS ? process.env.DEVICE_LABELS.split(',').map(label => label.trim()) : [],
+        location: process.env.DEVICE_LOCATION,
+        apiLevel: process.env.ANDROID_API_LEVEL,
+        screenDensity: process.env.SCREEN_DENSITY,
+        deviceModel: process.env.DEVICE_MODEL,
+        deviceToken: process.env.DEVICE_TOKEN
     };
     
     const agent = new DeviceAgent(config);
     agent.start().catch(error => {
-        console.error('❌ Failed to start device agent:', error);
+        agent.log.error('Failed to start device agent', error);
         process.exit(1);
     });
 }
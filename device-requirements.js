@@ -0,0 +1,274 @@
+/**
+ * QualGen Device Requirements
+ * The requirement language for a job's device_requirements, matched against
+ * the capabilities each device registers with
+ *
+ *   platform           'android' | 'ios'
+ *   device_type        a type or list of types ('emulator', 'device', ...)
+ *   os_version         version range, e.g. '>=13 <15', '14', '14.x'
+ *   api_level          exact Android API level (capabilities.api_level)
+ *   min_api_level      minimum Android API level
+ *   device_model       model name, e.g. 'Pixel 7' (capabilities.device_model)
+ *   screen_resolution  exact resolution, e.g. '1080x2400' (either orientation)
+ *   min_resolution     minimum resolution in both dimensions
+ *   min_density        minimum screen density in dpi (capabilities.screen_density)
+ *   min_storage        minimum free storage, e.g. '5GB' (capabilities.available_storage)
+ *   labels             labels the device must carry (capabilities.labels)
+ *   location           a location or list of acceptable locations
+ *   capabilities       must-have features, e.g. ['video_recording'] (capabilities.supports_<name>)
+ */
+
+const REQUIREMENT_KEYS = [
+  'platform', 'device_type', 'os_version', 'api_level', 'min_api_level', 'device_model', 'screen_resolution',
+  'min_resolution', 'min_density', 'min_storage', 'labels', 'location', 'capabilities'
+];
+const STORAGE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+const COMPARATOR_PATTERN = /^(>=|<=|>|<|=)?v?(\d+(?:\.\d+)*)(\.[x*])?$/i;
+
+class DeviceRequirements {
+  constructor(requirements = {}) {
+    this.requirements = requirements || {};
+  }
+
+  // Check a submitted device_requirements object; throws on anything the
+  // matcher could not evaluate, so typos do not silently match every device
+  static validate(requirements = {}) {
+    if (typeof requirements !== 'object' || requirements === null || Array.isArray(requirements)) {
+      throw new Error('device_requirements must be an object');
+    }
+
+    // Unset fields (e.g. CLI flags left empty) place no constraint
+    requirements = Object.fromEntries(Object.entries(requirements)
+      .filter(([, value]) => value !== undefined && value !== null && value !== ''));
+
+    const unknown = Object.keys(requirements).filter(key => !REQUIREMENT_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown device requirement(s): ${unknown.join(', ')}. Supported: ${REQUIREMENT_KEYS.join(', ')}`);
+    }
+
+    const { os_version, screen_resolution, min_resolution, min_density, min_storage } = requirements;
+    if (os_version !== undefined) {
+      DeviceRequirements.parseRange(os_version);
+    }
+    for (const key of ['api_level', 'min_api_level']) {
+      const value = requirements[key];
+      if (value !== undefined && !(Number.isInteger(Number(value)) && Number(value) > 0)) {
+        throw new Error(`${key} must be a positive integer`);
+      }
+    }
+    for (const [key, value] of [['screen_resolution', screen_resolution], ['min_resolution', min_resolution]]) {
+      if (value !== undefined && !DeviceRequirements.parseResolution(value)) {
+        throw new Error(`${key} must look like 1080x1920`);
+      }
+    }
+    if (min_density !== undefined && DeviceRequirements.parseNumber(min_density) === null) {
+      throw new Error('min_density must be a number of dpi');
+    }
+    if (min_storage !== undefined && DeviceRequirements.parseStorage(min_storage) === null) {
+      throw new Error('min_storage must be a size such as 5GB');
+    }
+    for (const key of ['labels', 'capabilities']) {
+      const value = requirements[key];
+      if (value !== undefined && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+        throw new Error(`${key} must be a list of strings`);
+      }
+    }
+
+    return requirements;
+  }
+
+  // Why this device cannot run the job: a list of { requirement, message },
+  // empty when it matches
+  mismatches(device) {
+    const req = this.requirements;
+    const caps = DeviceRequirements.capabilitiesOf(device);
+    const reasons = [];
+    const fail = (requirement, message) => reasons.push({ requirement, message });
+
+    if (req.platform && String(device.platform).toLowerCase() !== String(req.platform).toLowerCase()) {
+      fail('platform', `platform is ${device.platform}, requires ${req.platform}`);
+    }
+
+    const types = DeviceRequirements.toList(req.device_type);
+    if (types.length > 0 && !types.includes(device.device_type)) {
+      fail('device_type', `device type is ${device.device_type}, requires ${types.join(' or ')}`);
+    }
+
+    if (req.os_version) {
+      const version = DeviceRequirements.extractVersion(caps.os_version);
+      if (!version) {
+        fail('os_version', 'device does not report an OS version');
+      } else if (!DeviceRequirements.satisfies(version, req.os_version)) {
+        fail('os_version', `OS version ${version} does not satisfy ${req.os_version}`);
+      }
+    }
+
+    if (req.api_level || req.min_api_level) {
+      const apiLevel = DeviceRequirements.parseNumber(caps.api_level);
+      if (apiLevel === null) {
+        fail(req.api_level ? 'api_level' : 'min_api_level', 'device does not report an API level');
+      } else {
+        if (req.api_level && apiLevel !== Number(req.api_level)) {
+          fail('api_level', `API level is ${apiLevel}, requires ${req.api_level}`);
+        }
+        if (req.min_api_level && apiLevel < Number(req.min_api_level)) {
+          fail('min_api_level', `API level ${apiLevel} is below ${req.min_api_level}`);
+        }
+      }
+    }
+
+    if (req.device_model) {
+      const model = caps.device_model || caps.model;
+      if (!model || String(model).toLowerCase() !== String(req.device_model).toLowerCase()) {
+        fail('device_model', `model is ${model || 'unknown'}, requires ${req.device_model}`);
+      }
+    }
+
+    if (req.screen_resolution || req.min_resolution) {
+      const resolution = DeviceRequirements.parseResolution(caps.screen_resolution);
+      const exact = req.screen_resolution && DeviceRequirements.parseResolution(req.screen_resolution);
+      const minimum = req.min_resolution && DeviceRequirements.parseResolution(req.min_resolution);
+
+      if (!resolution) {
+        fail(exact ? 'screen_resolution' : 'min_resolution', 'device does not report a screen resolution');
+      } else {
+        if (exact && (resolution[0] !== exact[0] || resolution[1] !== exact[1])) {
+          fail('screen_resolution', `resolution is ${caps.screen_resolution}, requires ${req.screen_resolution}`);
+        }
+        if (minimum && (resolution[0] < minimum[0] || resolution[1] < minimum[1])) {
+          fail('min_resolution', `resolution ${caps.screen_resolution} is below ${req.min_resolution}`);
+        }
+      }
+    }
+
+    if (req.min_density) {
+      const density = DeviceRequirements.parseNumber(caps.screen_density);
+      if (density === null) {
+        fail('min_density', 'device does not report a screen density');
+      } else if (density < DeviceRequirements.parseNumber(req.min_density)) {
+        fail('min_density', `density ${density}dpi is below ${req.min_density}`);
+      }
+    }
+
+    if (req.min_storage) {
+      const storage = DeviceRequirements.parseStorage(caps.available_storage);
+      if (storage === null) {
+        fail('min_storage', 'device does not report available storage');
+      } else if (storage < DeviceRequirements.parseStorage(req.min_storage)) {
+        fail('min_storage', `available storage ${caps.available_storage} is below ${req.min_storage}`);
+      }
+    }
+
+    const labels = DeviceRequirements.toList(caps.labels);
+    const missingLabels = DeviceRequirements.toList(req.labels).filter(label => !labels.includes(label));
+    if (missingLabels.length > 0) {
+      fail('labels', `missing label(s): ${missingLabels.join(', ')}`);
+    }
+
+    const locations = DeviceRequirements.toList(req.location);
+    if (locations.length > 0 && !locations.includes(device.location)) {
+      fail('location', `location is ${device.location || 'unknown'}, requires ${locations.join(' or ')}`);
+    }
+
+    const missingCapabilities = DeviceRequirements.toList(req.capabilities)
+      .filter(name => caps[`supports_${name}`] !== true && caps[name] !== true);
+    if (missingCapabilities.length > 0) {
+      fail('capabilities', `missing capability: ${missingCapabilities.join(', ')}`);
+    }
+
+    return reasons;
+  }
+
+  matches(device) {
+    return this.mismatches(device).length === 0;
+  }
+
+  static capabilitiesOf(device) {
+    if (typeof device.capabilities === 'string') {
+      try {
+        return JSON.parse(device.capabilities) || {};
+      } catch (error) {
+        return {};
+      }
+    }
+    return device.capabilities || {};
+  }
+
+  static toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  static parseNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  static parseStorage(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([KMGT]?B)?\s*$/i.exec(String(value ?? ''));
+    if (!match) return null;
+    return parseFloat(match[1]) * STORAGE_UNITS[(match[2] || 'B').toUpperCase()];
+  }
+
+  // Orientation-insensitive: returned as [long side, short side]
+  static parseResolution(value) {
+    const match = /^\s*(\d+)\s*x\s*(\d+)\s*$/i.exec(String(value ?? ''));
+    if (!match) return null;
+    return [parseInt(match[1]), parseInt(match[2])].sort((a, b) => b - a);
+  }
+
+  // Devices report e.g. 'Android 14', '17.2.1' or 'linux 6.1.0'
+  static extractVersion(value) {
+    const match = /(\d+(?:\.\d+)*)/.exec(String(value ?? ''));
+    return match ? match[1] : null;
+  }
+
+  static compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const diff = (left[i] || 0) - (right[i] || 0);
+      if (diff !== 0) return Math.sign(diff);
+    }
+    return 0;
+  }
+
+  // A range is space-separated comparators that must all hold; a bare version
+  // ('14', '14.x') matches that version and its point releases ('14.2.1')
+  static parseRange(range) {
+    const tokens = String(range).trim().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) {
+      throw new Error('os_version range is empty');
+    }
+
+    return tokens.map(token => {
+      const match = COMPARATOR_PATTERN.exec(token);
+      if (!match) {
+        throw new Error(`Invalid os_version comparator: ${token}`);
+      }
+      return { operator: match[1] || 'prefix', version: match[2] };
+    });
+  }
+
+  static satisfies(version, range) {
+    return DeviceRequirements.parseRange(range).every(({ operator, version: bound }) => {
+      if (operator === 'prefix') {
+        const parts = bound.split('.');
+        return version.split('.').slice(0, parts.length).join('.') === parts.join('.');
+      }
+
+      const cmp = DeviceRequirements.compareVersions(version, bound);
+      switch (operator) {
+        case '>=': return cmp >= 0;
+        case '<=': return cmp <= 0;
+        case '>': return cmp > 0;
+        case '<': return cmp < 0;
+        default: return cmp === 0;
+      }
+    });
+  }
+}
+
+DeviceRequirements.REQUIREMENT_KEYS = REQUIREMENT_KEYS;
+
+module.exports = DeviceRequirements;
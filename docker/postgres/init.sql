@@ -1,10 +1,8 @@
 -- Initialize QualGen database
-CREATE DATABASE IF NOT EXISTS qualgen;
+-- POSTGRES_DB creates the qualgen database; the `migrate` service then applies
+-- the schema from migrations/ with `qualgen migrate`, as the orchestrator does
+-- on startup. Keep schema changes out of this file.
 
--- Switch to the database
-\c qualgen;
-
--- Create extensions if needed
+-- Extensions need a superuser, which the migrations may not run as, so they
+-- are created here rather than in migrations/
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
-
--- Create initial tables will be created by the application migration
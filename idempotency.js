@@ -0,0 +1,57 @@
+/**
+ * QualGen Idempotent Submission
+ * Idempotency-Key validation and request fingerprints.
+ *
+ * A client sends the same Idempotency-Key when it retries a submission. The
+ * first request's job is returned for every retry within the retention window,
+ * and reusing the key for a different request is rejected. Requests are
+ * compared by a fingerprint of their body: keys are sorted so field order does
+ * not matter, and `metadata` is left out because clients stamp it per attempt
+ * (e.g. submitted_at) and it does not change what runs.
+ */
+
+const crypto = require('crypto');
+
+const MAX_KEY_LENGTH = 255;
+const KEY_PATTERN = /^[\x21-\x7e]+$/;
+const IGNORED_FIELDS = ['metadata'];
+
+class Idempotency {
+  static validateKey(key) {
+    if (typeof key !== 'string' || key.length === 0) {
+      throw new Error('Idempotency-Key must not be empty');
+    }
+    if (key.length > MAX_KEY_LENGTH) {
+      throw new Error(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+    }
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error('Idempotency-Key must be printable ASCII without spaces');
+    }
+    return key;
+  }
+
+  static fingerprint(body) {
+    const significant = Object.fromEntries(Object.entries(body || {})
+      .filter(([key]) => !IGNORED_FIELDS.includes(key)));
+    return crypto.createHash('sha256').update(Idempotency.canonicalJson(significant)).digest('hex');
+  }
+
+  // JSON with object keys sorted at every level; undefined values are dropped
+  // as JSON.stringify would
+  static canonicalJson(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => (item === undefined ? 'null' : Idempotency.canonicalJson(item))).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      const entries = Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${Idempotency.canonicalJson(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+}
+
+Idempotency.MAX_KEY_LENGTH = MAX_KEY_LENGTH;
+
+module.exports = Idempotency;
@@ -10,41 +10,375 @@ const Redis = require('redis');
 const { Pool } = require('pg');
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
+const cron = require('node-cron');
+const axios = require('axios');
+const SchedulingPolicy = require('./scheduling-policy');
+const DeviceRequirements = require('./device-requirements');
+const TestSharder = require('./test-sharder');
+const BuildMatrix = require('./build-matrix');
+const WebhookDelivery = require('./webhook-delivery');
+const ApiAuth = require('./api-auth');
+const Idempotency = require('./idempotency');
+const MetricsRegistry = require('./metrics-registry');
+const Logger = require('./logger');
+const Tracing = require('./tracing');
+const SchemaMigrator = require('./schema-migrator');
+const path = require('path');
+const os = require('os');
+const { EventEmitter } = require('events');
+
+// Commands an operator can queue for delivery on a device's next heartbeat
+const DEVICE_COMMANDS = ['restart', 'drain', 'resume', 'cancel-job', 'clear-app-data', 'collect-diagnostics', 'status'];
+const COMMAND_RESULT_STATUSES = ['acknowledged', 'succeeded', 'failed'];
+
+// Queue layout: one Redis list per target and priority; SchedulingPolicy decides
+// which job to take next. Reliable dispatch: a job taken from queue:<target>:<priority> sits in the
+// matching inflight:<target>:<priority> list under a lease until Postgres
+// confirms the claim. Expired leases are recovered by any orchestrator.
+const LEASE_ZSET = 'dispatch:leases';
+const LEASE_INFO = 'dispatch:lease-info';
+const LEASE_DURATION_MS = parseInt(process.env.DISPATCH_LEASE_MS) || 30000;
+
+const LEASE_SCRIPT = `
+  if redis.call('LREM', KEYS[1], 1, ARGV[3]) == 0 then
+    return false
+  end
+  redis.call('LPUSH', KEYS[2], ARGV[3])
+  redis.call('ZADD', KEYS[3], ARGV[1], ARGV[3])
+  redis.call('HSET', KEYS[4], ARGV[3], cjson.encode({ queue = KEYS[1], owner = ARGV[2] }))
+  return ARGV[3]
+`;
+
+// ARGV[2]: 'front' requeues at the consuming end, 'back' at the tail, 'drop' discards
+const RELEASE_SCRIPT = `
+  local removed = redis.call('LREM', KEYS[1], 1, ARGV[1])
+  redis.call('ZREM', KEYS[3], ARGV[1])
+  redis.call('HDEL', KEYS[4], ARGV[1])
+  if removed > 0 and ARGV[2] == 'front' then
+    redis.call('RPUSH', KEYS[2], ARGV[1])
+  elseif removed > 0 and ARGV[2] == 'back' then
+    redis.call('LPUSH', KEYS[2], ARGV[1])
+  end
+  return removed
+`;
+
+const EXPIRE_LEASE_SCRIPT = `
+  local score = redis.call('ZSCORE', KEYS[1], ARGV[1])
+  if not score or tonumber(score) > tonumber(ARGV[2]) then
+    return false
+  end
+  local lease = redis.call('HGET', KEYS[2], ARGV[1])
+  redis.call('ZREM', KEYS[1], ARGV[1])
+  redis.call('HDEL', KEYS[2], ARGV[1])
+  return lease
+`;
+
+// Used for ETAs until a test path/target has completed runs to learn from
+const DEFAULT_JOB_DURATION_SECONDS = 120;
+const SCHEDULER_INTERVAL_MS = 5000;
+
+// Once a job reaches one of these it is never updated again
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled', 'timed_out'];
+
+const GROUP_TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// depends_on conditions: 'success' waits for the upstream job to complete and
+// cancels the dependent if it does not; 'completion' runs after any outcome
+const DEPENDENCY_CONDITIONS = ['success', 'completion'];
+
+// How a schedule picks the app version each run: a fixed app_version_id, or
+// 'latest', the version the org most recently submitted a job for
+const APP_VERSION_STRATEGIES = ['fixed', 'latest'];
+const SCHEDULE_SYNC_INTERVAL_MS = 60000;
+
+// Outbound webhooks: attempts per delivery before it is marked failed, and the
+// per-request timeout. A delivery being sent is leased for WEBHOOK_LEASE_SECONDS
+// so a crashed sender's deliveries are picked up again.
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const WEBHOOK_LEASE_SECONDS = Math.ceil(WEBHOOK_TIMEOUT_MS / 1000) + 30;
+
+// Per-org limits; null means unlimited. Orgs without an org_quotas row get these.
+const QUOTA_FIELDS = ['max_concurrent_jobs', 'max_queued_jobs', 'monthly_device_minutes'];
+const DEFAULT_QUOTA = {
+  max_concurrent_jobs: parseInt(process.env.ORG_MAX_CONCURRENT_JOBS) || null,
+  max_queued_jobs: parseInt(process.env.ORG_MAX_QUEUED_JOBS) || null,
+  monthly_device_minutes: parseInt(process.env.ORG_MONTHLY_DEVICE_MINUTES) || null
+};
+
+// Rejection for a submission over an org limit; the REST API maps it to a 429
+class QuotaExceededError extends Error {
+  constructor(message, quota, retryAfterSeconds = null) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.status = 429;
+    this.quota = quota;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// Largest page GET /api/v1/jobs returns
+const MAX_JOB_PAGE_SIZE = 200;
+
+// /metrics always reports a depth for these targets' queues, so an empty queue
+// shows as 0 rather than disappearing; other targets appear while they have jobs
+const QUEUE_TARGETS = ['device', 'emulator', 'browserstack'];
+// Histogram buckets in seconds for time spent queued and time spent running
+const QUEUE_WAIT_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+const RUN_DURATION_BUCKETS = [10, 30, 60, 120, 300, 600, 900, 1800, 3600];
+
+// Tables whose rows belong to an org, for per-route ownership checks
+const ORG_OWNED_RESOURCES = {
+  jobs: 'job_id',
+  builds: 'build_id',
+  job_groups: 'group_id',
+  schedules: 'schedule_id',
+  webhooks: 'webhook_id'
+};
+
+// Audit log: the fields of a job or device recorded as its before/after state,
+// credential fields never written to it, and the page size for JSON lines export
+const AUDIT_JOB_FIELDS = ['status', 'org_id', 'app_version_id', 'test_path', 'target', 'priority', 'device_id', 'build_id'];
+const AUDIT_DEVICE_FIELDS = ['name', 'platform', 'device_type', 'status', 'location', 'capabilities'];
+const AUDIT_SECRET_FIELDS = ['api_key', 'device_token', 'secret', 'key_hash'];
+const AUDIT_EXPORT_BATCH = 500;
+
+// Idempotent submission: how long a key returns its original job, and how long
+// an unfinished claim (e.g. from a crashed instance) blocks retries
+const IDEMPOTENCY_RETENTION_HOURS = parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS) || 24;
+const IDEMPOTENCY_LOCK_SECONDS = 60;
+
+// A repeated Idempotency-Key that cannot be answered with the original job:
+// 422 when the request differs, 409 while the first request is still running
+class IdempotencyConflictError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'IdempotencyConflictError';
+    this.status = status;
+  }
+}
+
+// Which failures a job's retry_policy.retry_on allows to be retried
+
+const RETRYABLE_FAILURES = {
+  none: [],
+  infrastructure: ['infrastructure'],
+  any: ['infrastructure', 'test', 'timeout']
+};
 
 class JobOrchestrator {
   constructor() {
     this.app = express();
     this.port = process.env.PORT || 8080;
+    this.instanceId = `${os.hostname()}-${process.pid}`;
+    this.log = new Logger('job-orchestrator', { fields: { instance_id: this.instanceId } });
+    this.tracer = new Tracing.Tracer('job-orchestrator');
+    this.heartbeatIntervalMs = parseInt(process.env.AGENT_HEARTBEAT_INTERVAL) || 30000;
+    this.maxMissedHeartbeats = parseInt(process.env.MAX_MISSED_HEARTBEATS) || 3;
+    this.maxJobRetries = parseInt(process.env.RETRY_ATTEMPTS) || 3;
+    this.maxGroupSize = parseInt(process.env.JOB_GROUP_MAX_SIZE) || 10;
+    this.testSharder = new TestSharder(process.env.TESTS_ROOT || process.cwd());
+    this.events = new EventEmitter(); // Job/device state changes for streams and SSE
+    this.events.setMaxListeners(0);
+    this.setupMetrics();
     this.setupMiddleware();
-    this.setupDatabase();
+    this.databaseReady = this.setupDatabase();
     this.setupRedis();
     this.setupRoutes();
     this.setupGrpcServer();
     this.jobs = new Map(); // In-memory job cache
     this.devices = new Map(); // Device registry
     this.jobGroups = new Map(); // App version groups
-    this.startScheduler();
+    this.unschedulable = new Map(); // job_id -> last published no-match explanation
+    this.cronTasks = new Map(); // schedule_id -> { task, signature } for enabled schedules
+  }
+
+  // Prometheus metrics for /metrics. Counters and latency histograms cover what
+  // this instance handled; job, device and queue gauges are read at scrape time.
+  setupMetrics() {
+    const registry = new MetricsRegistry();
+    this.metricsRegistry = registry;
+    this.metrics = {
+      jobsSubmitted: registry.counter('qualgen_jobs_submitted_total',
+        'Jobs submitted (shards counted individually)', ['org_id', 'target']),
+      jobsFinished: registry.counter('qualgen_jobs_finished_total',
+        'Jobs that reached a terminal status', ['org_id', 'target', 'status']),
+      queueWait: registry.histogram('qualgen_job_queue_wait_seconds',
+        'Seconds a job waited in its queue before being assigned to a device', ['target', 'priority'], QUEUE_WAIT_BUCKETS),
+      runDuration: registry.histogram('qualgen_job_run_duration_seconds',
+        'Seconds from a job starting to reaching a terminal status', ['target', 'status'], RUN_DURATION_BUCKETS),
+      jobs: registry.gauge('qualgen_jobs', 'Jobs by status', ['status']),
+      devices: registry.gauge('qualgen_devices', 'Registered devices by status', ['status']),
+      queueDepth: registry.gauge('qualgen_queue_depth', 'Job IDs waiting in each Redis queue', ['target', 'priority']),
+      httpDuration: registry.histogram('qualgen_http_request_duration_seconds',
+        'REST request latency by route', ['method', 'route', 'status']),
+      grpcDuration: registry.histogram('qualgen_grpc_request_duration_seconds',
+        'Unary gRPC call latency by method', ['method', 'code'])
+    };
   }
 
   setupMiddleware() {
     this.app.use(cors());
     this.app.use(express.json());
+
+    // Each request runs in a server span that continues the caller's traceparent,
+    // so its log lines, the jobs it submits and their spans share one trace ID
+    // (returned as X-Trace-Id)
+    this.app.use((req, res, next) => {
+      const span = this.tracer.startSpan(`${req.method} ${req.path}`, {
+        parent: Tracing.parseTraceparent(req.get('traceparent')),
+        kind: 'server',
+        attributes: { 'http.method': req.method, 'http.target': req.originalUrl }
+      });
+      res.set('X-Trace-Id', span.traceId);
+      res.on('finish', () => {
+        if (req.route) span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+        span.setAttributes({ 'http.status_code': res.statusCode });
+        if (res.statusCode >= 500) span.setStatus('error');
+        span.end();
+      });
+
+      Tracing.run(span.context(), () => {
+        this.log.info(`${req.method} ${req.path}`, { method: req.method, path: req.path });
+        next();
+      });
+    });
+
+    // Requests about one job log with its job_id
+    this.app.param('jobId', (req, res, next, jobId) => Tracing.run({ job_id: jobId }, next));
+
+    // Labelled by route pattern so job and device IDs do not become label values;
+    // requests turned away before reaching a route (404s, 401s) are 'unmatched'.
+    // Event streams are left out: they stay open as long as the client listens.
     this.app.use((req, res, next) => {
-      console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+      const endTimer = this.metrics.httpDuration.startTimer({ method: req.method });
+      res.on('finish', () => {
+        if (res.locals.streaming) return;
+        endTimer({ route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched', status: res.statusCode });
+      });
       next();
     });
+
+    // Every /api/v1 route needs an org API key, a device credential or the admin key
+    this.app.use('/api/v1', (req, res, next) => this.authenticateRequest(req, res, next));
+  }
+
+  async authenticateRequest(req, res, next) {
+    try {
+      const principal = await this.authenticate(ApiAuth.bearerToken(req.headers.authorization));
+      if (!principal) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Missing or invalid API key' });
+      }
+      req.principal = principal;
+      next();
+    } catch (error) {
+      this.log.error('Authentication error', error);
+      res.status(500).json({ error: 'Authentication failed' });
+    }
+  }
+
+  // Resolve a bearer token to the principal it acts as, or null
+  async authenticate(token) {
+    if (!token) return null;
+    if (ApiAuth.matchesAdminKey(token, process.env.QUALGEN_ADMIN_API_KEY)) {
+      return { type: 'admin', org_id: null };
+    }
+
+    const kind = ApiAuth.kindOf(token);
+    if (kind === 'api_key') {
+      const key = await this.findCredential('api_keys', 'key_id', token);
+      if (!key) return null;
+
+      // A member's key acts with the member's current role
+      let role = key.role;
+      if (key.member_id) {
+        const member = await this.db.query('SELECT role FROM org_members WHERE member_id = $1', [key.member_id]);
+        if (member.rows.length === 0) return null;
+        role = member.rows[0].role;
+      }
+      return { type: 'api_key', key_id: key.key_id, org_id: key.org_id, member_id: key.member_id, role };
+    }
+    if (kind === 'device') {
+      const credential = await this.findCredential('device_credentials', 'credential_id', token);
+      return credential ? { type: 'device', role: 'agent', credential_id: credential.credential_id, device_id: credential.device_id } : null;
+    }
+    return null;
+  }
+
+  // Look up an unrevoked credential by hash; last_used_at is refreshed at most
+  // once a minute so authentication does not write on every request
+  async findCredential(table, idColumn, token) {
+    const result = await this.db.query(`
+      SELECT * FROM ${table} WHERE key_hash = $1 AND revoked_at IS NULL
+    `, [ApiAuth.hash(token)]);
+    const credential = result.rows[0];
+    if (!credential) return null;
+
+    if (!credential.last_used_at || Date.now() - new Date(credential.last_used_at).getTime() > 60000) {
+      await this.db.query(`UPDATE ${table} SET last_used_at = NOW() WHERE ${idColumn} = $1`, [credential[idColumn]]);
+    }
+    return credential;
+  }
+
+  // Route guard: the caller's role must grant this permission (see api-auth.js)
+  requirePermission(permission) {
+    return (req, res, next) => {
+      if (ApiAuth.can(req.principal, permission)) return next();
+      res.status(403).json({ error: `This endpoint requires ${ApiAuth.describePermission(permission)}` });
+    };
+  }
+
+  // Route guard: the body's org_id defaults to the caller's org and must match it
+  scopeBodyToOrg(req, res, next) {
+    const orgId = ApiAuth.orgScope(req.principal);
+    if (orgId && !req.body.org_id) {
+      req.body.org_id = orgId;
+    }
+    if (!ApiAuth.canAccessOrg(req.principal, req.body.org_id)) {
+      return res.status(403).json({ error: `API key is not valid for org ${req.body.org_id}` });
+    }
+    next();
+  }
+
+  // Route guard for /orgs/:orgId/... routes
+  requireOrgParam(req, res, next) {
+    if (ApiAuth.canAccessOrg(req.principal, req.params.orgId)) return next();
+    res.status(403).json({ error: `API key is not valid for org ${req.params.orgId}` });
+  }
+
+  // Route guard: the resource named by a route param must belong to the
+  // caller's org. Other orgs' resources are reported as not found.
+  requireOwnership(table, param, label) {
+    const idColumn = ORG_OWNED_RESOURCES[table];
+    return async (req, res, next) => {
+      try {
+        const orgId = ApiAuth.orgScope(req.principal);
+        if (!orgId) return next();
+
+        const result = await this.db.query(`SELECT org_id FROM ${table} WHERE ${idColumn} = $1`, [req.params[param]]);
+        if (result.rows.length === 0 || result.rows[0].org_id !== orgId) {
+          return res.status(404).json({ error: `${label} not found` });
+        }
+        next();
+      } catch (error) {
+        this.log.error('Ownership check error', error);
+        res.status(500).json({ error: error.message });
+      }
+    };
+  }
+
+  // Route guard: a device credential bound to a device may only act as that device
+  requireDeviceParam(req, res, next) {
+    const deviceId = req.params.deviceId || req.body.device_id;
+    if (ApiAuth.canActAsDevice(req.principal, deviceId)) return next();
+    res.status(403).json({ error: `Device credential is not valid for device ${deviceId}` });
   }
 
   async setupDatabase() {
-    this.db = new Pool({
-      host: process.env.DB_HOST || 'localhost',
-      port: process.env.DB_PORT || 5432,
-      database: process.env.DB_NAME || 'qualgen',
-      user: process.env.DB_USER || 'qualgen',
-      password: process.env.DB_PASSWORD || 'password'
-    });
+    this.db = new Pool(SchemaMigrator.connectionOptions());
 
-    // Initialize database schema
+    // Apply pending schema migrations
     await this.initializeSchema();
   }
 
@@ -55,13 +389,22 @@ class JobOrchestrator {
     });
 
     this.redis.on('error', (err) => {
-      console.error('Redis error:', err);
+      this.log.error('Redis error', err);
     });
 
     await this.redis.connect();
   }
 
   setupRoutes() {
+    const canRead = this.requirePermission('read');
+    const canSubmit = this.requirePermission('submit');
+    const canManage = this.requirePermission('manage');
+    const agentOnly = this.requirePermission('agent');
+    const platformOnly = this.requirePermission('platform');
+    const orgBody = (req, res, next) => this.scopeBodyToOrg(req, res, next);
+    const orgParam = (req, res, next) => this.requireOrgParam(req, res, next);
+    const deviceParam = (req, res, next) => this.requireDeviceParam(req, res, next);
+
     // Health check
     this.app.get('/health', (req, res) => {
       res.json({ 
@@ -74,629 +417,4053 @@ class JobOrchestrator {
       });
     });
 
-    // Metrics endpoint
+    // Prometheus scrape endpoint
     this.app.get('/metrics', async (req, res) => {
-      const metrics = await this.getMetrics();
-      res.json(metrics);
+      try {
+        const metrics = await this.renderMetrics();
+        res.type(MetricsRegistry.CONTENT_TYPE).send(metrics);
+      } catch (error) {
+        this.log.error('Error rendering metrics', error);
+        res.status(500).json({ error: 'Failed to render metrics' });
+      }
     });
 
     // Job submission
-    this.app.post('/api/v1/jobs', async (req, res) => {
+    this.app.post('/api/v1/jobs', canSubmit, orgBody, async (req, res) => {
       try {
-        const job = await this.submitJob(req.body);
+        const idempotencyKey = req.get('Idempotency-Key');
+        const { job, replayed } = idempotencyKey === undefined
+          ? { job: await this.submitJob(req.body), replayed: false }
+          : await this.submitJobIdempotently(req.body, idempotencyKey);
+
+        if (replayed) {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(200).json(job);
+        }
+
+        await this.audit(req, {
+          org_id: req.body.org_id, action: 'job.submit', target_type: 'job', target_id: job.job_id,
+          after: this.auditState({ ...req.body, ...job }, AUDIT_JOB_FIELDS)
+        });
         res.status(201).json(job);
       } catch (error) {
-        console.error('Job submission error:', error);
+        if (error instanceof IdempotencyConflictError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof QuotaExceededError) {
+          if (error.retryAfterSeconds) {
+            res.set('Retry-After', String(error.retryAfterSeconds));
+          }
+          return res.status(429).json({ error: error.message, quota: error.quota });
+        }
+        this.log.error('Job submission error', error);
         res.status(400).json({ error: error.message });
       }
     });
 
     // Get job status
-    this.app.get('/api/v1/jobs/:jobId', async (req, res) => {
+    this.app.get('/api/v1/jobs/:jobId', canRead, async (req, res) => {
       try {
-        const job = await this.getJobStatus(req.params.jobId);
+        const job = await this.getJobStatus(req.params.jobId, ApiAuth.orgScope(req.principal));
         if (!job) {
           return res.status(404).json({ error: 'Job not found' });
         }
+        job.attempts = await this.getJobAttempts(job.job_id);
+        job.estimate = await this.estimateStartTime(job);
+        if (job.shard_count) {
+          job.shards = await this.getShardJobs(job.job_id);
+        }
+        job.depends_on = await this.getJobDependencies(job.job_id);
         res.json(job);
       } catch (error) {
-        console.error('Get job error:', error);
+        this.log.error('Get job error', error);
         res.status(500).json({ error: error.message });
       }
     });
 
     // List jobs
-    this.app.get('/api/v1/jobs', async (req, res) => {
+    this.app.get('/api/v1/jobs', canRead, async (req, res) => {
       try {
-        const jobs = await this.listJobs(req.query);
-        res.json(jobs);
+        const page = await this.listJobs({ ...req.query, org_id: ApiAuth.orgScope(req.principal) || req.query.org_id });
+        res.json(page);
       } catch (error) {
-        console.error('List jobs error:', error);
-        res.status(500).json({ error: error.message });
+        this.log.error('List jobs error', error);
+        res.status(400).json({ error: error.message });
       }
     });
 
     // Cancel job
-    this.app.post('/api/v1/jobs/:jobId/cancel', async (req, res) => {
+    this.app.post('/api/v1/jobs/:jobId/cancel', canSubmit, async (req, res) => {
       try {
-        await this.cancelJob(req.params.jobId);
+        const before = await this.getJobStatus(req.params.jobId, ApiAuth.orgScope(req.principal));
+        if (!before) {
+          return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!await this.cancelJob(req.params.jobId)) {
+          return res.status(409).json({ error: `Job is already ${before.status}` });
+        }
+        await this.audit(req, {
+          org_id: before.org_id, action: 'job.cancel', target_type: 'job', target_id: before.job_id,
+          before: this.auditState(before, AUDIT_JOB_FIELDS),
+          after: this.auditState(await this.getJobStatus(before.job_id), AUDIT_JOB_FIELDS)
+        });
         res.json({ message: 'Job cancelled successfully' });
       } catch (error) {
-        console.error('Cancel job error:', error);
+        this.log.error('Cancel job error', error);
         res.status(500).json({ error: error.message });
       }
     });
 
-    // List devices
-    this.app.get('/api/v1/devices', async (req, res) => {
+    // Matrix submission: one build, one job per platform/target/OS/device combination
+    this.app.post('/api/v1/builds', canSubmit, orgBody, async (req, res) => {
       try {
-        const devices = await this.listDevices(req.query);
-        res.json(devices);
+        const build = await this.submitBuild(req.body);
+        await this.audit(req, {
+          org_id: req.body.org_id, action: 'build.submit', target_type: 'build', target_id: build.build_id,
+          after: {
+            status: build.status, job_count: build.job_count,
+            app_version_id: req.body.app_version_id, test_path: req.body.test_path, matrix: req.body.matrix
+          }
+        });
+        res.status(201).json(build);
+      } catch (error) {
+        if (error instanceof QuotaExceededError) {
+          return res.status(429).json({ error: error.message, quota: error.quota });
+        }
+        this.log.error('Build submission error', error);
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Build status with its pass/fail grid
+    this.app.get('/api/v1/builds/:buildId', canRead, this.requireOwnership('builds', 'buildId', 'Build'), async (req, res) => {
+      try {
+        const build = await this.getBuild(req.params.buildId);
+        if (!build) {
+          return res.status(404).json({ error: 'Build not found' });
+        }
+        res.json(build);
       } catch (error) {
-        console.error('List devices error:', error);
+        this.log.error('Get build error', error);
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Device registration (for agents)
-    this.app.post('/api/v1/devices/register', async (req, res) => {
+    // Cancel every unfinished job in a build
+    this.app.post('/api/v1/builds/:buildId/cancel', canSubmit, this.requireOwnership('builds', 'buildId', 'Build'), async (req, res) => {
       try {
-        const device = await this.registerDevice(req.body);
-        res.status(201).json(device);
+        const build = await this.cancelBuild(req.params.buildId);
+        if (!build) {
+          return res.status(404).json({ error: 'Build not found' });
+        }
+        await this.audit(req, {
+          org_id: build.org_id, action: 'build.cancel', target_type: 'build', target_id: build.build_id,
+          after: { status: build.status, summary: build.summary }
+        });
+        res.json(build);
       } catch (error) {
-        console.error('Device registration error:', error);
+        this.log.error('Cancel build error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Recurring jobs: a cron expression and a job template
+    this.app.post('/api/v1/schedules', canSubmit, orgBody, async (req, res) => {
+      try {
+        const schedule = await this.createSchedule(req.body);
+        await this.audit(req, {
+          org_id: schedule.org_id, action: 'schedule.create', target_type: 'schedule', target_id: schedule.schedule_id,
+          after: schedule
+        });
+        res.status(201).json(schedule);
+      } catch (error) {
+        this.log.error('Create schedule error', error);
         res.status(400).json({ error: error.message });
       }
     });
 
-    // Device heartbeat
-    this.app.post('/api/v1/devices/:deviceId/heartbeat', async (req, res) => {
+    this.app.get('/api/v1/schedules', canRead, async (req, res) => {
       try {
-        await this.updateDeviceHeartbeat(req.params.deviceId, req.body);
-        res.json({ message: 'Heartbeat received' });
+        res.json(await this.listSchedules({ ...req.query, org_id: ApiAuth.orgScope(req.principal) || req.query.org_id }));
       } catch (error) {
-        console.error('Device heartbeat error:', error);
+        this.log.error('List schedules error', error);
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Job result submission (from agents)
-    this.app.post('/api/v1/jobs/:jobId/result', async (req, res) => {
+    this.app.get('/api/v1/schedules/:scheduleId', canRead, this.requireOwnership('schedules', 'scheduleId', 'Schedule'), async (req, res) => {
       try {
-        await this.submitJobResult(req.params.jobId, req.body);
-        res.json({ message: 'Result received' });
+        const schedule = await this.getSchedule(req.params.scheduleId);
+        if (!schedule) {
+          return res.status(404).json({ error: 'Schedule not found' });
+        }
+        res.json(schedule);
       } catch (error) {
-        console.error('Job result error:', error);
+        this.log.error('Get schedule error', error);
         res.status(500).json({ error: error.message });
       }
     });
-  }
 
-  setupGrpcServer() {
-    // gRPC for high-performance agent communication
-    const packageDefinition = protoLoader.loadSync('./proto/qualgen.proto', {
-      keepCase: true,
-      longs: String,
-      enums: String,
-      defaults: true,
-      oneofs: true
+    this.app.delete('/api/v1/schedules/:scheduleId', canSubmit, this.requireOwnership('schedules', 'scheduleId', 'Schedule'), async (req, res) => {
+      try {
+        const deleted = await this.deleteSchedule(req.params.scheduleId);
+        if (!deleted) {
+          return res.status(404).json({ error: 'Schedule not found' });
+        }
+        await this.audit(req, {
+          org_id: deleted.org_id, action: 'schedule.delete', target_type: 'schedule', target_id: deleted.schedule_id,
+          before: deleted
+        });
+        res.json({ success: true, schedule_id: req.params.scheduleId });
+      } catch (error) {
+        this.log.error('Delete schedule error', error);
+        res.status(500).json({ error: error.message });
+      }
     });
 
-    const qualgenProto = grpc.loadPackageDefinition(packageDefinition).qualgen;
-    
-    this.grpcServer = new grpc.Server();
-    this.grpcServer.addService(qualgenProto.JobService.service, {
-      GetNextJob: this.getNextJobGrpc.bind(this),
-      UpdateJobProgress: this.updateJobProgressGrpc.bind(this),
-      CompleteJob: this.completeJobGrpc.bind(this)
+    // Outbound webhooks for job, build and device events
+    this.app.post('/api/v1/webhooks', canManage, orgBody, async (req, res) => {
+      try {
+        const webhook = await this.createWebhook(req.body);
+        await this.audit(req, {
+          org_id: webhook.org_id, action: 'webhook.create', target_type: 'webhook', target_id: webhook.webhook_id,
+          after: webhook
+        });
+        res.status(201).json(webhook);
+      } catch (error) {
+        this.log.error('Create webhook error', error);
+        res.status(400).json({ error: error.message });
+      }
     });
 
-    const grpcPort = process.env.GRPC_PORT || 9090;
-    this.grpcServer.bindAsync(`0.0.0.0:${grpcPort}`, grpc.ServerCredentials.createInsecure(), (err, port) => {
-      if (err) {
-        console.error('gRPC server failed to start:', err);
-      } else {
-        console.log(`🚀 gRPC server running on port ${port}`);
-        this.grpcServer.start();
+    this.app.get('/api/v1/webhooks', canRead, async (req, res) => {
+      try {
+        res.json(await this.listWebhooks({ ...req.query, org_id: ApiAuth.orgScope(req.principal) || req.query.org_id }));
+      } catch (error) {
+        this.log.error('List webhooks error', error);
+        res.status(500).json({ error: error.message });
       }
     });
-  }
 
-  async initializeSchema() {
-    const schema = `
-      CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
-      
-      CREATE TABLE IF NOT EXISTS jobs (
-        job_id VARCHAR(50) PRIMARY KEY,
-        org_id VARCHAR(100) NOT NULL,
-        app_version_id VARCHAR(100) NOT NULL,
-        test_path TEXT NOT NULL,
-        priority VARCHAR(20) DEFAULT 'medium',
-        target VARCHAR(50) NOT NULL,
-        status VARCHAR(20) DEFAULT 'queued',
-        device_requirements JSONB,
-        device_id VARCHAR(100),
-        progress INTEGER DEFAULT 0,
-        error_message TEXT,
-        test_results JSONB,
-        metadata JSONB,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        started_at TIMESTAMP WITH TIME ZONE,
-        completed_at TIMESTAMP WITH TIME ZONE,
-        timeout_seconds INTEGER DEFAULT 300
-      );
-
-      CREATE TABLE IF NOT EXISTS devices (
-        device_id VARCHAR(100) PRIMARY KEY,
-        name VARCHAR(200) NOT NULL,
-        platform VARCHAR(50) NOT NULL,
-        device_type VARCHAR(50) NOT NULL,
-        status VARCHAR(20) DEFAULT 'available',
-        location VARCHAR(100),
-        capabilities JSONB,
-        current_job_id VARCHAR(50),
-        last_heartbeat TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        registered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      );
-
-      CREATE TABLE IF NOT EXISTS job_groups (
-        group_id VARCHAR(50) PRIMARY KEY,
-        app_version_id VARCHAR(100) NOT NULL,
-        org_id VARCHAR(100) NOT NULL,
-        target VARCHAR(50) NOT NULL,
-        status VARCHAR(20) DEFAULT 'pending',
-        job_ids TEXT[],
-        assigned_device_id VARCHAR(100),
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        started_at TIMESTAMP WITH TIME ZONE,
-        completed_at TIMESTAMP WITH TIME ZONE
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_jobs_org_status ON jobs(org_id, status);
-      CREATE INDEX IF NOT EXISTS idx_jobs_app_version ON jobs(app_version_id);
-      CREATE INDEX IF NOT EXISTS idx_devices_status ON devices(status);
-      CREATE INDEX IF NOT EXISTS idx_job_groups_app_version ON job_groups(app_version_id);
-    `;
+    this.app.delete('/api/v1/webhooks/:webhookId', canManage, this.requireOwnership('webhooks', 'webhookId', 'Webhook'), async (req, res) => {
+      try {
+        const deleted = await this.deleteWebhook(req.params.webhookId);
+        if (!deleted) {
+          return res.status(404).json({ error: 'Webhook not found' });
+        }
+        await this.audit(req, {
+          org_id: deleted.org_id, action: 'webhook.delete', target_type: 'webhook', target_id: deleted.webhook_id,
+          before: deleted
+        });
+        res.json({ success: true, webhook_id: req.params.webhookId });
+      } catch (error) {
+        this.log.error('Delete webhook error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
 
-    try {
-      await this.db.query(schema);
-      console.log('✅ Database schema initialized');
-    } catch (error) {
-      console.error('❌ Database schema initialization failed:', error);
-    }
-  }
+    // Delivery history, newest first
+    this.app.get('/api/v1/webhooks/:webhookId/deliveries', canRead, this.requireOwnership('webhooks', 'webhookId', 'Webhook'), async (req, res) => {
+      try {
+        const deliveries = await this.getWebhookDeliveries(req.params.webhookId, req.query);
+        if (!deliveries) {
+          return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json(deliveries);
+      } catch (error) {
+        this.log.error('Get webhook deliveries error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
 
-  async submitJob(jobData) {
-    const jobId = `qj_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
-    
-    // Validate required fields
-    const required = ['org_id', 'app_version_id', 'test_path', 'target'];
-    for (const field of required) {
-      if (!jobData[field]) {
-        throw new Error(`Missing required field: ${field}`);
+    // Send a delivery again, e.g. after fixing the receiving endpoint
+    this.app.post('/api/v1/webhooks/:webhookId/deliveries/:deliveryId/redeliver', canManage, this.requireOwnership('webhooks', 'webhookId', 'Webhook'), async (req, res) => {
+      try {
+        const delivery = await this.redeliverWebhook(req.params.webhookId, req.params.deliveryId);
+        if (!delivery) {
+          return res.status(404).json({ error: 'Delivery not found' });
+        }
+        res.status(202).json(delivery);
+      } catch (error) {
+        this.log.error('Redeliver webhook error', error);
+        res.status(500).json({ error: error.message });
       }
-    }
+    });
 
-    const job = {
-      job_id: jobId,
-      org_id: jobData.org_id,
-      app_version_id: jobData.app_version_id,
-      test_path: jobData.test_path,
-      priority: jobData.priority || 'medium',
-      target: jobData.target,
-      status: 'queued',
-      device_requirements: jobData.device_requirements || {},
-      timeout_seconds: jobData.timeout || 300,
-      metadata: jobData.metadata || {},
-      created_at: new Date().toISOString()
-    };
+    // Org quota and current usage
+    this.app.get('/api/v1/orgs/:orgId/quota', canRead, orgParam, async (req, res) => {
+      try {
+        res.json(await this.getOrgQuota(req.params.orgId));
+      } catch (error) {
+        this.log.error('Get quota error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
 
-    // Store in database
-    await this.db.query(`
-      INSERT INTO jobs (job_id, org_id, app_version_id, test_path, priority, target, status, device_requirements, timeout_seconds, metadata, created_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-    `, [
-      job.job_id, job.org_id, job.app_version_id, job.test_path, job.priority, 
-      job.target, job.status, JSON.stringify(job.device_requirements), 
-      job.timeout_seconds, JSON.stringify(job.metadata), job.created_at
-    ]);
+    // Set org limits (admin key)
+    this.app.put('/api/v1/orgs/:orgId/quota', platformOnly, orgParam, async (req, res) => {
+      try {
+        const before = await this.getOrgQuota(req.params.orgId);
+        const quota = await this.updateOrgQuota(req.params.orgId, req.body);
+        await this.audit(req, {
+          org_id: req.params.orgId, action: 'quota.update', target_type: 'org', target_id: req.params.orgId,
+          before: before.limits, after: quota.limits
+        });
+        res.json(quota);
+      } catch (error) {
+        this.log.error('Update quota error', error);
+        res.status(400).json({ error: error.message });
+      }
+    });
 
-    // Add to Redis queue with priority
-    const queueKey = `queue:${job.target}:${job.priority}`;
-    await this.redis.lpush(queueKey, jobId);
+    // Job group status (jobs sharing an app version, run back to back on one device)
+    this.app.get('/api/v1/groups/:groupId', canRead, this.requireOwnership('job_groups', 'groupId', 'Group'), async (req, res) => {
+      try {
+        const group = await this.getJobGroup(req.params.groupId);
+        if (!group) {
+          return res.status(404).json({ error: 'Group not found' });
+        }
+        res.json(group);
+      } catch (error) {
+        this.log.error('Get group error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
 
-    // Cache in memory
-    this.jobs.set(jobId, job);
+    // List devices
+    this.app.get('/api/v1/devices', canRead, async (req, res) => {
+      try {
+        const devices = await this.listDevices(req.query);
+        res.json(devices);
+      } catch (error) {
+        this.log.error('List devices error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
 
-    // Trigger job grouping
-    await this.groupJobs(job.app_version_id, job.org_id, job.target);
+    // Device registration (for agents)
+    this.app.post('/api/v1/devices/register', agentOnly, deviceParam, async (req, res) => {
+      try {
+        const before = req.body.device_id ? await this.getDevice(req.body.device_id) : null;
+        const device = await this.registerDevice(req.body);
+        await this.audit(req, {
+          action: before ? 'device.reregister' : 'device.register', target_type: 'device', target_id: device.device_id,
+          before: this.auditState(before, AUDIT_DEVICE_FIELDS), after: this.auditState(device, AUDIT_DEVICE_FIELDS)
+        });
+        res.status(201).json(device);
+      } catch (error) {
+        this.log.error('Device registration error', error);
+        res.status(400).json({ error: error.message });
+      }
+    });
 
-    console.log(`📝 Job submitted: ${jobId} (${job.org_id}/${job.app_version_id})`);
+    // Device heartbeat
+    this.app.post('/api/v1/devices/:deviceId/heartbeat', agentOnly, deviceParam, async (req, res) => {
+      try {
+        await this.updateDeviceHeartbeat(req.params.deviceId, req.body);
+        const commands = await this.takePendingCommands(req.params.deviceId);
+        res.json({ message: 'Heartbeat received', commands });
+      } catch (error) {
+        this.log.error('Device heartbeat error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
 
-    return {
-      job_id: jobId,
-      status: job.status,
-      priority: job.priority,
-      target: job.target,
-      queue_position: await this.getQueuePosition(jobId),
-      estimated_start_time: await this.estimateStartTime(job)
-    };
-  }
+    // Queue a remote command for a device (admin key)
+    this.app.post('/api/v1/devices/:deviceId/commands', platformOnly, async (req, res) => {
+      try {
+        const device = await this.getDevice(req.params.deviceId);
+        if (!device) {
+          return res.status(404).json({ error: 'Device not found' });
+        }
+        const command = await this.enqueueDeviceCommand(req.params.deviceId, req.body.command, req.body.args, {
+          ttlSeconds: req.body.ttl_seconds,
+          issuedBy: req.body.issued_by
+        });
+        await this.audit(req, {
+          org_id: ApiAuth.orgScope(req.principal), action: 'device.command', target_type: 'device', target_id: req.params.deviceId,
+          after: { command_id: command.command_id, command: command.command, args: command.args }
+        });
+        res.status(201).json(command);
+      } catch (error) {
+        this.log.error('Device command error', error);
+        res.status(400).json({ error: error.message });
+      }
+    });
 
-  async groupJobs(appVersionId, orgId, target) {
-    // Find or create job group for this app version
-    const groupId = `qg_${appVersionId}_${target}_${Date.now()}`;
-    
-    // Get all queued jobs for this app version
-    const result = await this.db.query(`
-      SELECT job_id FROM jobs 
-      WHERE app_version_id = $1 AND org_id = $2 AND target = $3 AND status = 'queued'
-      ORDER BY priority DESC, created_at ASC
-    `, [appVersionId, orgId, target]);
-
-    if (result.rows.length > 1) {
-      const jobIds = result.rows.map(row => row.job_id);
-      
-      // Create or update job group
+    // Command history for a device
+    this.app.get('/api/v1/devices/:deviceId/commands', platformOnly, async (req, res) => {
+      try {
+        const commands = await this.listDeviceCommands(req.params.deviceId, req.query);
+        res.json(commands);
+      } catch (error) {
+        this.log.error('List device commands error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Command acknowledgement/outcome (from agents)
+    this.app.post('/api/v1/devices/:deviceId/commands/:commandId/result', agentOnly, deviceParam, async (req, res) => {
+      try {
+        const command = await this.recordCommandResult(req.params.deviceId, req.params.commandId, req.body.status, req.body.result);
+        if (!command) {
+          return res.status(404).json({ error: 'Command not found' });
+        }
+        res.json(command);
+      } catch (error) {
+        this.log.error('Command result error', error);
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Job result submission (from agents)
+    this.app.post('/api/v1/jobs/:jobId/result', agentOnly, async (req, res) => {
+      try {
+        const job = await this.getJobStatus(req.params.jobId);
+        if (!job) {
+          return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!ApiAuth.canActAsDevice(req.principal, job.device_id)) {
+          return res.status(403).json({ error: `Job ${job.job_id} is not assigned to this device` });
+        }
+        // The device is the credential's, never one named in the body; an
+        // unbound credential reports for whichever device holds the job
+        const deviceId = req.principal.device_id || job.device_id;
+        if (!await this.submitJobResult(req.params.jobId, req.body, deviceId)) {
+          return res.status(409).json({ error: `Job ${job.job_id} is not active on this device` });
+        }
+        res.json({ message: 'Result received' });
+      } catch (error) {
+        this.log.error('Job result error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Server-Sent Events mirror of the gRPC streams
+    this.app.get('/api/v1/events', canRead, (req, res) => {
+      this.streamEvents(req, res);
+    });
+
+    // Scheduling policy (admin)
+    this.app.get('/api/v1/admin/scheduling', platformOnly, async (req, res) => {
+      try {
+        res.json(await this.describeScheduling());
+      } catch (error) {
+        this.log.error('Get scheduling policy error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/v1/admin/scheduling', platformOnly, async (req, res) => {
+      try {
+        const before = await this.getSchedulingPolicy();
+        const policy = await this.updateSchedulingPolicy(req.body);
+        await this.audit(req, {
+          action: 'settings.scheduling_update', target_type: 'settings', target_id: 'scheduling_policy',
+          before: before.config, after: policy.config
+        });
+        res.json({ policy: policy.config });
+      } catch (error) {
+        this.log.error('Update scheduling policy error', error);
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Org API keys; the key itself is only returned on creation
+    this.app.post('/api/v1/orgs/:orgId/api-keys', canManage, orgParam, async (req, res) => {
+      try {
+        const key = await this.createApiKey(req.params.orgId, req.body);
+        await this.audit(req, {
+          org_id: req.params.orgId, action: 'api_key.create', target_type: 'api_key', target_id: key.key_id, after: key
+        });
+        res.status(201).json(key);
+      } catch (error) {
+        this.log.error('Create API key error', error);
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/v1/orgs/:orgId/api-keys', canManage, orgParam, async (req, res) => {
+      try {
+        res.json(await this.listApiKeys(req.params.orgId));
+      } catch (error) {
+        this.log.error('List API keys error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/v1/orgs/:orgId/api-keys/:keyId', canManage, orgParam, async (req, res) => {
+      try {
+        const revoked = await this.revokeApiKey(req.params.orgId, req.params.keyId);
+        if (!revoked) {
+          return res.status(404).json({ error: 'API key not found' });
+        }
+        await this.audit(req, {
+          org_id: req.params.orgId, action: 'api_key.revoke', target_type: 'api_key', target_id: revoked.key_id, after: revoked
+        });
+        res.json({ success: true, key_id: req.params.keyId });
+      } catch (error) {
+        this.log.error('Revoke API key error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Org members and their roles (viewer, submitter, admin)
+    this.app.post('/api/v1/orgs/:orgId/members', canManage, orgParam, async (req, res) => {
+      try {
+        const member = await this.addMember(req.params.orgId, req.body);
+        await this.audit(req, {
+          org_id: req.params.orgId, action: 'member.add', target_type: 'member', target_id: member.member_id, after: member
+        });
+        res.status(201).json(member);
+      } catch (error) {
+        this.log.error('Add member error', error);
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/v1/orgs/:orgId/members', canManage, orgParam, async (req, res) => {
+      try {
+        res.json(await this.listMembers(req.params.orgId));
+      } catch (error) {
+        this.log.error('List members error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/v1/orgs/:orgId/members/:memberId', canManage, orgParam, async (req, res) => {
+      try {
+        const before = await this.getMember(req.params.orgId, req.params.memberId);
+        const member = before && await this.updateMemberRole(req.params.orgId, req.params.memberId, req.body.role);
+        if (!member) {
+          return res.status(404).json({ error: 'Member not found' });
+        }
+        await this.audit(req, {
+          org_id: req.params.orgId, action: 'member.role_update', target_type: 'member', target_id: member.member_id,
+          before: { role: before.role }, after: { role: member.role }
+        });
+        res.json(member);
+      } catch (error) {
+        this.log.error('Update member error', error);
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/v1/orgs/:orgId/members/:memberId', canManage, orgParam, async (req, res) => {
+      try {
+        const removed = await this.removeMember(req.params.orgId, req.params.memberId);
+        if (!removed) {
+          return res.status(404).json({ error: 'Member not found' });
+        }
+        await this.audit(req, {
+          org_id: req.params.orgId, action: 'member.remove', target_type: 'member', target_id: removed.member_id, before: removed
+        });
+        res.json({ success: true, member_id: req.params.memberId });
+      } catch (error) {
+        this.log.error('Remove member error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Device credentials for agents (admin key)
+    this.app.post('/api/v1/device-credentials', platformOnly, async (req, res) => {
+      try {
+        const credential = await this.createDeviceCredential(req.body);
+        await this.audit(req, {
+          action: 'device_credential.create', target_type: 'device_credential', target_id: credential.credential_id,
+          after: credential
+        });
+        res.status(201).json(credential);
+      } catch (error) {
+        this.log.error('Create device credential error', error);
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/v1/device-credentials', platformOnly, async (req, res) => {
+      try {
+        res.json(await this.listDeviceCredentials());
+      } catch (error) {
+        this.log.error('List device credentials error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/v1/device-credentials/:credentialId', platformOnly, async (req, res) => {
+      try {
+        const revoked = await this.revokeDeviceCredential(req.params.credentialId);
+        if (!revoked) {
+          return res.status(404).json({ error: 'Device credential not found' });
+        }
+        await this.audit(req, {
+          action: 'device_credential.revoke', target_type: 'device_credential', target_id: revoked.credential_id,
+          after: revoked
+        });
+        res.json({ success: true, credential_id: req.params.credentialId });
+      } catch (error) {
+        this.log.error('Revoke device credential error', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Audit trail, newest first; ?format=jsonl exports every matching entry
+    // oldest first as JSON lines
+    this.app.get('/api/v1/audit', canManage, async (req, res) => {
+      const filters = { ...req.query, org_id: ApiAuth.orgScope(req.principal) || req.query.org_id };
+      try {
+        if (req.query.format !== 'jsonl') {
+          return res.json(await this.listAuditLog(filters));
+        }
+
+        this.auditFilters(filters);
+        res.set({
+          'Content-Type': 'application/x-ndjson',
+          'Content-Disposition': `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.jsonl"`
+        });
+        await this.exportAuditLog(filters, line => res.write(line));
+        res.end();
+      } catch (error) {
+        this.log.error('Audit log error', error);
+        if (res.headersSent) return res.end();
+        res.status(400).json({ error: error.message });
+      }
+    });
+  }
+
+  setupGrpcServer() {
+    // gRPC for high-performance agent communication
+    const packageDefinition = protoLoader.loadSync(path.join(__dirname, 'job-orchestrator.proto'), {
+      keepCase: true,
+      longs: String,
+      enums: String,
+      defaults: true,
+      oneofs: true
+    });
+
+    const qualgenProto = grpc.loadPackageDefinition(packageDefinition).qualgen;
+    
+    this.grpcServer = new grpc.Server();
+    this.grpcServer.addService(qualgenProto.JobService.service, this.instrumentGrpc({
+      // Device management (used by device-agent.js, with a device credential)
+      RegisterDevice: this.grpcAuth(this.registerDeviceGrpc, 'agent'),
+      Heartbeat: this.grpcAuth(this.heartbeatGrpc, 'agent'),
+      PollForJobs: this.grpcAuth(this.pollForJobsGrpc, 'agent'),
+      UpdateJobStatus: this.grpcAuth(this.updateJobStatusGrpc, 'agent'),
+      ReportCommandResult: this.grpcAuth(this.reportCommandResultGrpc, 'agent'),
+
+      // Job management (mirrors the REST API, with an org API key)
+      SubmitJob: this.grpcAuth(this.submitJobGrpc, 'submit'),
+      GetJobStatus: this.grpcAuth(this.getJobStatusGrpc, 'read'),
+      CancelJob: this.grpcAuth(this.cancelJobGrpc, 'submit'),
+      ListJobs: this.grpcAuth(this.listJobsGrpc, 'read'),
+
+      // Real-time streaming
+      StreamJobUpdates: this.grpcAuth(this.streamJobUpdatesGrpc, 'read'),
+      StreamDeviceStatus: this.grpcAuth(this.streamDeviceStatusGrpc, 'read')
+    }));
+
+    this.grpcPort = process.env.GRPC_PORT || 50051;
+  }
+
+  // Bring the schema up to date; concurrent orchestrators and `qualgen migrate`
+  // serialise on the migration lock
+  async initializeSchema() {
+    const applied = await new SchemaMigrator(this.db, { log: this.log }).migrate();
+    this.log.info('Database schema initialized', { migrations_applied: applied.length });
+  }
+
+  // Submit at most once per org and Idempotency-Key within the retention window.
+  // Returns { job, replayed }; a replay is the original response with the
+  // job's current status.
+  async submitJobIdempotently(jobData, key) {
+    Idempotency.validateKey(key);
+    const requestHash = Idempotency.fingerprint(jobData);
+    const keyParams = [jobData.org_id, key];
+
+    // Claim the key, taking over one that has expired or whose first request
+    // never finished
+    const claimed = await this.db.query(`
+      INSERT INTO idempotency_keys (org_id, idempotency_key, request_hash, expires_at)
+      VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))
+      ON CONFLICT (org_id, idempotency_key) DO UPDATE SET
+        request_hash = EXCLUDED.request_hash, job_id = NULL, response = NULL,
+        created_at = NOW(), expires_at = EXCLUDED.expires_at
+      WHERE idempotency_keys.expires_at < NOW()
+         OR (idempotency_keys.response IS NULL AND idempotency_keys.created_at < NOW() - make_interval(secs => $5))
+      RETURNING idempotency_key
+    `, [...keyParams, requestHash, IDEMPOTENCY_RETENTION_HOURS, IDEMPOTENCY_LOCK_SECONDS]);
+
+    if (claimed.rows.length === 0) {
+      const result = await this.db.query(`
+        SELECT * FROM idempotency_keys WHERE org_id = $1 AND idempotency_key = $2
+      `, keyParams);
+      const existing = result.rows[0];
+
+      if (existing && existing.request_hash !== requestHash) {
+        throw new IdempotencyConflictError(`Idempotency-Key ${key} was already used for a different request`, 422);
+      }
+      if (!existing || !existing.response) {
+        throw new IdempotencyConflictError(`A request with Idempotency-Key ${key} is still being processed; retry shortly`, 409);
+      }
+
+      const current = await this.getJobStatus(existing.job_id);
+      this.log.info(`Idempotent replay: ${key} -> ${existing.job_id}`);
+      return { job: { ...existing.response, status: current ? current.status : existing.response.status }, replayed: true };
+    }
+
+    try {
+      const job = await this.submitJob(jobData);
+      await this.db.query(`
+        UPDATE idempotency_keys SET job_id = $3, response = $4 WHERE org_id = $1 AND idempotency_key = $2
+      `, [...keyParams, job.job_id, JSON.stringify(job)]);
+      return { job, replayed: false };
+    } catch (error) {
+      // The submission was rejected, so a retry with the same key may try again
+      await this.db.query('DELETE FROM idempotency_keys WHERE org_id = $1 AND idempotency_key = $2', keyParams);
+      throw error;
+    }
+  }
+
+  async purgeExpiredIdempotencyKeys() {
+    const result = await this.db.query('DELETE FROM idempotency_keys WHERE expires_at < NOW()');
+    if (result.rowCount > 0) {
+      this.log.info(`Purged ${result.rowCount} expired idempotency keys`);
+    }
+  }
+
+  async submitJob(jobData) {
+    // Validate required fields
+    const required = ['org_id', 'app_version_id', 'test_path', 'target'];
+    for (const field of required) {
+      if (!jobData[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    jobData = { ...jobData, depends_on: await this.normalizeDependencies(jobData.depends_on, jobData.org_id) };
+
+    if (jobData.sharding) {
+      return this.submitShardedJob(jobData);
+    }
+
+    await this.enforceSubmitQuota(jobData.org_id);
+
+    const job = await this.createJob(jobData);
+    const estimate = await this.estimateStartTime(job);
+
+    return {
+      job_id: job.job_id,
+      status: job.status,
+      priority: job.priority,
+      target: job.target,
+      group_id: job.group_id,
+      retry_policy: job.retry_policy,
+      trace_id: job.trace_context.trace_id,
+      depends_on: job.depends_on.length > 0 ? job.depends_on : undefined,
+      queue_position: estimate.queue_position,
+      estimated_start_time: estimate.estimated_start_time,
+      matching_devices: estimate.matching_devices,
+      unmatched: estimate.unmatched,
+      quota: await this.getOrgQuota(job.org_id)
+    };
+  }
+
+  // Store a job and queue it for dispatch. A sharding parent (shardCount set)
+  // is only a record its shards roll up into; shards (parent set) skip job
+  // grouping because they exist to run on different devices. Jobs with
+  // depends_on stay blocked, outside Redis, until their upstream jobs finish.
+  async createJob(jobData, { parent = null, shardCount = null } = {}) {
+    const jobId = `qj_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+    const isParent = shardCount !== null;
+    const dependsOn = isParent ? [] : (jobData.depends_on || []);
+
+    const job = {
+      job_id: jobId,
+      org_id: jobData.org_id,
+      app_version_id: jobData.app_version_id,
+      test_path: jobData.test_path,
+      priority: SchedulingPolicy.normalizePriority(jobData.priority),
+      target: jobData.target,
+      status: isParent ? 'sharded' : (dependsOn.length > 0 ? 'blocked' : 'queued'),
+      device_requirements: DeviceRequirements.validate(jobData.device_requirements || {}),
+      timeout_seconds: jobData.timeout || 300,
+      retry_policy: this.normalizeRetryPolicy(jobData.retry_policy),
+      metadata: jobData.metadata || {},
+      parent_job_id: parent ? parent.job_id : null,
+      shard_index: parent ? parent.shard_index : null,
+      shard_count: shardCount,
+      build_id: parent ? null : (jobData.build_id || null),
+      depends_on: dependsOn,
+      // The job's own span, reported once it finishes; its phases are children of it
+      trace_context: Tracing.childContext(Tracing.current()),
+      created_at: new Date().toISOString()
+    };
+
+    // Join the open group for this app version so it runs on the same device
+    job.group_id = isParent || parent || job.status === 'blocked' ? null : await this.groupJobs(job);
+
+    // Store in database
+    await this.db.query(`
+      INSERT INTO jobs (job_id, org_id, app_version_id, test_path, priority, target, status, device_requirements, timeout_seconds, retry_policy, metadata, created_at, group_id, parent_job_id, shard_index, shard_count, build_id, trace_context)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+    `, [
+      job.job_id, job.org_id, job.app_version_id, job.test_path, job.priority, 
+      job.target, job.status, JSON.stringify(job.device_requirements), 
+      job.timeout_seconds, JSON.stringify(job.retry_policy), JSON.stringify(job.metadata), job.created_at,
+      job.group_id, job.parent_job_id, job.shard_index, job.shard_count, job.build_id,
+      JSON.stringify(job.trace_context)
+    ]);
+
+    // Cache in memory
+    this.jobs.set(jobId, job);
+
+    if (isParent) {
+      return job;
+    }
+    this.metrics.jobsSubmitted.inc({ org_id: job.org_id, target: job.target });
+
+    if (job.status === 'blocked') {
+      for (const dependency of dependsOn) {
+        await this.db.query(`
+          INSERT INTO job_dependencies (job_id, depends_on_job_id, condition) VALUES ($1, $2, $3)
+        `, [jobId, dependency.job_id, dependency.condition]);
+      }
+
+      this.publishJobUpdate(job, `Job blocked on ${dependsOn.length} upstream job(s)`, { depends_on: dependsOn });
+      this.log.info(`Job submitted blocked: ${jobId} (waiting on ${dependsOn.map(dep => dep.job_id).join(', ')})`, { job_id: jobId });
+
+      // Upstream jobs may have finished already
+      job.status = await this.resolveDependencies(jobId);
+      return job;
+    }
+
+    // Add to Redis queue with priority
+    const queueKey = `queue:${job.target}:${job.priority}`;
+    await this.redis.lPush(queueKey, jobId);
+
+    this.publishJobUpdate(job, 'Job queued', { priority: job.priority, target: job.target });
+    await this.emitJobWebhook('job.queued', job);
+
+    this.log.info(`Job submitted: ${jobId} (${job.org_id}/${job.app_version_id})`, { job_id: jobId, org_id: job.org_id });
+    return job;
+  }
+
+  // Expand test_path into spec files, split them into shards and submit each
+  // shard as a child job of a parent that aggregates their results
+  async submitShardedJob(jobData) {
+    const sharding = TestSharder.validate(jobData.sharding);
+    const files = await this.testSharder.expand(jobData.test_path);
+    if (files.length === 0) {
+      throw new Error(`No spec files found for test path: ${jobData.test_path}`);
+    }
+
+    const durations = sharding.strategy === 'duration' ? await this.getSpecDurations(jobData.target, files) : null;
+    const shards = TestSharder.split(files, sharding.shards, durations);
+
+    await this.enforceSubmitQuota(jobData.org_id, shards.length);
+
+    const parent = await this.createJob({
+      ...jobData,
+      metadata: { ...jobData.metadata, sharding: { ...sharding, spec_files: files.length } }
+    }, { shardCount: shards.length });
+
+    const children = [];
+    for (const [index, shard] of shards.entries()) {
+      children.push(await this.createJob({
+        ...jobData,
+        test_path: shard.files.join(' '),
+        metadata: {
+          ...jobData.metadata,
+          shard: { index, count: shards.length, files: shard.files, expected_seconds: shard.expected_seconds }
+        }
+      }, { parent: { job_id: parent.job_id, shard_index: index } }));
+    }
+
+    this.publishJobUpdate(parent, `Split ${files.length} spec files into ${shards.length} shards`, {
+      shard_job_ids: children.map(child => child.job_id),
+      strategy: sharding.strategy
+    });
+    this.log.info(`Job sharded: ${parent.job_id} → ${shards.length} shards (${files.length} specs, by ${sharding.strategy})`);
+
+    return {
+      job_id: parent.job_id,
+      status: parent.status,
+      priority: parent.priority,
+      target: parent.target,
+      retry_policy: parent.retry_policy,
+      shard_count: shards.length,
+      shards: children.map((child, index) => ({
+        job_id: child.job_id,
+        shard_index: index,
+        files: shards[index].files,
+        expected_seconds: shards[index].expected_seconds
+      })),
+      quota: await this.getOrgQuota(parent.org_id)
+    };
+  }
+
+  // Expected seconds per spec file: single-file runs count in full, a
+  // multi-file shard's run time is split evenly across its files
+  async getSpecDurations(target, files) {
+    const result = await this.db.query(`
+      SELECT spec, AVG(seconds) AS avg_seconds FROM (
+        SELECT spec, EXTRACT(EPOCH FROM (completed_at - started_at)) / 
+          COALESCE(jsonb_array_length(metadata->'shard'->'files'), 1) AS seconds
+        FROM jobs, 
+          jsonb_array_elements_text(COALESCE(metadata->'shard'->'files', jsonb_build_array(test_path))) AS spec
+        WHERE target = $1 AND status = 'completed' AND started_at IS NOT NULL 
+          AND completed_at > NOW() - INTERVAL '30 days'
+      ) runs
+      WHERE spec = ANY($2)
+      GROUP BY spec
+    `, [target, files]);
+
+    const known = new Map(result.rows.map(row => [row.spec, parseFloat(row.avg_seconds)]));
+    const fallback = known.size > 0
+      ? Array.from(known.values()).reduce((sum, seconds) => sum + seconds, 0) / known.size
+      : DEFAULT_JOB_DURATION_SECONDS;
+
+    return new Map(files.map(file => [file, known.get(file) ?? fallback]));
+  }
+
+  async getShardJobs(parentJobId) {
+    const result = await this.db.query(`
+      SELECT job_id, shard_index, status, test_path, device_id, retry_count, test_results, 
+        error_message, metadata, started_at, completed_at
+      FROM jobs WHERE parent_job_id = $1
+      ORDER BY shard_index ASC
+    `, [parentJobId]);
+    return result.rows;
+  }
+
+  // Roll shard progress up into the parent; once every shard has finished the
+  // parent gets the combined test_results and its final status
+  async refreshParentJob(parentJobId) {
+    const children = await this.getShardJobs(parentJobId);
+    if (children.length === 0) return;
+
+    const finished = children.filter(child => TERMINAL_STATUSES.includes(child.status));
+    const startTimes = children.filter(child => child.started_at).map(child => new Date(child.started_at).getTime());
+    const startedAt = startTimes.length > 0 ? new Date(Math.min(...startTimes)).toISOString() : null;
+
+    if (finished.length < children.length) {
+      await this.db.query(`
+        UPDATE jobs SET progress = $2, started_at = COALESCE(started_at, $3) 
+        WHERE job_id = $1 AND status = 'sharded'
+      `, [parentJobId, Math.round((finished.length / children.length) * 100), startedAt]);
+      return;
+    }
+
+    const status = TestSharder.parentStatus(children.map(child => child.status));
+    const failedShards = children.filter(child => !['completed', 'cancelled'].includes(child.status));
+    const errorMessage = failedShards.length > 0
+      ? `${failedShards.length} of ${children.length} shards did not pass: ` +
+        failedShards.map(child => `shard ${child.shard_index} ${child.status}`).join(', ')
+      : null;
+    const results = TestSharder.aggregateResults(children);
+
+    const updated = await this.db.query(`
+      UPDATE jobs SET 
+        status = $2, 
+        progress = 100, 
+        test_results = $3, 
+        error_message = $4, 
+        started_at = COALESCE(started_at, $5), 
+        completed_at = NOW()
+      WHERE job_id = $1 AND status = 'sharded'
+      RETURNING *
+    `, [parentJobId, status, JSON.stringify(results), errorMessage, startedAt]);
+
+    if (updated.rows.length === 0) return;
+
+    this.publishJobUpdate(updated.rows[0], errorMessage || `All ${children.length} shards ${status}`, {
+      test_results: results
+    });
+    await this.onJobFinished(updated.rows[0]);
+    this.log.info(`Sharded job ${status}: ${parentJobId} (${results.passed}/${results.total} passed across ${children.length} shards)`);
+  }
+
+  // Bookkeeping after a job reaches a terminal status
+  async onJobFinished(job) {
+    this.recordJobFinished(job);
+    this.traceJobFinished(job);
+    await this.emitJobWebhook(WebhookDelivery.jobEventFor(job.status), job);
+    if (job.group_id) {
+      await this.refreshGroupStatus(job.group_id);
+    }
+    if (job.parent_job_id) {
+      await this.refreshParentJob(job.parent_job_id);
+    }
+    if (job.build_id) {
+      await this.refreshBuild(job.build_id);
+    }
+    await this.releaseDependents(job.job_id);
+  }
+
+  // depends_on entries are job IDs or { job_id, condition }; upstream jobs must
+  // already exist in the same org, which also rules out cycles
+  async normalizeDependencies(dependsOn, orgId) {
+    if (dependsOn === undefined || dependsOn === null) return [];
+
+    const dependencies = [];
+    for (const entry of Array.isArray(dependsOn) ? dependsOn : [dependsOn]) {
+      const dependency = typeof entry === 'string'
+        ? { job_id: entry, condition: 'success' }
+        : { job_id: entry && entry.job_id, condition: (entry && entry.condition) || 'success' };
+
+      if (typeof dependency.job_id !== 'string' || !dependency.job_id) {
+        throw new Error('depends_on entries must be job IDs or { job_id, condition }');
+      }
+      if (!DEPENDENCY_CONDITIONS.includes(dependency.condition)) {
+        throw new Error(`depends_on condition must be one of: ${DEPENDENCY_CONDITIONS.join(', ')}`);
+      }
+      if (!dependencies.some(existing => existing.job_id === dependency.job_id)) {
+        dependencies.push(dependency);
+      }
+    }
+    if (dependencies.length === 0) return [];
+
+    const upstream = await this.db.query(
+      'SELECT job_id, org_id FROM jobs WHERE job_id = ANY($1)', [dependencies.map(dep => dep.job_id)]
+    );
+    const found = new Map(upstream.rows.map(row => [row.job_id, row.org_id]));
+    const missing = dependencies.filter(dep => !found.has(dep.job_id)).map(dep => dep.job_id);
+    if (missing.length > 0) {
+      throw new Error(`Unknown upstream job(s) in depends_on: ${missing.join(', ')}`);
+    }
+    const foreign = dependencies.filter(dep => found.get(dep.job_id) !== orgId).map(dep => dep.job_id);
+    if (foreign.length > 0) {
+      throw new Error(`Upstream job(s) belong to another org: ${foreign.join(', ')}`);
+    }
+
+    return dependencies;
+  }
+
+  async getJobDependencies(jobId) {
+    const result = await this.db.query(`
+      SELECT job_dependencies.depends_on_job_id AS job_id, job_dependencies.condition, jobs.status
+      FROM job_dependencies JOIN jobs ON jobs.job_id = job_dependencies.depends_on_job_id
+      WHERE job_dependencies.job_id = $1
+      ORDER BY jobs.created_at ASC
+    `, [jobId]);
+    return result.rows;
+  }
+
+  // Decide a blocked job's fate from its upstream jobs: cancel it if a
+  // 'success' dependency did not complete, queue it once every dependency has
+  // finished, otherwise leave it blocked. Returns the job's resulting status.
+  async resolveDependencies(jobId) {
+    const dependencies = await this.getJobDependencies(jobId);
+
+    const unmet = dependencies.find(dep =>
+      dep.condition === 'success' && TERMINAL_STATUSES.includes(dep.status) && dep.status !== 'completed');
+    if (unmet) {
+      await this.cancelJob(jobId, `Upstream job ${unmet.job_id} ${unmet.status}`);
+      return 'cancelled';
+    }
+
+    if (!dependencies.every(dep => TERMINAL_STATUSES.includes(dep.status))) {
+      return 'blocked';
+    }
+
+    const released = await this.db.query(`
+      UPDATE jobs SET status = 'queued', next_attempt_at = NOW() WHERE job_id = $1 AND status = 'blocked' RETURNING *
+    `, [jobId]);
+    if (released.rows.length === 0) {
+      return (await this.getJobStatus(jobId) || {}).status;
+    }
+
+    const job = released.rows[0];
+    if (!job.parent_job_id) {
+      job.group_id = await this.groupJobs(job);
+      await this.db.query('UPDATE jobs SET group_id = $2 WHERE job_id = $1', [jobId, job.group_id]);
+    }
+
+    const queueKey = `queue:${job.target}:${job.priority}`;
+    await this.redis.lPush(queueKey, jobId);
+
+    this.publishJobUpdate(job, 'Upstream jobs finished; job queued', { depends_on: dependencies });
+    await this.emitJobWebhook('job.queued', job);
+    this.log.info(`Job unblocked: ${jobId}`);
+    return 'queued';
+  }
+
+  async releaseDependents(jobId) {
+    const dependents = await this.db.query(`
+      SELECT job_dependencies.job_id 
+      FROM job_dependencies JOIN jobs ON jobs.job_id = job_dependencies.job_id
+      WHERE job_dependencies.depends_on_job_id = $1 AND jobs.status = 'blocked'
+    `, [jobId]);
+
+    for (const dependent of dependents.rows) {
+      await this.resolveDependencies(dependent.job_id);
+    }
+  }
+
+  // Fan a matrix submission out into one job (or sharded job) per cell, all
+  // tracked under one build
+  async submitBuild(buildData) {
+    const required = ['org_id', 'app_version_id', 'test_path', 'matrix'];
+    for (const field of required) {
+      if (!buildData[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    const cells = BuildMatrix.expand(buildData.matrix, { target: buildData.target });
+    const dependsOn = await this.normalizeDependencies(buildData.depends_on, buildData.org_id);
+    const cellJobs = cells.map(cell => ({
+      ...buildData,
+      depends_on: dependsOn,
+      target: cell.target,
+      device_requirements: BuildMatrix.requirementsFor(cell, buildData.device_requirements),
+      metadata: { ...buildData.metadata, matrix_cell: cell }
+    }));
+
+    // Validate every cell before anything is stored
+    for (const cellJob of cellJobs) {
+      SchedulingPolicy.normalizePriority(cellJob.priority);
+      DeviceRequirements.validate(cellJob.device_requirements);
+      this.normalizeRetryPolicy(cellJob.retry_policy);
+      if (cellJob.sharding) TestSharder.validate(cellJob.sharding);
+    }
+    if (!buildData.sharding) {
+      await this.enforceSubmitQuota(buildData.org_id, cells.length);
+    }
+
+    const buildId = `qb_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+    await this.db.query(`
+      INSERT INTO builds (build_id, org_id, app_version_id, test_path, matrix, status)
+      VALUES ($1, $2, $3, $4, $5, 'queued')
+    `, [buildId, buildData.org_id, buildData.app_version_id, buildData.test_path, JSON.stringify(buildData.matrix)]);
+
+    const jobs = [];
+    for (const [index, cellJob] of cellJobs.entries()) {
+      const job = cellJob.sharding
+        ? await this.submitShardedJob({ ...cellJob, build_id: buildId })
+        : await this.createJob({ ...cellJob, build_id: buildId });
+      jobs.push({ ...cells[index], label: BuildMatrix.cellLabel(cells[index]), job_id: job.job_id, status: job.status });
+    }
+
+    this.log.info(`Build submitted: ${buildId} (${jobs.length} matrix jobs for ${buildData.org_id}/${buildData.app_version_id})`);
+
+    return {
+      build_id: buildId,
+      status: 'queued',
+      job_count: jobs.length,
+      jobs,
+      quota: await this.getOrgQuota(buildData.org_id)
+    };
+  }
+
+  async loadBuildJobs(buildId) {
+    const result = await this.db.query(`
+      SELECT job_id, status, target, device_id, metadata, test_results, error_message, started_at, completed_at
+      FROM jobs WHERE build_id = $1
+      ORDER BY created_at ASC
+    `, [buildId]);
+
+    return result.rows.map(job => ({
+      ...job,
+      metadata: this.parseJsonField(job.metadata) || {},
+      test_results: this.parseJsonField(job.test_results)
+    }));
+  }
+
+  async getBuild(buildId) {
+    const build = await this.refreshBuild(buildId);
+    if (!build) return null;
+
+    const grid = BuildMatrix.grid(await this.loadBuildJobs(buildId));
+    return { ...build, grid };
+  }
+
+  // Persist the build's status and grid summary as its jobs progress
+  async refreshBuild(buildId) {
+    const jobs = await this.loadBuildJobs(buildId);
+    const grid = BuildMatrix.grid(jobs);
+    const finished = ['completed', 'failed', 'cancelled'].includes(grid.status);
+
+    // Lock the row so concurrent refreshes agree on which one finished the build
+    const updated = await this.db.query(`
+      UPDATE builds SET 
+        status = $2, 
+        summary = $3, 
+        completed_at = CASE WHEN $4 THEN COALESCE(builds.completed_at, NOW()) ELSE NULL END
+      FROM (SELECT build_id, status AS previous_status FROM builds WHERE build_id = $1 FOR UPDATE) previous
+      WHERE builds.build_id = previous.build_id
+      RETURNING builds.*, previous.previous_status
+    `, [buildId, grid.status, JSON.stringify(grid.summary), finished]);
+    if (updated.rows.length === 0) return null;
+
+    const { previous_status: previousStatus, ...build } = updated.rows[0];
+    if (finished && previousStatus !== grid.status) {
+      this.log.info(`Build ${grid.status}: ${buildId} (${grid.summary.pass}/${grid.summary.total} cells passed)`);
+      await this.emitWebhookEvent(`build.${grid.status}`, build.org_id, {
+        build_id: buildId,
+        status: grid.status,
+        app_version_id: build.app_version_id,
+        test_path: build.test_path,
+        summary: grid.summary,
+        completed_at: build.completed_at
+      });
+    }
+    return build;
+  }
+
+  async cancelBuild(buildId) {
+    const build = await this.refreshBuild(buildId);
+    if (!build) return null;
+
+    const jobs = await this.loadBuildJobs(buildId);
+
+    for (const job of jobs) {
+      if (!TERMINAL_STATUSES.includes(job.status)) {
+        await this.cancelJob(job.job_id, `Build ${buildId} cancelled`);
+      }
+    }
+    return this.getBuild(buildId);
+  }
+
+  // A group collects the queued jobs of one org/app version/target until the
+  // scheduler dispatches it; the whole group then runs back to back on one
+  // device so the app is downloaded and installed once. Returns the group_id.
+  async groupJobs(job) {
+    const joined = await this.db.query(`
+      UPDATE job_groups SET job_ids = array_append(job_ids, $4)
+      WHERE group_id = (
+        SELECT group_id FROM job_groups
+        WHERE app_version_id = $1 AND org_id = $2 AND target = $3 AND status = 'pending'
+          AND COALESCE(array_length(job_ids, 1), 0) < $5
+        ORDER BY created_at DESC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      ) AND status = 'pending'
+      RETURNING group_id, array_length(job_ids, 1) AS size
+    `, [job.app_version_id, job.org_id, job.target, job.job_id, this.maxGroupSize]);
+
+    if (joined.rows.length > 0) {
+      const { group_id: groupId, size } = joined.rows[0];
+      this.log.info(`Grouped ${size} jobs for app version ${job.app_version_id} (${groupId})`);
+      return groupId;
+    }
+
+    const groupId = `qg_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+    await this.db.query(`
+      INSERT INTO job_groups (group_id, app_version_id, org_id, target, status, job_ids)
+      VALUES ($1, $2, $3, $4, 'pending', ARRAY[$5]::TEXT[])
+    `, [groupId, job.app_version_id, job.org_id, job.target, job.job_id]);
+
+    return groupId;
+  }
+
+  async getJobGroup(groupId) {
+    const group = await this.refreshGroupStatus(groupId);
+    if (!group) return null;
+
+    const jobs = await this.db.query(`
+      SELECT job_id, test_path, priority, status, device_id, retry_count, error_message, 
+        test_results, artifacts, created_at, started_at, completed_at
+      FROM jobs WHERE group_id = $1
+      ORDER BY created_at ASC
+    `, [groupId]);
+
+    const summary = jobs.rows.reduce((acc, job) => {
+      acc[job.status] = (acc[job.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    return {
+      ...group,
+      total_jobs: jobs.rows.length,
+      finished_jobs: jobs.rows.filter(job => TERMINAL_STATUSES.includes(job.status)).length,
+      summary,
+      jobs: jobs.rows
+    };
+  }
+
+  // Group status follows its jobs: pending until dispatched, then assigned,
+  // running, and finally completed (all passed), cancelled, or failed
+  deriveGroupStatus(currentStatus, jobStatuses) {
+    if (jobStatuses.length > 0 && jobStatuses.every(status => TERMINAL_STATUSES.includes(status))) {
+      if (jobStatuses.every(status => status === 'completed')) return 'completed';
+      if (jobStatuses.every(status => status === 'cancelled')) return 'cancelled';
+      return 'failed';
+    }
+    if (currentStatus === 'pending') return 'pending';
+    return jobStatuses.every(status => status === 'queued' || status === 'assigned') ? 'assigned' : 'running';
+  }
+
+  async refreshGroupStatus(groupId) {
+    const group = await this.db.query('SELECT * FROM job_groups WHERE group_id = $1', [groupId]);
+    if (group.rows.length === 0) return null;
+
+    const jobs = await this.db.query('SELECT status FROM jobs WHERE group_id = $1', [groupId]);
+    const current = group.rows[0];
+    const status = this.deriveGroupStatus(current.status, jobs.rows.map(job => job.status));
+    if (status === current.status) return current;
+
+    // Conditional on the status we read, so a concurrent dispatch is never overwritten
+    const updated = await this.db.query(`
+      UPDATE job_groups SET 
+        status = $2::VARCHAR, 
+        started_at = CASE WHEN $2::VARCHAR IN ('pending', 'assigned') THEN started_at ELSE COALESCE(started_at, NOW()) END,
+        completed_at = CASE WHEN $2::VARCHAR = ANY($4) THEN COALESCE(completed_at, NOW()) ELSE NULL END
+      WHERE group_id = $1 AND status = $3
+      RETURNING *
+    `, [groupId, status, current.status, GROUP_TERMINAL_STATUSES]);
+
+    return updated.rows[0] || (await this.db.query('SELECT * FROM job_groups WHERE group_id = $1', [groupId])).rows[0];
+  }
+
+  // orgId, when given, hides other orgs' jobs
+  async getJobStatus(jobId, orgId = null) {
+    const result = orgId
+      ? await this.db.query('SELECT * FROM jobs WHERE job_id = $1 AND org_id = $2', [jobId, orgId])
+      : await this.db.query('SELECT * FROM jobs WHERE job_id = $1', [jobId]);
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const job = result.rows[0];
+    
+    // Parse JSON fields
+    job.device_requirements = typeof job.device_requirements === 'string' 
+      ? JSON.parse(job.device_requirements) 
+      : job.device_requirements;
+    job.test_results = typeof job.test_results === 'string' 
+      ? JSON.parse(job.test_results) 
+      : job.test_results;
+    job.metadata = typeof job.metadata === 'string' 
+      ? JSON.parse(job.metadata) 
+      : job.metadata;
+    job.artifacts = typeof job.artifacts === 'string' 
+      ? JSON.parse(job.artifacts) 
+      : job.artifacts;
+
+    return job;
+  }
+
+  // Newest first, a page at a time: { jobs, total_count, next_cursor }.
+  // next_cursor is null on the last page; pass it back as `cursor` for the next
+  // one. `offset` is still honoured when no cursor is given.
+  async listJobs(filters = {}) {
+    const { conditions, params } = this.jobFilters(filters);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 10, 1), MAX_JOB_PAGE_SIZE);
+
+    const total = await this.db.query(`SELECT COUNT(*)::int AS total FROM jobs ${where}`, params);
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (filters.cursor) {
+      pageParams.push(this.decodeJobCursor(filters.cursor));
+      pageConditions.push(`(created_at, job_id) < (SELECT created_at, job_id FROM jobs WHERE job_id = $${pageParams.length})`);
+    }
+    const offset = filters.cursor ? 0 : Math.max(parseInt(filters.offset) || 0, 0);
+    pageParams.push(limit + 1, offset);
+
+    const result = await this.db.query(`
+      SELECT * FROM jobs ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC, job_id DESC
+      LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}
+    `, pageParams);
+
+    const jobs = result.rows.slice(0, limit);
+    return {
+      jobs,
+      total_count: total.rows[0].total,
+      next_cursor: result.rows.length > limit ? this.encodeJobCursor(jobs[jobs.length - 1].job_id) : null
+    };
+  }
+
+  // WHERE conditions for job listings. status, target and priority take a
+  // comma-separated list; test_path_prefix matches the start of the path and
+  // error searches error messages case-insensitively.
+  jobFilters(filters) {
+    const conditions = [];
+    const params = [];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+    const list = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+    if (filters.org_id) add('org_id = ?', filters.org_id);
+    if (filters.app_version_id) add('app_version_id = ?', filters.app_version_id);
+    for (const field of ['status', 'target', 'priority']) {
+      if (filters[field]) add(`${field} = ANY(?)`, list(filters[field]));
+    }
+    if (filters.device_id) add('device_id = ?', filters.device_id);
+    if (filters.test_path_prefix) add('test_path LIKE ?', `${this.escapeLike(filters.test_path_prefix)}%`);
+    if (filters.error) add('error_message ILIKE ?', `%${this.escapeLike(filters.error)}%`);
+
+    for (const [key, column, operator] of [
+      ['created_after', 'created_at', '>='], ['created_before', 'created_at', '<'],
+      ['completed_after', 'completed_at', '>='], ['completed_before', 'completed_at', '<']
+    ]) {
+      if (!filters[key]) continue;
+      const time = new Date(filters[key]);
+      if (isNaN(time.getTime())) {
+        throw new Error(`${key} must be an ISO 8601 timestamp`);
+      }
+      add(`${column} ${operator} ?`, time.toISOString());
+    }
+
+    return { conditions, params };
+  }
+
+  // Cursors are opaque to clients: base64url JSON naming the last job returned
+  encodeJobCursor(jobId) {
+    return Buffer.from(JSON.stringify({ after: jobId })).toString('base64url');
+  }
+
+  decodeJobCursor(cursor) {
+    try {
+      const { after } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (typeof after === 'string' && after) return after;
+    } catch (error) {
+      // fall through to the error below
+    }
+    throw new Error('Invalid cursor');
+  }
+
+  escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, '\\$&');
+  }
+
+  // Returns false when the job does not exist (or, with orgId, belongs to another
+  // org) or had already finished. With deviceId, only a job assigned to or
+  // running on that device is cancelled (the agent reporting it stopped).
+  async cancelJob(jobId, reason = null, orgId = null, deviceId = null) {
+    if (orgId && !(await this.getJobStatus(jobId, orgId))) {
+      return false;
+    }
+
+    const cancelled = await this.db.query(`
+      UPDATE jobs SET status = 'cancelled', completed_at = NOW(), error_message = COALESCE($2, error_message) 
+      WHERE job_id = $1 AND status IN ('queued', 'retrying', 'blocked', 'assigned', 'running', 'sharded')
+        AND ($3::text IS NULL OR (device_id = $3 AND status IN ('assigned', 'running')))
+      RETURNING *
+    `, [jobId, reason || null, deviceId]);
+
+    // Remove from Redis queue
+    const job = await this.getJobStatus(jobId);
+    if (job) {
+      const queueKey = `queue:${job.target}:${job.priority}`;
+      await this.redis.lRem(queueKey, 0, jobId);
+      await this.redis.lRem(this.inflightKey(queueKey), 0, jobId);
+    }
+
+    if (cancelled.rows.length > 0) {
+      await this.finishAttempt(cancelled.rows[0], { status: 'cancelled', error_message: reason });
+      if (deviceId) {
+        await this.releaseDevice(deviceId, jobId);
+      } else {
+        // Only assigned and running jobs keep a device_id; stop the test there
+        await this.abortJobOnDevice(cancelled.rows[0], 'cancelled', 'job-cancel');
+      }
+      this.publishJobUpdate(cancelled.rows[0], reason || 'Job cancelled');
+      await this.onJobFinished(cancelled.rows[0]);
+    }
+
+    // Cancelling a sharded job cancels its unfinished shards
+    if (job && job.shard_count) {
+      for (const child of await this.getShardJobs(jobId)) {
+        if (!TERMINAL_STATUSES.includes(child.status)) {
+          await this.cancelJob(child.job_id, reason || `Parent job ${jobId} cancelled`);
+        }
+      }
+    }
+
+    this.log.info(`Job cancelled: ${jobId}`);
+    return cancelled.rows.length > 0;
+  }
+
+  async listDevices(filters) {
+    let query = 'SELECT * FROM devices WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (filters.platform) {
+      query += ` AND platform = $${paramIndex++}`;
+      params.push(filters.platform);
+    }
+
+    if (filters.status) {
+      query += ` AND status = $${paramIndex++}`;
+      params.push(filters.status);
+    }
+
+    query += ' ORDER BY name ASC';
+
+    const result = await this.db.query(query, params);
+    return result.rows;
+  }
+
+  async registerDevice(deviceData) {
+    const device = {
+      device_id: deviceData.device_id || `qd_${uuidv4().replace(/-/g, '').substring(0, 12)}`,
+      name: deviceData.name,
+      platform: deviceData.platform,
+      device_type: deviceData.device_type,
+      status: 'available',
+      location: deviceData.location || 'local',
+      capabilities: deviceData.capabilities || {}
+    };
+
+    await this.db.query(`
+      INSERT INTO devices (device_id, name, platform, device_type, status, location, capabilities)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (device_id) DO UPDATE SET
+        name = $2, platform = $3, device_type = $4, status = $5, 
+        location = $6, capabilities = $7, last_heartbeat = NOW()
+    `, [
+      device.device_id, device.name, device.platform, device.device_type,
+      device.status, device.location, JSON.stringify(device.capabilities)
+    ]);
+
+    this.devices.set(device.device_id, { active_jobs: 0, system_info: {} });
+    await this.publishDeviceStatus(device.device_id);
+
+    this.log.info(`Device registered: ${device.device_id} (${device.name})`);
+    return device;
+  }
+
+  async getDevice(deviceId) {
+    const result = await this.db.query('SELECT * FROM devices WHERE device_id = $1', [deviceId]);
+    return result.rows[0] || null;
+  }
+
+  async enqueueDeviceCommand(deviceId, command, args = {}, options = {}) {
+    if (!DEVICE_COMMANDS.includes(command)) {
+      throw new Error(`Unsupported command: ${command}. Expected one of: ${DEVICE_COMMANDS.join(', ')}`);
+    }
+    if (command === 'cancel-job' && !args?.job_id) {
+      throw new Error('cancel-job requires args.job_id');
+    }
+
+    const commandId = `qc_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+    const ttlSeconds = parseInt(options.ttlSeconds) || 3600;
+
+    const result = await this.db.query(`
+      INSERT INTO device_commands (command_id, device_id, command, args, issued_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))
+      RETURNING *
+    `, [commandId, deviceId, command, JSON.stringify(args || {}), options.issuedBy || 'admin', ttlSeconds]);
+
+    this.log.info(`Command queued: ${command} → ${deviceId} (${commandId})`);
+    return result.rows[0];
+  }
+
+  // Mark pending commands as delivered and return them in heartbeat wire format
+  async takePendingCommands(deviceId) {
+    await this.db.query(`
+      UPDATE device_commands SET status = 'expired', completed_at = NOW()
+      WHERE device_id = $1 AND status = 'pending' AND expires_at <= NOW()
+    `, [deviceId]);
+
+    const result = await this.db.query(`
+      UPDATE device_commands SET status = 'delivered', delivered_at = NOW()
+      WHERE command_id IN (
+        SELECT command_id FROM device_commands
+        WHERE device_id = $1 AND status = 'pending'
+        ORDER BY created_at ASC
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [deviceId]);
+
+    return result.rows
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .map(row => ({
+        command_id: row.command_id,
+        command: row.command,
+        args: this.parseJsonField(row.args) || {}
+      }));
+  }
+
+  async listDeviceCommands(deviceId, filters = {}) {
+    let query = 'SELECT * FROM device_commands WHERE device_id = $1';
+    const params = [deviceId];
+
+    if (filters.status) {
+      query += ' AND status = $2';
+      params.push(filters.status);
+    }
+
+    query += ` ORDER BY created_at DESC LIMIT ${parseInt(filters.limit) || 50}`;
+
+    const result = await this.db.query(query, params);
+    return result.rows;
+  }
+
+  async recordCommandResult(deviceId, commandId, status, result = null) {
+    if (!COMMAND_RESULT_STATUSES.includes(status)) {
+      throw new Error(`Invalid command status: ${status}. Expected one of: ${COMMAND_RESULT_STATUSES.join(', ')}`);
+    }
+
+    const updated = await this.db.query(`
+      UPDATE device_commands SET
+        status = $3,
+        result = COALESCE($4, result),
+        acknowledged_at = COALESCE(acknowledged_at, NOW()),
+        completed_at = CASE WHEN $3 = 'acknowledged' THEN completed_at ELSE NOW() END
+      WHERE command_id = $1 AND device_id = $2
+      RETURNING *
+    `, [commandId, deviceId, status, result ? JSON.stringify(result) : null]);
+
+    if (updated.rows.length > 0) {
+      this.log.info(`Command ${status}: ${commandId} (${updated.rows[0].command} on ${deviceId})`);
+    }
+    return updated.rows[0] || null;
+  }
+
+  async updateDeviceHeartbeat(deviceId, data) {
+    // An agent that has not yet polled its assigned job still reports itself
+    // as available; keep it busy so the scheduler does not double-book it.
+    await this.db.query(`
+      UPDATE devices SET 
+        status = CASE
+          WHEN $2 = 'available' AND EXISTS (
+            SELECT 1 FROM jobs WHERE jobs.job_id = devices.current_job_id AND jobs.status IN ('assigned', 'running')
+          ) THEN devices.status
+          ELSE $2
+        END, 
+        current_job_id = COALESCE($3, current_job_id), 
+        last_heartbeat = NOW() 
+      WHERE device_id = $1
+    `, [deviceId, data.status || 'available', data.current_job_id || null]);
+
+    // Runtime details reported by the agent are not persisted, only streamed
+    const runtime = this.devices.get(deviceId) || {};
+    this.devices.set(deviceId, {
+      active_jobs: data.active_jobs ?? runtime.active_jobs ?? 0,
+      system_info: data.system_info || runtime.system_info || {}
+    });
+    await this.publishDeviceStatus(deviceId);
+  }
+
+  // Only the device holding the job's current attempt may finish it; returns
+  // false for a late result from an earlier (retried, timed out or cancelled)
+  // attempt, which is ignored
+  async submitJobResult(jobId, result, deviceId) {
+    const status = result.success ? 'completed' : 'failed';
+    const failureType = result.success ? null : (result.failure_type || 'test');
+    const job = await this.getJobStatus(jobId);
+
+    if (!job || !deviceId || job.device_id !== deviceId || !['assigned', 'running'].includes(job.status)) {
+      this.log.info(`Ignoring late result for job ${jobId} from ${deviceId || 'an unknown device'}: job is ${job ? job.status : 'gone'}`);
+      return false;
+    }
+
+    // Free up the device (unless it has already moved on to another job)
+    await this.releaseDevice(job.device_id, jobId);
+
+    await this.finishAttempt(job, {
+      status,
+      failure_type: failureType,
+      error_message: result.error_message,
+      test_results: result.test_results,
+      artifacts: result.artifacts
+    });
+
+    if (!result.success && await this.scheduleRetry(job, { type: failureType, message: result.error_message })) {
+      return true;
+    }
+    
+    const updated = await this.db.query(`
+      UPDATE jobs SET 
+        status = $2, 
+        progress = 100, 
+        test_results = $3, 
+        error_message = $4,
+        artifacts = COALESCE($5, artifacts),
+        completed_at = NOW()
+      WHERE job_id = $1 AND status IN ('assigned', 'running') AND device_id = $6
+      RETURNING *
+    `, [
+      jobId, status, JSON.stringify(result.test_results), result.error_message,
+      result.artifacts ? JSON.stringify(result.artifacts) : null, deviceId
+    ]);
+
+    if (updated.rows.length === 0) return false;
+
+    this.publishJobUpdate(updated.rows[0], result.error_message || `Job ${status}`, {
+      test_results: result.test_results,
+      artifacts: result.artifacts
+    });
+
+    await this.onJobFinished(updated.rows[0]);
+
+    this.log.info(`Job ${status}: ${jobId}`);
+    return true;
+  }
+
+  // Release a device from a finished job. If the scheduler already gave it more
+  // work (the rest of a job group) it stays busy and moves on to the next job.
+  async releaseDevice(deviceId, jobId) {
+    await this.db.query(`
+      UPDATE devices SET 
+        current_job_id = next_job.job_id, 
+        status = CASE WHEN next_job.job_id IS NULL THEN 'available' ELSE 'busy' END
+      FROM (
+        SELECT (
+          SELECT job_id FROM jobs 
+          WHERE device_id = $1 AND job_id <> $2 AND status IN ('assigned', 'running')
+          ORDER BY status = 'running' DESC, created_at ASC
+          LIMIT 1
+        ) AS job_id
+      ) AS next_job
+      WHERE devices.device_id = $1 AND (devices.current_job_id = $2 OR devices.current_job_id IS NULL)
+    `, [deviceId, jobId]);
+    await this.publishDeviceStatus(deviceId);
+  }
+
+  // Validate a submitted retry policy and fill in defaults
+  normalizeRetryPolicy(policy = {}) {
+    const normalized = {
+      max_attempts: parseInt(policy.max_attempts ?? this.maxJobRetries + 1),
+      backoff_seconds: Number(policy.backoff_seconds ?? 30),
+      backoff_multiplier: Number(policy.backoff_multiplier ?? 2),
+      retry_on: policy.retry_on || 'infrastructure'
+    };
+
+    if (!Number.isInteger(normalized.max_attempts) || normalized.max_attempts < 1 || normalized.max_attempts > 10) {
+      throw new Error('retry_policy.max_attempts must be an integer between 1 and 10');
+    }
+    if (!(normalized.backoff_seconds >= 0)) {
+      throw new Error('retry_policy.backoff_seconds must be zero or positive');
+    }
+    if (!(normalized.backoff_multiplier >= 1)) {
+      throw new Error('retry_policy.backoff_multiplier must be at least 1');
+    }
+    if (!RETRYABLE_FAILURES[normalized.retry_on]) {
+      throw new Error(`retry_policy.retry_on must be one of: ${Object.keys(RETRYABLE_FAILURES).join(', ')}`);
+    }
+
+    return normalized;
+  }
+
+  // Requeue a failed attempt if the job's policy allows it; returns false when the
+  // failure is final and the caller should move the job to a terminal status.
+  async scheduleRetry(job, failure) {
+    const policy = this.parseJsonField(job.retry_policy) || this.normalizeRetryPolicy();
+    const attempt = (job.retry_count || 0) + 1;
+
+    if (attempt >= policy.max_attempts || !RETRYABLE_FAILURES[policy.retry_on].includes(failure.type)) {
+      return false;
+    }
+
+    const delaySeconds = Math.round(policy.backoff_seconds * Math.pow(policy.backoff_multiplier, attempt - 1));
+    const nextStatus = delaySeconds > 0 ? 'retrying' : 'queued';
+
+    const retried = await this.db.query(`
+      UPDATE jobs SET 
+        status = $2, 
+        device_id = NULL, 
+        started_at = NULL, 
+        progress = 0, 
+        retry_count = retry_count + 1, 
+        error_message = $3,
+        next_attempt_at = NOW() + make_interval(secs => $4)
+      WHERE job_id = $1 AND status IN ('assigned', 'running')
+      RETURNING *
+    `, [job.job_id, nextStatus, failure.message || null, delaySeconds]);
+
+    if (retried.rows.length === 0) return false;
+
+    if (nextStatus === 'queued') {
+      // Retried jobs go to the consuming end of their queue so they run next
+      await this.redis.rPush(`queue:${job.target}:${job.priority}`, job.job_id);
+    }
+
+    const delayNote = delaySeconds > 0 ? ` in ${delaySeconds}s` : '';
+    this.publishJobUpdate(retried.rows[0],
+      `Retrying${delayNote} (attempt ${attempt + 1}/${policy.max_attempts}) after ${failure.type} failure` +
+        (failure.message ? `: ${failure.message}` : ''),
+      {
+        ...failure.details,
+        failure_type: failure.type,
+        attempt: attempt + 1,
+        max_attempts: policy.max_attempts,
+        next_attempt_at: new Date(retried.rows[0].next_attempt_at).toISOString()
+      });
+
+    this.log.info(`Job retry scheduled: ${job.job_id} (attempt ${attempt + 1}/${policy.max_attempts}${delayNote})`);
+    return true;
+  }
+
+  // Move retries whose backoff has elapsed back into their Redis queue
+  async releaseDueRetries() {
+    const due = await this.db.query(`
+      UPDATE jobs SET status = 'queued'
+      WHERE status = 'retrying' AND next_attempt_at <= NOW()
+      RETURNING *
+    `);
+
+    for (const job of due.rows) {
+      await this.redis.rPush(`queue:${job.target}:${job.priority}`, job.job_id);
+      this.publishJobUpdate(job, `Backoff elapsed, attempt ${job.retry_count + 1} queued`);
+    }
+  }
+
+  // Attempt history: one job_attempts row per assignment of a job to a device
+  async openAttempt(job, deviceId) {
+    await this.db.query(`
+      INSERT INTO job_attempts (job_id, attempt_number, device_id, status, assigned_at)
+      VALUES ($1, $2, $3, 'assigned', NOW())
+      ON CONFLICT (job_id, attempt_number) DO UPDATE SET
+        device_id = $3, status = 'assigned', assigned_at = NOW(), started_at = NULL, completed_at = NULL
+    `, [job.job_id, (job.retry_count || 0) + 1, deviceId]);
+  }
+
+  async markAttemptStarted(job) {
+    await this.db.query(`
+      UPDATE job_attempts SET status = 'running', started_at = COALESCE(started_at, NOW())
+      WHERE job_id = $1 AND attempt_number = $2 AND completed_at IS NULL
+    `, [job.job_id, (job.retry_count || 0) + 1]);
+  }
+
+  async finishAttempt(job, outcome) {
+    await this.db.query(`
+      UPDATE job_attempts SET 
+        status = $3, 
+        failure_type = $4, 
+        error_message = $5, 
+        test_results = $6, 
+        artifacts = $7, 
+        completed_at = NOW()
+      WHERE job_id = $1 AND attempt_number = $2 AND completed_at IS NULL
+    `, [
+      job.job_id, (job.retry_count || 0) + 1, outcome.status, outcome.failure_type || null,
+      outcome.error_message || null,
+      outcome.test_results ? JSON.stringify(outcome.test_results) : null,
+      outcome.artifacts ? JSON.stringify(outcome.artifacts) : null
+    ]);
+  }
+
+  async getJobAttempts(jobId) {
+    const result = await this.db.query(`
+      SELECT *, EXTRACT(EPOCH FROM (completed_at - started_at)) AS duration_seconds
+      FROM job_attempts WHERE job_id = $1
+      ORDER BY attempt_number ASC
+    `, [jobId]);
+    return result.rows;
+  }
+
+  // Position of a queued job in the order the scheduling policy would dispatch
+  // it; only jobs for the same target count as ahead. Returns null when the job
+  // is not queued.
+  async getQueuePosition(job) {
+    const policy = await this.getSchedulingPolicy();
+    const order = policy.orderQueuedJobs(await this.loadQueuedJobs(), await this.getOrgUsage());
+    const index = order.findIndex(queued => queued.job_id === job.job_id);
+    if (index === -1) return null;
+
+    const aheadJobIds = order.slice(0, index)
+      .filter(queued => queued.target === job.target)
+      .map(queued => queued.job_id);
+
+    return { position: aheadJobIds.length + 1, aheadJobIds };
+  }
+
+  // Average run time per target/test_path over the last 30 days, cached briefly
+  async getHistoricalDurations() {
+    if (this.durationCache && Date.now() - this.durationCache.loadedAt < 60000) {
+      return this.durationCache.durations;
+    }
+
+    const result = await this.db.query(`
+      SELECT target, test_path, AVG(EXTRACT(EPOCH FROM (completed_at - started_at))) AS avg_seconds, COUNT(*) AS runs
+      FROM jobs
+      WHERE status IN ('completed', 'failed') 
+        AND started_at IS NOT NULL 
+        AND completed_at > NOW() - INTERVAL '30 days'
+      GROUP BY target, test_path
+    `);
+
+    const durations = new Map();
+    const targetTotals = new Map();
+    for (const row of result.rows) {
+      const avg = parseFloat(row.avg_seconds);
+      const runs = parseInt(row.runs);
+      durations.set(`${row.target}:${row.test_path}`, avg);
+
+      const totals = targetTotals.get(row.target) || { seconds: 0, runs: 0 };
+      totals.seconds += avg * runs;
+      totals.runs += runs;
+      targetTotals.set(row.target, totals);
+    }
+    for (const [target, totals] of targetTotals) {
+      durations.set(target, totals.seconds / totals.runs);
+    }
+
+    this.durationCache = { durations, loadedAt: Date.now() };
+    return durations;
+  }
+
+  expectedDuration(durations, target, testPath) {
+    return durations.get(`${target}:${testPath}`) ?? durations.get(target) ?? DEFAULT_JOB_DURATION_SECONDS;
+  }
+
+  // Simulate the scheduler: matching devices become free as their current jobs
+  // finish, and each job ahead occupies the earliest free device in turn.
+  async estimateStartTime(job) {
+    const requirements = this.parseJsonField(job.device_requirements) || {};
+    const durations = await this.getHistoricalDurations();
+    const expectedSeconds = this.expectedDuration(durations, job.target, job.test_path);
+    const now = Date.now();
+    const estimate = {
+      queue_position: null,
+      jobs_ahead: 0,
+      matching_devices: 0,
+      expected_duration_seconds: Math.round(expectedSeconds),
+      estimated_start_time: null,
+      estimated_completion_time: null
+    };
+
+    if (['assigned', 'running'].includes(job.status)) {
+      const started = job.started_at ? new Date(job.started_at).getTime() : now;
+      estimate.estimated_start_time = new Date(started).toISOString();
+      estimate.estimated_completion_time = new Date(started + expectedSeconds * 1000).toISOString();
+      return estimate;
+    }
+    if (job.status !== 'queued') {
+      return estimate;
+    }
+
+    const queue = await this.getQueuePosition(job);
+    if (!queue) return estimate;
+    estimate.queue_position = queue.position;
+    estimate.jobs_ahead = queue.aheadJobIds.length;
+
+    // Seconds until each matching device (or BrowserStack slot) is free
+    let freeIn;
+    if (job.target === 'browserstack') {
+      const slots = parseInt(process.env.BROWSERSTACK_MAX_PARALLEL) || 5;
+      const running = await this.db.query(`
+        SELECT target, test_path, started_at FROM jobs 
+        WHERE device_id = 'browserstack' AND status IN ('assigned', 'running')
+      `);
+      freeIn = Array.from({ length: slots }, (_, i) => {
+        const current = running.rows[i];
+        return current ? this.remainingSeconds(durations, current, now) : 0;
+      });
+    } else {
+      const devices = await this.db.query(`
+        SELECT d.*, j.target AS job_target, j.test_path AS job_test_path, j.started_at AS job_started_at
+        FROM devices d LEFT JOIN jobs j ON j.job_id = d.current_job_id
+        WHERE d.status IN ('available', 'busy')
+      `);
+      freeIn = devices.rows
+        .filter(device => this.deviceMatches(device, requirements))
+        .map(device => (device.status === 'available' || !device.job_target ? 0 : this.remainingSeconds(durations, {
+          target: device.job_target,
+          test_path: device.job_test_path,
+          started_at: device.job_started_at
+        }, now)));
+    }
+
+    estimate.matching_devices = freeIn.length;
+    if (freeIn.length === 0) {
+      // Nothing can run this job right now, so no honest ETA; say why instead
+      if (job.target !== 'browserstack') {
+        estimate.unmatched = await this.explainNoMatch(requirements);
+      }
+      return estimate;
+    }
+
+    if (queue.aheadJobIds.length > 0) {
+      const ahead = await this.db.query(`
+        SELECT job_id, target, test_path FROM jobs WHERE job_id = ANY($1)
+      `, [queue.aheadJobIds]);
+      const aheadById = new Map(ahead.rows.map(row => [row.job_id, row]));
+
+      for (const jobId of queue.aheadJobIds) {
+        const aheadJob = aheadById.get(jobId);
+        if (!aheadJob) continue;
+        freeIn.sort((a, b) => a - b);
+        freeIn[0] += this.expectedDuration(durations, aheadJob.target, aheadJob.test_path);
+      }
+    }
+
+    // Allow for the job to wait for the next scheduler tick on average
+    const startIn = Math.min(...freeIn) + SCHEDULER_INTERVAL_MS / 2000;
+    estimate.estimated_start_time = new Date(now + startIn * 1000).toISOString();
+    estimate.estimated_completion_time = new Date(now + (startIn + expectedSeconds) * 1000).toISOString();
+    return estimate;
+  }
+
+  remainingSeconds(durations, job, now) {
+    if (!job.started_at) return this.expectedDuration(durations, job.target, job.test_path);
+    const elapsed = (now - new Date(job.started_at).getTime()) / 1000;
+    return Math.max(0, this.expectedDuration(durations, job.target, job.test_path) - elapsed);
+  }
+
+  // Prometheus text exposition. The gauges are rebuilt from Postgres and Redis
+  // on every scrape so statuses and queues that emptied drop out.
+  async renderMetrics() {
+    const jobStats = await this.db.query(`
+      SELECT status, COUNT(*) as count FROM jobs 
+      GROUP BY status
+    `);
+
+    const deviceStats = await this.db.query(`
+      SELECT status, COUNT(*) as count FROM devices 
+      GROUP BY status
+    `);
+
+    const queueDepths = await this.getQueueDepths();
+
+    this.metrics.jobs.reset();
+    for (const row of jobStats.rows) {
+      this.metrics.jobs.set({ status: row.status }, parseInt(row.count));
+    }
+    this.metrics.devices.reset();
+    for (const row of deviceStats.rows) {
+      this.metrics.devices.set({ status: row.status }, parseInt(row.count));
+    }
+    this.metrics.queueDepth.reset();
+    for (const queue of queueDepths) {
+      this.metrics.queueDepth.set({ target: queue.target, priority: queue.priority }, queue.depth);
+    }
+
+    return this.metricsRegistry.render();
+  }
+
+  // LLEN of each queue: the standard targets at every priority, plus any other
+  // target/priority Postgres has queued jobs for. Queue names are never listed
+  // from Redis, which would mean a KEYS or SCAN over the whole keyspace.
+  async getQueueDepths() {
+    const queues = new Map();
+    const addQueue = (target, priority) => queues.set(`queue:${target}:${priority}`, { target, priority });
+
+    for (const target of QUEUE_TARGETS) {
+      SchedulingPolicy.PRIORITIES.forEach(priority => addQueue(target, priority));
+    }
+    const queued = await this.db.query(`
+      SELECT DISTINCT target, priority FROM jobs WHERE status = 'queued'
+    `);
+    queued.rows.forEach(row => addQueue(row.target, row.priority));
+
+    const depths = [];
+    for (const [queueKey, queue] of queues) {
+      depths.push({ ...queue, depth: await this.redis.lLen(queueKey) });
+    }
+    return depths;
+  }
+
+  // Queue wait runs from submission, or from when a retry's backoff elapsed or
+  // a blocked job's upstream jobs finished (next_attempt_at), to assignment.
+  // It is also reported as a job.queue span.
+  recordQueueWait(job) {
+    const queuedAt = new Date(job.next_attempt_at || job.created_at).getTime();
+    this.metrics.queueWait.observe({ target: job.target, priority: job.priority },
+      Math.max(0, (Date.now() - queuedAt) / 1000));
+
+    this.tracer.startSpan('job.queue', {
+      parent: this.jobContext(job),
+      startTime: queuedAt,
+      attributes: { 'qualgen.job_id': job.job_id, 'qualgen.target': job.target, 'qualgen.priority': job.priority }
+    }).end();
+  }
+
+  // The job's span, from submission to its terminal status, under the IDs
+  // reserved for it when it was created
+  traceJobFinished(job) {
+    const trace = this.parseJsonField(job.trace_context);
+    if (!trace) return;
+
+    const span = this.tracer.startSpan('job', {
+      context: trace,
+      startTime: new Date(job.created_at).getTime(),
+      attributes: {
+        'qualgen.job_id': job.job_id,
+        'qualgen.org_id': job.org_id,
+        'qualgen.target': job.target,
+        'qualgen.status': job.status,
+        'qualgen.device_id': job.device_id,
+        'qualgen.retry_count': job.retry_count
+      }
+    });
+    span.setStatus(job.status === 'completed' ? 'ok' : 'error', job.status === 'completed' ? null : (job.error_message || job.status));
+    span.end(job.completed_at ? new Date(job.completed_at).getTime() : Date.now());
+  }
+
+  // Trace and log context for work on a job: its trace, under the job's span
+  jobContext(job) {
+    const trace = this.parseJsonField(job.trace_context);
+    return { trace_id: trace && trace.trace_id, span_id: trace && trace.span_id, job_id: job.job_id };
+  }
+
+  // Sharding parents only aggregate their shards, which are counted themselves
+  recordJobFinished(job) {
+    if (job.shard_count) return;
+
+    this.metrics.jobsFinished.inc({ org_id: job.org_id, target: job.target, status: job.status });
+    if (job.started_at && job.completed_at) {
+      const seconds = (new Date(job.completed_at).getTime() - new Date(job.started_at).getTime()) / 1000;
+      this.metrics.runDuration.observe({ target: job.target, status: job.status }, Math.max(0, seconds));
+    }
+  }
+
+  // Scheduler to assign jobs to devices
+  startScheduler() {
+    setInterval(async () => {
+      try {
+        await this.scheduleJobs();
+      } catch (error) {
+        this.log.error('Scheduler error', error);
+      }
+    }, SCHEDULER_INTERVAL_MS);
+
+    this.log.info('Job scheduler started');
+  }
+
+  // Reaper to detect dead agents and recover the jobs they were holding
+  startReaper() {
+    setInterval(async () => {
+      try {
+        await this.reapOfflineDevices();
+      } catch (error) {
+        this.log.error('Reaper error', error);
+      }
+    }, this.heartbeatIntervalMs);
+
+    this.log.info(`Device reaper started (offline after ${this.maxMissedHeartbeats} missed heartbeats)`);
+  }
+
+  async reapOfflineDevices() {
+    const staleAfterSeconds = (this.heartbeatIntervalMs / 1000) * this.maxMissedHeartbeats;
+
+    const stale = await this.db.query(`
+      UPDATE devices SET status = 'offline', current_job_id = NULL
+      WHERE device_id IN (
+        SELECT device_id FROM devices
+        WHERE status <> 'offline' AND last_heartbeat < NOW() - make_interval(secs => $1)
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING device_id, name, last_heartbeat
+    `, [staleAfterSeconds]);
+
+    for (const device of stale.rows) {
+      this.log.warn(`Device offline: ${device.device_id} (last heartbeat ${new Date(device.last_heartbeat).toISOString()})`);
+      await this.publishDeviceStatus(device.device_id);
+      await this.emitWebhookEvent('device.offline', null, {
+        device_id: device.device_id,
+        name: device.name,
+        last_heartbeat: new Date(device.last_heartbeat).toISOString()
+      });
+
+      const orphaned = await this.db.query(`
+        SELECT * FROM jobs WHERE device_id = $1 AND status IN ('assigned', 'running')
+      `, [device.device_id]);
+
+      for (const job of orphaned.rows) {
+        await this.recoverOrphanedJob(job, device, staleAfterSeconds);
+      }
+    }
+  }
+
+  async recoverOrphanedJob(job, device, staleAfterSeconds) {
+    const reason = `Device ${device.device_id} missed ${this.maxMissedHeartbeats} heartbeats ` +
+      `(no contact for ${Math.round(staleAfterSeconds)}s)`;
+    const details = {
+      reason: 'device_offline',
+      device_id: device.device_id,
+      last_heartbeat: new Date(device.last_heartbeat).toISOString()
+    };
+
+    await this.finishAttempt(job, { status: 'lost', failure_type: 'infrastructure', error_message: reason });
+
+    const retried = await this.scheduleRetry(job, {
+      type: 'infrastructure',
+      message: `Recovered after device failure: ${reason}`,
+      details
+    });
+    if (retried) {
+      this.log.info(`Orphaned job requeued: ${job.job_id}`);
+      return;
+    }
+
+    const failed = await this.db.query(`
+      UPDATE jobs SET status = 'failed', completed_at = NOW(), error_message = $2
+      WHERE job_id = $1 AND status IN ('assigned', 'running')
+      RETURNING *
+    `, [job.job_id, `${reason}; retry budget exhausted`]);
+
+    if (failed.rows.length > 0) {
+      this.publishJobUpdate(failed.rows[0], failed.rows[0].error_message, details);
+      await this.onJobFinished(failed.rows[0]);
+      this.log.info(`Orphaned job failed: ${job.job_id} (retry budget exhausted)`);
+    }
+  }
+
+  // Watchdog that enforces each job's timeout_seconds, measured from started_at
+  startTimeoutWatchdog() {
+    setInterval(async () => {
+      try {
+        await this.enforceJobTimeouts();
+      } catch (error) {
+        this.log.error('Timeout watchdog error', error);
+      }
+    }, 5000);
+
+    this.log.info('Job timeout watchdog started');
+  }
+
+  // Expired keys are also taken over when reused; this only bounds the table
+  startIdempotencyKeyPurge() {
+    setInterval(async () => {
+      try {
+        await this.purgeExpiredIdempotencyKeys();
+      } catch (error) {
+        this.log.error('Idempotency key purge error', error);
+      }
+    }, 60 * 60 * 1000);
+  }
+
+  // Runs enabled schedules through node-cron. Every instance keeps its own
+  // tasks in sync with the schedules table; a run is claimed in Postgres so
+  // only one instance submits it.
+  startCronScheduler() {
+    const sync = async () => {
+      try {
+        await this.syncSchedules();
+      } catch (error) {
+        this.log.error('Schedule sync error', error);
+      }
+    };
+    sync();
+    setInterval(sync, SCHEDULE_SYNC_INTERVAL_MS);
+
+    this.log.info('Cron scheduler started');
+  }
+
+  async syncSchedules() {
+    const result = await this.db.query('SELECT * FROM schedules WHERE enabled = TRUE');
+    const active = new Set();
+
+    for (const schedule of result.rows) {
+      active.add(schedule.schedule_id);
+      this.startCronTask(schedule);
+    }
+    for (const scheduleId of this.cronTasks.keys()) {
+      if (!active.has(scheduleId)) {
+        this.stopCronTask(scheduleId);
+      }
+    }
+  }
+
+  startCronTask(schedule) {
+    const signature = `${schedule.cron_expression}|${schedule.timezone}`;
+    const existing = this.cronTasks.get(schedule.schedule_id);
+    if (existing && existing.signature === signature) return;
+    if (existing) this.stopCronTask(schedule.schedule_id);
+
+    const task = cron.schedule(schedule.cron_expression, () => {
+      this.runSchedule(schedule.schedule_id).catch(error => {
+        this.log.error(`Schedule ${schedule.schedule_id} run error`, error);
+      });
+    }, { timezone: schedule.timezone });
+
+    this.cronTasks.set(schedule.schedule_id, { task, signature });
+  }
+
+  stopCronTask(scheduleId) {
+    const existing = this.cronTasks.get(scheduleId);
+    if (existing) {
+      existing.task.stop();
+      this.cronTasks.delete(scheduleId);
+    }
+  }
+
+  // Check a schedule's job template the way submitJob would, without an app
+  // version when the strategy resolves one at run time
+  normalizeJobTemplate(template) {
+    if (typeof template !== 'object' || template === null || Array.isArray(template)) {
+      throw new Error('job_template must be an object');
+    }
+
+    const normalized = { ...template, app_version_strategy: template.app_version_strategy || 'fixed' };
+    if (!APP_VERSION_STRATEGIES.includes(normalized.app_version_strategy)) {
+      throw new Error(`job_template.app_version_strategy must be one of: ${APP_VERSION_STRATEGIES.join(', ')}`);
+    }
+    const required = ['test_path', 'target'];
+    if (normalized.app_version_strategy === 'fixed') required.push('app_version_id');
+    for (const field of required) {
+      if (!normalized[field]) {
+        throw new Error(`Missing required field: job_template.${field}`);
+      }
+    }
+
+    SchedulingPolicy.normalizePriority(normalized.priority);
+    DeviceRequirements.validate(normalized.device_requirements || {});
+    this.normalizeRetryPolicy(normalized.retry_policy);
+    if (normalized.sharding) TestSharder.validate(normalized.sharding);
+
+    return normalized;
+  }
+
+  async createSchedule(scheduleData) {
+    const { org_id: orgId, name = null, cron: cronExpression, timezone = 'UTC' } = scheduleData;
+    if (!orgId) {
+      throw new Error('Missing required field: org_id');
+    }
+    if (!cronExpression || !cron.validate(cronExpression)) {
+      throw new Error(`Invalid cron expression: ${cronExpression}`);
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new Error(`Unknown timezone: ${timezone}`);
+    }
+    const template = this.normalizeJobTemplate(scheduleData.job_template);
+
+    const scheduleId = `qs_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+    const result = await this.db.query(`
+      INSERT INTO schedules (schedule_id, org_id, name, cron_expression, timezone, job_template)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [scheduleId, orgId, name, cronExpression, timezone, JSON.stringify(template)]);
+
+    const schedule = result.rows[0];
+    this.startCronTask(schedule);
+
+    this.log.info(`Schedule created: ${scheduleId} (${cronExpression} ${timezone}) for ${orgId}`);
+    return this.formatSchedule(schedule);
+  }
+
+  async listSchedules(filters = {}) {
+    const params = [];
+    let query = 'SELECT * FROM schedules WHERE 1=1';
+    if (filters.org_id) {
+      params.push(filters.org_id);
+      query += ` AND org_id = $${params.length}`;
+    }
+    query += ' ORDER BY created_at ASC';
+
+    const result = await this.db.query(query, params);
+    return result.rows.map(schedule => this.formatSchedule(schedule));
+  }
+
+  async getSchedule(scheduleId) {
+    const result = await this.db.query('SELECT * FROM schedules WHERE schedule_id = $1', [scheduleId]);
+    return result.rows.length > 0 ? this.formatSchedule(result.rows[0]) : null;
+  }
+
+  async deleteSchedule(scheduleId) {
+    const result = await this.db.query('DELETE FROM schedules WHERE schedule_id = $1 RETURNING *', [scheduleId]);
+    this.stopCronTask(scheduleId);
+    if (result.rows.length === 0) return null;
+
+    this.log.info(`Schedule deleted: ${scheduleId}`);
+    return this.formatSchedule(result.rows[0]);
+  }
+
+  formatSchedule(schedule) {
+    return {
+      schedule_id: schedule.schedule_id,
+      org_id: schedule.org_id,
+      name: schedule.name,
+      cron: schedule.cron_expression,
+      timezone: schedule.timezone,
+      enabled: schedule.enabled,
+      job_template: this.parseJsonField(schedule.job_template),
+      last_run_at: schedule.last_run_at,
+      last_job_id: schedule.last_job_id,
+      last_error: schedule.last_error,
+      created_at: schedule.created_at
+    };
+  }
+
+  // The app version the org most recently submitted a job for
+  async resolveLatestAppVersion(orgId) {
+    const result = await this.db.query(`
+      SELECT app_version_id FROM jobs WHERE org_id = $1 ORDER BY created_at DESC LIMIT 1
+    `, [orgId]);
+    if (result.rows.length === 0) {
+      throw new Error(`No app version has been submitted for ${orgId} yet`);
+    }
+    return result.rows[0].app_version_id;
+  }
+
+  // Submit one run of a schedule. The fire minute is claimed first so that
+  // every instance's cron task can fire but only one submits the job.
+  async runSchedule(scheduleId, firedAt = new Date()) {
+    const minute = new Date(Math.floor(firedAt.getTime() / 60000) * 60000);
+    const claimed = await this.db.query(`
+      UPDATE schedules SET last_run_at = $2
+      WHERE schedule_id = $1 AND enabled = TRUE AND (last_run_at IS NULL OR last_run_at < $2)
+      RETURNING *
+    `, [scheduleId, minute.toISOString()]);
+    if (claimed.rows.length === 0) return null;
+
+    const schedule = claimed.rows[0];
+    const { app_version_strategy: strategy, ...template } = this.parseJsonField(schedule.job_template);
+
+    try {
+      const appVersionId = strategy === 'latest'
+        ? await this.resolveLatestAppVersion(schedule.org_id)
+        : template.app_version_id;
+
+      const job = await this.submitJob({
+        ...template,
+        org_id: schedule.org_id,
+        app_version_id: appVersionId,
+        metadata: {
+          ...template.metadata,
+          schedule_id: scheduleId,
+          scheduled_for: minute.toISOString(),
+          submitted_by: 'scheduler'
+        }
+      });
+
+      await this.db.query(`
+        UPDATE schedules SET last_job_id = $2, last_error = NULL WHERE schedule_id = $1
+      `, [scheduleId, job.job_id]);
+
+      this.log.info(`Schedule ${scheduleId} submitted ${job.job_id} (${schedule.org_id}/${appVersionId})`);
+      return job;
+    } catch (error) {
+      await this.db.query('UPDATE schedules SET last_error = $2 WHERE schedule_id = $1', [scheduleId, error.message]);
+      this.log.error(`Schedule ${scheduleId} could not submit a job: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Retries due webhook deliveries, including ones a crashed instance left leased
+  startWebhookDispatcher() {
+    setInterval(async () => {
+      try {
+        await this.deliverDueWebhooks();
+      } catch (error) {
+        this.log.error('Webhook dispatcher error', error);
+      }
+    }, 10000);
+
+    this.log.info('Webhook dispatcher started');
+  }
+
+  async createWebhook(webhookData) {
+    if (!webhookData.org_id) {
+      throw new Error('Missing required field: org_id');
+    }
+    const url = WebhookDelivery.validateUrl(webhookData.url);
+    const events = WebhookDelivery.validateEvents(webhookData.events);
+    const secret = webhookData.secret || WebhookDelivery.generateSecret();
+
+    const webhookId = `qw_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+    const result = await this.db.query(`
+      INSERT INTO webhooks (webhook_id, org_id, url, secret, events, description)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [webhookId, webhookData.org_id, url, secret, events, webhookData.description || null]);
+
+    this.log.info(`Webhook registered: ${webhookId} → ${url} (${events.join(', ')})`);
+
+    // The secret is only ever returned here
+    return { ...this.formatWebhook(result.rows[0]), secret };
+  }
+
+  async listWebhooks(filters = {}) {
+    const params = [];
+    let query = 'SELECT * FROM webhooks WHERE 1=1';
+    if (filters.org_id) {
+      params.push(filters.org_id);
+      query += ` AND org_id = $${params.length}`;
+    }
+    query += ' ORDER BY created_at ASC';
+
+    const result = await this.db.query(query, params);
+    return result.rows.map(webhook => this.formatWebhook(webhook));
+  }
+
+  async deleteWebhook(webhookId) {
+    const result = await this.db.query('DELETE FROM webhooks WHERE webhook_id = $1 RETURNING *', [webhookId]);
+    if (result.rows.length === 0) return null;
+
+    // Stop retrying deliveries for an endpoint that no longer exists
+    await this.db.query(`
+      UPDATE webhook_deliveries SET status = 'failed', last_error = 'Webhook deleted' 
+      WHERE webhook_id = $1 AND status IN ('pending', 'delivering')
+    `, [webhookId]);
+
+    this.log.info(`Webhook deleted: ${webhookId}`);
+    return this.formatWebhook(result.rows[0]);
+  }
+
+  formatWebhook(webhook) {
+    return {
+      webhook_id: webhook.webhook_id,
+      org_id: webhook.org_id,
+      url: webhook.url,
+      events: webhook.events,
+      enabled: webhook.enabled,
+      description: webhook.description,
+      created_at: webhook.created_at
+    };
+  }
+
+  async getWebhookDeliveries(webhookId, filters = {}) {
+    const webhook = await this.db.query('SELECT webhook_id FROM webhooks WHERE webhook_id = $1', [webhookId]);
+    if (webhook.rows.length === 0) return null;
+
+    const params = [webhookId];
+    let query = 'SELECT * FROM webhook_deliveries WHERE webhook_id = $1';
+    if (filters.status) {
+      params.push(filters.status);
+      query += ` AND status = $${params.length}`;
+    }
+    params.push(Math.min(parseInt(filters.limit) || 50, 500));
+    query += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+
+    const result = await this.db.query(query, params);
+    return result.rows.map(delivery => ({
+      ...delivery,
+      payload: this.parseJsonField(delivery.payload),
+      attempt_log: this.parseJsonField(delivery.attempt_log) || []
+    }));
+  }
+
+  async redeliverWebhook(webhookId, deliveryId) {
+    const result = await this.db.query(`
+      UPDATE webhook_deliveries SET status = 'pending', next_attempt_at = NOW()
+      WHERE webhook_id = $1 AND delivery_id = $2 AND status <> 'delivering'
+      RETURNING delivery_id, webhook_id, event_type, status
+    `, [webhookId, deliveryId]);
+    if (result.rows.length === 0) return null;
+
+    this.deliverWebhook(deliveryId).catch(error => this.log.error('Webhook delivery error', error));
+    return result.rows[0];
+  }
+
+  async emitJobWebhook(eventType, job) {
+    if (!eventType) return;
+
+    await this.emitWebhookEvent(eventType, job.org_id, {
+      job_id: job.job_id,
+      status: job.status,
+      app_version_id: job.app_version_id,
+      test_path: job.test_path,
+      target: job.target,
+      priority: job.priority,
+      device_id: job.device_id || null,
+      group_id: job.group_id || null,
+      parent_job_id: job.parent_job_id || null,
+      build_id: job.build_id || null,
+      error_message: job.error_message || null,
+      test_results: this.parseJsonField(job.test_results) || null,
+      created_at: job.created_at,
+      started_at: job.started_at || null,
+      completed_at: job.completed_at || null
+    });
+  }
+
+  // Record a delivery for every subscribed webhook of the org (device events,
+  // orgId null, go to every org's subscribers) and send them right away.
+  // Never throws: a webhook problem must not fail the job transition.
+  async emitWebhookEvent(eventType, orgId, data) {
+    try {
+      const webhooks = orgId
+        ? await this.db.query('SELECT * FROM webhooks WHERE org_id = $1 AND enabled = TRUE', [orgId])
+        : await this.db.query('SELECT * FROM webhooks WHERE enabled = TRUE');
+
+      for (const webhook of webhooks.rows) {
+        if (!WebhookDelivery.subscribes(webhook.events, eventType)) continue;
+
+        const deliveryId = `qe_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+        const payload = {
+          id: deliveryId,
+          event: eventType,
+          org_id: webhook.org_id,
+          created_at: new Date().toISOString(),
+          data
+        };
+        await this.db.query(`
+          INSERT INTO webhook_deliveries (delivery_id, webhook_id, event_type, payload)
+          VALUES ($1, $2, $3, $4)
+        `, [deliveryId, webhook.webhook_id, eventType, JSON.stringify(payload)]);
+
+        this.deliverWebhook(deliveryId).catch(error => this.log.error('Webhook delivery error', error));
+      }
+    } catch (error) {
+      this.log.error(`Webhook event ${eventType} error`, error);
+    }
+  }
+
+  async deliverDueWebhooks() {
+    const due = await this.db.query(`
+      SELECT delivery_id FROM webhook_deliveries 
+      WHERE status IN ('pending', 'delivering') AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at ASC
+      LIMIT 50
+    `);
+
+    for (const { delivery_id: deliveryId } of due.rows) {
+      await this.deliverWebhook(deliveryId);
+    }
+  }
+
+  // One attempt at a delivery. The lease taken here keeps other instances
+  // (and the retry loop) off it until the attempt has been recorded.
+  async deliverWebhook(deliveryId) {
+    const claimed = await this.db.query(`
+      UPDATE webhook_deliveries SET 
+        status = 'delivering', 
+        attempts = attempts + 1, 
+        next_attempt_at = NOW() + make_interval(secs => $2)
+      WHERE delivery_id = $1 AND status IN ('pending', 'delivering') AND next_attempt_at <= NOW()
+      RETURNING *
+    `, [deliveryId, WEBHOOK_LEASE_SECONDS]);
+    if (claimed.rows.length === 0) return;
+
+    const delivery = claimed.rows[0];
+    const webhook = await this.db.query('SELECT * FROM webhooks WHERE webhook_id = $1', [delivery.webhook_id]);
+    if (webhook.rows.length === 0) {
       await this.db.query(`
-        INSERT INTO job_groups (group_id, app_version_id, org_id, target, job_ids)
-        VALUES ($1, $2, $3, $4, $5)
-        ON CONFLICT (group_id) DO UPDATE SET job_ids = $5
-      `, [groupId, appVersionId, orgId, target, jobIds]);
+        UPDATE webhook_deliveries SET status = 'failed', last_error = 'Webhook deleted' WHERE delivery_id = $1
+      `, [deliveryId]);
+      return;
+    }
+
+    const { url, secret } = webhook.rows[0];
+    const body = JSON.stringify(this.parseJsonField(delivery.payload));
+    const startedAt = Date.now();
+    let statusCode = null;
+    let errorMessage = null;
+
+    try {
+      const response = await axios.post(url, body, {
+        headers: WebhookDelivery.headers({ secret, eventType: delivery.event_type, deliveryId, body }),
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        errorMessage = `HTTP ${statusCode}`;
+      }
+    } catch (error) {
+      errorMessage = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+
+    const attempt = {
+      attempt: delivery.attempts,
+      at: new Date(startedAt).toISOString(),
+      status_code: statusCode,
+      error: errorMessage,
+      duration_ms: Date.now() - startedAt
+    };
+
+    let status;
+    let retryInSeconds = 0;
+    if (!errorMessage) {
+      status = 'succeeded';
+    } else if (WebhookDelivery.isRetryable(statusCode) && delivery.attempts < WEBHOOK_MAX_ATTEMPTS) {
+      status = 'pending';
+      retryInSeconds = WebhookDelivery.backoffSeconds(delivery.attempts);
+    } else {
+      status = 'failed';
+    }
+
+    await this.db.query(`
+      UPDATE webhook_deliveries SET 
+        status = $2, 
+        last_status_code = $3, 
+        last_error = $4, 
+        attempt_log = attempt_log || $5::jsonb,
+        next_attempt_at = NOW() + make_interval(secs => $6),
+        delivered_at = CASE WHEN $2 = 'succeeded' THEN NOW() ELSE delivered_at END
+      WHERE delivery_id = $1
+    `, [deliveryId, status, statusCode, errorMessage, JSON.stringify([attempt]), retryInSeconds]);
 
-      console.log(`👥 Grouped ${jobIds.length} jobs for app version ${appVersionId}`);
+    if (status === 'pending') {
+      this.log.warn(`Webhook ${delivery.event_type} to ${url} failed (${errorMessage}); retrying in ${retryInSeconds}s`);
+    } else if (status === 'failed') {
+      this.log.warn(`Webhook ${delivery.event_type} to ${url} failed after ${delivery.attempts} attempt(s): ${errorMessage}`);
     }
   }
 
-  async getJobStatus(jobId) {
-    const result = await this.db.query('SELECT * FROM jobs WHERE job_id = $1', [jobId]);
-    
+  async enforceJobTimeouts() {
+    const expired = await this.db.query(`
+      SELECT * FROM jobs
+      WHERE status = 'running' 
+        AND started_at + make_interval(secs => timeout_seconds) < NOW()
+    `);
+
+    for (const job of expired.rows) {
+      const message = `Job exceeded its timeout of ${job.timeout_seconds}s`;
+      const details = {
+        reason: 'timeout',
+        timeout_seconds: job.timeout_seconds,
+        started_at: new Date(job.started_at).toISOString()
+      };
+
+      this.log.info(`Job timed out: ${job.job_id} (limit ${job.timeout_seconds}s)`);
+      await this.finishAttempt(job, { status: 'timed_out', failure_type: 'timeout', error_message: message });
+
+      if (await this.scheduleRetry(job, { type: 'timeout', message, details })) {
+        await this.abortJobOnDevice(job, 'timeout', 'timeout-watchdog');
+        continue;
+      }
+
+      const timedOut = await this.db.query(`
+        UPDATE jobs SET status = 'timed_out', completed_at = NOW(), error_message = $2
+        WHERE job_id = $1 AND status = 'running'
+        RETURNING *
+      `, [job.job_id, message]);
+
+      if (timedOut.rows.length === 0) continue;
+
+      await this.abortJobOnDevice(job, 'timeout', 'timeout-watchdog');
+      this.publishJobUpdate(timedOut.rows[0], message, details);
+      await this.onJobFinished(timedOut.rows[0]);
+    }
+  }
+
+  // Tell the agent to abort a job, then release the device for other work
+  async abortJobOnDevice(job, reason, issuedBy) {
+    if (!job.device_id || !await this.getDevice(job.device_id)) return;
+
+    await this.enqueueDeviceCommand(job.device_id, 'cancel-job', {
+      job_id: job.job_id,
+      reason
+    }, { issuedBy, ttlSeconds: job.timeout_seconds });
+
+    await this.releaseDevice(job.device_id, job.job_id);
+  }
+
+  async scheduleJobs() {
+    await this.releaseDueRetries();
+    await this.recoverExpiredLeases();
+
+    if (!this.queuesReconciled) {
+      await this.reconcileQueues();
+      this.queuesReconciled = true;
+    }
+
+    // Get available devices
+    const availableDevices = await this.db.query(`
+      SELECT * FROM devices 
+      WHERE status = 'available' 
+      ORDER BY last_heartbeat DESC
+    `);
+
+    if (availableDevices.rows.length === 0) {
+      return; // No available devices
+    }
+
+    // Walk queued jobs in policy order while devices remain, skipping orgs at their limits
+    const policy = await this.getSchedulingPolicy();
+    const order = policy.orderQueuedJobs(await this.loadQueuedJobs(), await this.getOrgUsage());
+    if (order.length === 0) return;
+    const quotas = await this.loadQuotaState([...new Set(order.map(job => job.org_id))]);
+
+    for (const job of order) {
+      if (availableDevices.rows.length === 0) break;
+
+      const quota = quotas.get(job.org_id);
+      if (this.quotaBlocksDispatch(quota)) continue;
+
+      const queueKey = `queue:${job.target}:${job.priority}`;
+      const jobId = await this.leaseJob(queueKey, job.job_id);
+
+      if (jobId && await this.assignJobToDevice(jobId, availableDevices.rows, job.target, queueKey)) {
+        quota.usage.concurrent_jobs++;
+      }
+    }
+  }
+
+  async loadQueuedJobs() {
+    const result = await this.db.query(`
+      SELECT job_id, org_id, target, priority, created_at FROM jobs 
+      WHERE status = 'queued' 
+      ORDER BY created_at ASC 
+      LIMIT 1000
+    `);
+    return result.rows;
+  }
+
+  // Jobs each org currently has on devices
+  async getOrgUsage() {
+    const result = await this.db.query(`
+      SELECT org_id, COUNT(*) AS active FROM jobs 
+      WHERE status IN ('assigned', 'running') 
+      GROUP BY org_id
+    `);
+    return new Map(result.rows.map(row => [row.org_id, parseInt(row.active)]));
+  }
+
+  // Limits and current usage for each org. Usage: devices held (a job group on
+  // one device counts once), jobs waiting to run, and device-minutes of
+  // attempts started this calendar month.
+  async loadQuotaState(orgIds) {
+    const limits = await this.db.query('SELECT * FROM org_quotas WHERE org_id = ANY($1)', [orgIds]);
+    const jobs = await this.db.query(`
+      SELECT org_id,
+        COUNT(DISTINCT CASE WHEN status IN ('assigned', 'running') 
+          THEN (CASE WHEN device_id = 'browserstack' THEN job_id ELSE device_id END) END) AS concurrent_jobs,
+        COUNT(*) FILTER (WHERE status IN ('queued', 'retrying', 'blocked')) AS queued_jobs
+      FROM jobs 
+      WHERE org_id = ANY($1) AND status IN ('queued', 'retrying', 'blocked', 'assigned', 'running')
+      GROUP BY org_id
+    `, [orgIds]);
+    const minutes = await this.db.query(`
+      SELECT jobs.org_id, 
+        SUM(EXTRACT(EPOCH FROM (COALESCE(job_attempts.completed_at, NOW()) - job_attempts.started_at))) / 60 AS device_minutes
+      FROM job_attempts JOIN jobs ON jobs.job_id = job_attempts.job_id
+      WHERE jobs.org_id = ANY($1) AND job_attempts.started_at >= date_trunc('month', NOW())
+      GROUP BY jobs.org_id
+    `, [orgIds]);
+    const period = await this.db.query(`
+      SELECT date_trunc('month', NOW()) AS start, date_trunc('month', NOW()) + INTERVAL '1 month' AS resets_at
+    `);
+
+    const limitsByOrg = new Map(limits.rows.map(row => [row.org_id, row]));
+    const jobsByOrg = new Map(jobs.rows.map(row => [row.org_id, row]));
+    const minutesByOrg = new Map(minutes.rows.map(row => [row.org_id, parseFloat(row.device_minutes) || 0]));
+
+    return new Map(orgIds.map(orgId => {
+      const row = limitsByOrg.get(orgId) || {};
+      return [orgId, {
+        limits: Object.fromEntries(QUOTA_FIELDS.map(field => [field, row[field] ?? DEFAULT_QUOTA[field]])),
+        usage: {
+          concurrent_jobs: parseInt(jobsByOrg.get(orgId)?.concurrent_jobs) || 0,
+          queued_jobs: parseInt(jobsByOrg.get(orgId)?.queued_jobs) || 0,
+          device_minutes: Math.round((minutesByOrg.get(orgId) || 0) * 10) / 10
+        },
+        period: period.rows[0]
+      }];
+    }));
+  }
+
+  async getOrgQuota(orgId) {
+    const { limits, usage, period } = (await this.loadQuotaState([orgId])).get(orgId);
+    const left = (limit, used) => (limit === null ? null : Math.max(0, Math.round((limit - used) * 10) / 10));
+
+    return {
+      org_id: orgId,
+      limits,
+      usage,
+      remaining: {
+        concurrent_jobs: left(limits.max_concurrent_jobs, usage.concurrent_jobs),
+        queued_jobs: left(limits.max_queued_jobs, usage.queued_jobs),
+        device_minutes: left(limits.monthly_device_minutes, usage.device_minutes)
+      },
+      period: {
+        start: new Date(period.start).toISOString(),
+        resets_at: new Date(period.resets_at).toISOString()
+      }
+    };
+  }
+
+  // A limit set to null falls back to the server default (ORG_* env vars);
+  // 0 blocks the org entirely
+  async updateOrgQuota(orgId, changes) {
+    const fields = QUOTA_FIELDS.filter(field => field in changes);
+    if (fields.length === 0) {
+      throw new Error(`Nothing to update. Expected any of: ${QUOTA_FIELDS.join(', ')}`);
+    }
+    for (const field of fields) {
+      const value = changes[field];
+      if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+        throw new Error(`${field} must be a non-negative integer, or null for the default`);
+      }
+    }
+
+    await this.db.query(`
+      INSERT INTO org_quotas (org_id, ${fields.join(', ')}, updated_at)
+      VALUES ($1, ${fields.map((_, i) => `$${i + 2}`).join(', ')}, NOW())
+      ON CONFLICT (org_id) DO UPDATE SET 
+        ${fields.map(field => `${field} = EXCLUDED.${field}`).join(', ')}, updated_at = NOW()
+    `, [orgId, ...fields.map(field => changes[field])]);
+
+    this.log.info(`Quota updated for ${orgId}: ${JSON.stringify(changes)}`);
+    return this.getOrgQuota(orgId);
+  }
+
+  // A key either belongs to a member and acts with their role, or stands alone
+  // (e.g. a CI token) with its own role, 'submitter' unless given
+  async createApiKey(orgId, { name = null, role = null, member_id: memberId = null } = {}) {
+    if (memberId) {
+      const member = await this.getMember(orgId, memberId);
+      if (!member) {
+        throw new Error(`Member ${memberId} not found in org ${orgId}`);
+      }
+      role = member.role;
+    } else {
+      role = ApiAuth.validateRole(role || 'submitter');
+    }
+
+    const { token, prefix, hash } = ApiAuth.generate('api_key');
+    const keyId = `qk_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+
+    const result = await this.db.query(`
+      INSERT INTO api_keys (key_id, org_id, name, key_prefix, key_hash, role, member_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING key_id, org_id, name, key_prefix, role, member_id, created_at
+    `, [keyId, orgId, name, prefix, hash, role, memberId]);
+
+    this.log.info(`API key created: ${keyId} (${prefix}...) for ${orgId} as ${role}`);
+    return { ...result.rows[0], api_key: token };
+  }
+
+  async listApiKeys(orgId) {
+    const result = await this.db.query(`
+      SELECT k.key_id, k.org_id, k.name, k.key_prefix, COALESCE(m.role, k.role) AS role, k.member_id,
+             m.email AS member_email, k.created_at, k.last_used_at, k.revoked_at
+      FROM api_keys k
+      LEFT JOIN org_members m ON m.member_id = k.member_id
+      WHERE k.org_id = $1
+      ORDER BY k.created_at ASC
+    `, [orgId]);
+    return result.rows;
+  }
+
+  async revokeApiKey(orgId, keyId) {
+    const result = await this.db.query(`
+      UPDATE api_keys SET revoked_at = NOW() 
+      WHERE key_id = $1 AND org_id = $2 AND revoked_at IS NULL
+      RETURNING key_id, org_id, name, key_prefix, role, member_id, revoked_at
+    `, [keyId, orgId]);
+
+    if (result.rows.length > 0) {
+      this.log.info(`API key revoked: ${keyId} (${orgId})`);
+    }
+    return result.rows[0] || null;
+  }
+
+  async addMember(orgId, { email, name = null, role = 'viewer' } = {}) {
+    if (!email || !/^[^@\s]+@[^@\s]+$/.test(email)) {
+      throw new Error('A valid email is required');
+    }
+    ApiAuth.validateRole(role);
+
+    const memberId = `qm_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+    const result = await this.db.query(`
+      INSERT INTO org_members (member_id, org_id, email, name, role)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (org_id, email) DO NOTHING
+      RETURNING *
+    `, [memberId, orgId, email.toLowerCase(), name, role]);
+
     if (result.rows.length === 0) {
-      return null;
+      throw new Error(`${email} is already a member of ${orgId}`);
     }
+    this.log.info(`Member added to ${orgId}: ${email} (${role})`);
+    return result.rows[0];
+  }
 
-    const job = result.rows[0];
-    
-    // Parse JSON fields
-    job.device_requirements = typeof job.device_requirements === 'string' 
-      ? JSON.parse(job.device_requirements) 
-      : job.device_requirements;
-    job.test_results = typeof job.test_results === 'string' 
-      ? JSON.parse(job.test_results) 
-      : job.test_results;
-    job.metadata = typeof job.metadata === 'string' 
-      ? JSON.parse(job.metadata) 
-      : job.metadata;
+  async listMembers(orgId) {
+    const result = await this.db.query(`
+      SELECT m.*, COUNT(k.key_id) FILTER (WHERE k.revoked_at IS NULL)::int AS active_keys
+      FROM org_members m
+      LEFT JOIN api_keys k ON k.member_id = m.member_id
+      WHERE m.org_id = $1
+      GROUP BY m.member_id
+      ORDER BY m.created_at ASC
+    `, [orgId]);
+    return result.rows;
+  }
+
+  async getMember(orgId, memberId) {
+    const result = await this.db.query('SELECT * FROM org_members WHERE member_id = $1 AND org_id = $2', [memberId, orgId]);
+    return result.rows[0] || null;
+  }
+
+  // The new role applies to the member's existing keys from their next request
+  async updateMemberRole(orgId, memberId, role) {
+    ApiAuth.validateRole(role);
+    const result = await this.db.query(`
+      UPDATE org_members SET role = $3, updated_at = NOW()
+      WHERE member_id = $1 AND org_id = $2
+      RETURNING *
+    `, [memberId, orgId, role]);
+
+    if (result.rows.length > 0) {
+      this.log.info(`Member ${result.rows[0].email} in ${orgId} is now ${role}`);
+    }
+    return result.rows[0] || null;
+  }
+
+  // Removing a member revokes every key issued to them
+  async removeMember(orgId, memberId) {
+    const result = await this.db.query(`
+      DELETE FROM org_members WHERE member_id = $1 AND org_id = $2 RETURNING *
+    `, [memberId, orgId]);
+    if (result.rows.length === 0) return null;
+
+    await this.db.query(`
+      UPDATE api_keys SET revoked_at = NOW() WHERE member_id = $1 AND revoked_at IS NULL
+    `, [memberId]);
+    this.log.info(`Member removed from ${orgId}: ${result.rows[0].email}`);
+    return result.rows[0];
+  }
+
+  // A credential with a device_id can only register and report as that device
+  async createDeviceCredential({ name = null, device_id: deviceId = null } = {}) {
+    const { token, prefix, hash } = ApiAuth.generate('device');
+    const credentialId = `qt_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+
+    const result = await this.db.query(`
+      INSERT INTO device_credentials (credential_id, name, device_id, key_prefix, key_hash)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING credential_id, name, device_id, key_prefix, created_at
+    `, [credentialId, name, deviceId, prefix, hash]);
+
+    this.log.info(`Device credential created: ${credentialId} (${prefix}...)${deviceId ? ` for ${deviceId}` : ''}`);
+    return { ...result.rows[0], device_token: token };
+  }
+
+  async listDeviceCredentials() {
+    const result = await this.db.query(`
+      SELECT credential_id, name, device_id, key_prefix, created_at, last_used_at, revoked_at
+      FROM device_credentials
+      ORDER BY created_at ASC
+    `);
+    return result.rows;
+  }
+
+  async revokeDeviceCredential(credentialId) {
+    const result = await this.db.query(`
+      UPDATE device_credentials SET revoked_at = NOW() 
+      WHERE credential_id = $1 AND revoked_at IS NULL
+      RETURNING credential_id, name, device_id, key_prefix, revoked_at
+    `, [credentialId]);
+
+    if (result.rows.length > 0) {
+      this.log.info(`Device credential revoked: ${credentialId}`);
+    }
+    return result.rows[0] || null;
+  }
+
+  // Append an entry to the audit log. `source` is the Express request or gRPC
+  // call the action came from; a failed write is logged but never fails the action.
+  async audit(source, { org_id: orgId = null, action, target_type: targetType, target_id: targetId = null, before = null, after = null }) {
+    const principal = source.principal || { type: 'system' };
+    const actorId = principal.key_id || principal.credential_id || (principal.type === 'admin' ? 'admin' : null);
+    const auditId = `qa_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+
+    try {
+      await this.db.query(`
+        INSERT INTO audit_log (
+          audit_id, org_id, actor_type, actor_id, actor_role, actor_member_id,
+          action, target_type, target_id, before, after, source_ip
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      `, [
+        auditId, orgId, principal.type, actorId, principal.role || null, principal.member_id || null,
+        action, targetType, targetId,
+        before ? JSON.stringify(this.auditState(before)) : null,
+        after ? JSON.stringify(this.auditState(after)) : null,
+        this.sourceIp(source)
+      ]);
+    } catch (error) {
+      this.log.error(`Audit log write failed (${action} ${targetId})`, error);
+    }
+  }
+
+  // Before/after state as stored: credentials and secrets are dropped, and
+  // `fields` (when given) limits a job or device to the parts worth auditing
+  auditState(state, fields = null) {
+    if (!state) return null;
+    return Object.fromEntries(Object.entries(state)
+      .filter(([key]) => !AUDIT_SECRET_FIELDS.includes(key) && (!fields || fields.includes(key))));
+  }
+
+  // gRPC peers look like 'ipv4:10.0.0.5:51234' or 'ipv6:[::1]:51234'
+  sourceIp(source) {
+    if (typeof source.getPeer === 'function') {
+      const peer = source.getPeer();
+      const match = /^ipv[46]:\[?(.+?)\]?:\d+$/.exec(peer);
+      return match ? match[1] : peer;
+    }
+    return source.ip || null;
+  }
+
+  // WHERE clause for audit queries. `action` takes an exact action or a
+  // prefix such as 'job.*'; since/until bound created_at.
+  auditFilters(filters = {}, afterSeq = null) {
+    const conditions = [];
+    const params = [];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (filters.org_id) add('org_id = ?', filters.org_id);
+    if (filters.actor) add('actor_id = ?', filters.actor);
+    if (filters.action) {
+      if (filters.action.endsWith('.*')) {
+        add('action LIKE ?', `${this.escapeLike(filters.action.slice(0, -1))}%`);
+      } else {
+        add('action = ?', filters.action);
+      }
+    }
+    if (filters.target_type) add('target_type = ?', filters.target_type);
+    if (filters.target_id) add('target_id = ?', filters.target_id);
+    for (const [key, operator] of [['since', '>='], ['until', '<']]) {
+      if (!filters[key]) continue;
+      const time = new Date(filters[key]);
+      if (isNaN(time.getTime())) {
+        throw new Error(`${key} must be an ISO 8601 timestamp`);
+      }
+      add(`created_at ${operator} ?`, time.toISOString());
+    }
+    if (afterSeq !== null) add('seq > ?', afterSeq);
+
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  // Newest first
+  async listAuditLog(filters = {}) {
+    const { where, params } = this.auditFilters(filters);
+    params.push(Math.min(parseInt(filters.limit) || 100, 1000));
+    const result = await this.db.query(`
+      SELECT * FROM audit_log ${where} ORDER BY seq DESC LIMIT $${params.length}
+    `, params);
+    return result.rows.map(row => this.formatAuditEntry(row));
+  }
+
+  // Every matching entry, oldest first, one JSON object per line; pages
+  // through the table so an export never holds the whole log in memory
+  async exportAuditLog(filters, write) {
+    let afterSeq = 0;
+    let exported = 0;
+
+    for (;;) {
+      const { where, params } = this.auditFilters(filters, afterSeq);
+      const result = await this.db.query(`
+        SELECT * FROM audit_log ${where} ORDER BY seq ASC LIMIT ${AUDIT_EXPORT_BATCH}
+      `, params);
+
+      for (const row of result.rows) {
+        write(`${JSON.stringify(this.formatAuditEntry(row))}\n`);
+      }
+      exported += result.rows.length;
+      if (result.rows.length < AUDIT_EXPORT_BATCH) return exported;
+      afterSeq = result.rows[result.rows.length - 1].seq;
+    }
+  }
+
+  formatAuditEntry(row) {
+    return {
+      audit_id: row.audit_id,
+      created_at: row.created_at,
+      org_id: row.org_id,
+      actor: {
+        type: row.actor_type,
+        id: row.actor_id,
+        role: row.actor_role,
+        member_id: row.actor_member_id
+      },
+      action: row.action,
+      target: { type: row.target_type, id: row.target_id },
+      before: row.before,
+      after: row.after,
+      source_ip: row.source_ip
+    };
+  }
+
+  // Submission limits: queue depth and the monthly device-minute budget
+  async enforceSubmitQuota(orgId, jobCount = 1) {
+    const quota = await this.getOrgQuota(orgId);
+    const { limits, usage } = quota;
+
+    if (limits.max_queued_jobs !== null && usage.queued_jobs + jobCount > limits.max_queued_jobs) {
+      throw new QuotaExceededError(
+        `Queue limit reached for org ${orgId}: ${usage.queued_jobs} of ${limits.max_queued_jobs} jobs already waiting` +
+          (jobCount > 1 ? `, cannot add ${jobCount} more` : ''),
+        quota);
+    }
+    if (limits.monthly_device_minutes !== null && usage.device_minutes >= limits.monthly_device_minutes) {
+      const retryAfter = Math.ceil((new Date(quota.period.resets_at).getTime() - Date.now()) / 1000);
+      throw new QuotaExceededError(
+        `Monthly device-minute budget exhausted for org ${orgId}: ` +
+          `${usage.device_minutes} of ${limits.monthly_device_minutes} minutes used, resets ${quota.period.resets_at}`,
+        quota, retryAfter);
+    }
+  }
+
+  // Dispatch limits: devices held at once, and the monthly budget (jobs queued
+  // before it ran out wait for the next period)
+  quotaBlocksDispatch({ limits, usage }) {
+    return (limits.max_concurrent_jobs !== null && usage.concurrent_jobs >= limits.max_concurrent_jobs) ||
+      (limits.monthly_device_minutes !== null && usage.device_minutes >= limits.monthly_device_minutes);
+  }
+
+  async getSchedulingPolicy() {
+    const result = await this.db.query(`SELECT value FROM orchestrator_settings WHERE key = 'scheduling_policy'`);
+    return new SchedulingPolicy(result.rows[0]?.value || {});
+  }
+
+  async updateSchedulingPolicy(changes) {
+    const current = await this.getSchedulingPolicy();
+    const policy = new SchedulingPolicy({ ...current.config, ...changes });
+
+    await this.db.query(`
+      INSERT INTO orchestrator_settings (key, value, updated_at)
+      VALUES ('scheduling_policy', $1, NOW())
+      ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = NOW()
+    `, [JSON.stringify(policy.config)]);
+
+    this.log.info(`Scheduling policy updated: ${JSON.stringify(policy.config)}`);
+    return policy;
+  }
+
+  // Policy plus the per-org picture it is currently acting on
+  async describeScheduling() {
+    const policy = await this.getSchedulingPolicy();
+    const usage = await this.getOrgUsage();
+    const queued = await this.loadQueuedJobs();
+    const now = Date.now();
+
+    const orgs = new Map();
+    const orgFor = orgId => {
+      if (!orgs.has(orgId)) {
+        orgs.set(orgId, {
+          org_id: orgId,
+          weight: policy.weightFor(orgId),
+          active_jobs: usage.get(orgId) || 0,
+          queued_jobs: 0,
+          queued_by_priority: {},
+          promoted_jobs: 0
+        });
+      }
+      return orgs.get(orgId);
+    };
+
+    usage.forEach((_, orgId) => orgFor(orgId));
+    for (const job of queued) {
+      const org = orgFor(job.org_id);
+      org.queued_jobs++;
+      org.queued_by_priority[job.priority] = (org.queued_by_priority[job.priority] || 0) + 1;
+      if (policy.effectivePriority(job, now) > SchedulingPolicy.rankOf(job.priority)) {
+        org.promoted_jobs++;
+      }
+    }
+
+    return {
+      policy: policy.config,
+      priorities: SchedulingPolicy.PRIORITIES,
+      orgs: Array.from(orgs.values()),
+      next_jobs: policy.orderQueuedJobs(queued, usage, now).slice(0, 20).map(job => ({
+        job_id: job.job_id,
+        org_id: job.org_id,
+        target: job.target,
+        priority: job.priority,
+        effective_priority: SchedulingPolicy.priorityName(job.effective_priority),
+        created_at: job.created_at
+      }))
+    };
+  }
+
+  inflightKey(queueKey) {
+    return queueKey.replace(/^queue:/, 'inflight:');
+  }
+
+  // Atomically move a job into the in-flight list under a lease; returns null
+  // when it is no longer in the queue (taken by another instance, or cancelled)
+  async leaseJob(queueKey, jobId) {
+    return this.redis.eval(LEASE_SCRIPT, {
+      keys: [queueKey, this.inflightKey(queueKey), LEASE_ZSET, LEASE_INFO],
+      arguments: [String(Date.now() + LEASE_DURATION_MS), this.instanceId, jobId]
+    });
+  }
+
+  async releaseLease(queueKey, jobId, mode) {
+    await this.redis.eval(RELEASE_SCRIPT, {
+      keys: [this.inflightKey(queueKey), queueKey, LEASE_ZSET, LEASE_INFO],
+      arguments: [jobId, mode]
+    });
+  }
+
+  // Leases left behind by a crashed or stalled orchestrator: jobs Postgres still
+  // has as queued go back to the front of their queue, anything else is dropped.
+  async recoverExpiredLeases() {
+    const now = Date.now();
+    const expired = await this.redis.zRangeByScore(LEASE_ZSET, '-inf', now);
+
+    for (const jobId of expired) {
+      const lease = await this.redis.eval(EXPIRE_LEASE_SCRIPT, {
+        keys: [LEASE_ZSET, LEASE_INFO],
+        arguments: [jobId, String(now)]
+      });
+      if (!lease) continue; // Renewed or recovered by another instance
+
+      const { queue, owner } = JSON.parse(lease);
+      const job = await this.getJobStatus(jobId);
+      const mode = job && job.status === 'queued' ? 'front' : 'drop';
+      await this.releaseLease(queue, jobId, mode);
+
+      this.log.info(`Expired dispatch lease for ${jobId} (held by ${owner}): ${mode === 'front' ? 'requeued' : 'dropped'}`);
+    }
+  }
+
+  // Postgres is the source of truth: push any queued job Redis lost (e.g. a crash
+  // between INSERT and LPUSH). Duplicates are harmless because claims are conditional.
+  async reconcileQueues() {
+    const queued = await this.db.query(`
+      SELECT job_id, target, priority FROM jobs WHERE status = 'queued' ORDER BY created_at ASC
+    `);
+
+    let restored = 0;
+    for (const job of queued.rows) {
+      const queueKey = `queue:${job.target}:${job.priority}`;
+      const inQueue = await this.redis.lPos(queueKey, job.job_id);
+      const inFlight = await this.redis.lPos(this.inflightKey(queueKey), job.job_id);
+
+      if ((inQueue === null || inQueue === undefined) && (inFlight === null || inFlight === undefined)) {
+        await this.redis.lPush(queueKey, job.job_id);
+        restored++;
+      }
+    }
+
+    if (restored > 0) {
+      this.log.info(`Restored ${restored} queued jobs missing from Redis`);
+    }
+
+    // Upstream jobs that finished while no orchestrator was running
+    const blocked = await this.db.query(`SELECT job_id FROM jobs WHERE status = 'blocked' ORDER BY created_at ASC`);
+    for (const job of blocked.rows) {
+      await this.resolveDependencies(job.job_id);
+    }
+  }
+
+  async assignJobToDevice(jobId, availableDevices, target, queueKey) {
+    const job = await this.getJobStatus(jobId);
+    if (!job || job.status !== 'queued') {
+      // Cancelled, or already dispatched by another orchestrator
+      this.unschedulable.delete(jobId);
+      await this.releaseLease(queueKey, jobId, 'drop');
+      return false;
+    }
+
+    // Find suitable devices based on target and requirements
+    const candidates = availableDevices.filter(device =>
+      target === 'browserstack' || this.deviceMatches(device, job.device_requirements));
+    if (candidates.length === 0 && target === 'browserstack') {
+      candidates.push(null); // BrowserStack capacity needs no local device
+    } else if (candidates.length === 0) {
+      await this.noteUnschedulable(job);
+    }
+
+    // The first job of an undispatched group brings its queued siblings along
+    const siblings = await this.loadGroupSiblings(job);
+
+    for (const device of candidates) {
+      const groupJobs = siblings.filter(sibling =>
+        !device || target === 'browserstack' || this.deviceMatches(device, sibling.device_requirements || {}));
+      const outcome = await this.tracer.inSpan('job.assign', {
+        parent: this.jobContext(job),
+        attributes: { 'qualgen.job_id': jobId, 'qualgen.device_id': device ? device.device_id : 'browserstack' }
+      }, async span => {
+        const claimed = await this.claimJob(job, device, groupJobs);
+        span.setAttributes({ 'qualgen.outcome': claimed, 'qualgen.group_size': claimed === 'assigned' ? groupJobs.length + 1 : undefined });
+        return claimed;
+      });
+
+      if (device && outcome !== 'job_gone') {
+        // Claimed by us or someone else - either way it is no longer available
+        availableDevices.splice(availableDevices.indexOf(device), 1);
+      }
+
+      if (outcome === 'assigned' || outcome === 'job_gone') {
+        this.unschedulable.delete(jobId);
+        await this.releaseLease(queueKey, jobId, 'drop');
+        return outcome === 'assigned';
+      }
+    }
+
+    // No device could take it: put job back in queue
+    await this.releaseLease(queueKey, jobId, 'back');
+    return false;
+  }
+
+  async loadGroupSiblings(job) {
+    if (!job.group_id) return [];
 
-    return job;
+    const result = await this.db.query(`
+      SELECT jobs.* FROM jobs 
+      JOIN job_groups ON job_groups.group_id = jobs.group_id
+      WHERE jobs.group_id = $1 AND jobs.job_id <> $2 
+        AND jobs.status = 'queued' AND job_groups.status = 'pending'
+      ORDER BY jobs.created_at ASC
+      LIMIT $3
+    `, [job.group_id, job.job_id, this.maxGroupSize - 1]);
+    return result.rows;
   }
 
-  async listJobs(filters) {
-    let query = 'SELECT * FROM jobs WHERE 1=1';
-    const params = [];
-    let paramIndex = 1;
+  // Claim the job and the device in one transaction, each only if still free,
+  // so concurrent orchestrators can never double-assign either of them.
+  // Siblings from the job's still-pending group are claimed for the same device.
+  async claimJob(job, device, siblings = []) {
+    const deviceId = device?.device_id || 'browserstack';
+    const client = await this.db.connect();
+    let assigned;
+    let groupAssigned = [];
 
-    if (filters.org_id) {
-      query += ` AND org_id = $${paramIndex++}`;
-      params.push(filters.org_id);
+    try {
+      await client.query('BEGIN');
+
+      // Assign job to device; it becomes 'running' when the agent picks it up via PollForJobs
+      const claimedJob = await client.query(`
+        UPDATE jobs SET 
+          status = 'assigned', 
+          device_id = $2 
+        WHERE job_id = $1 AND status = 'queued'
+        RETURNING *
+      `, [job.job_id, deviceId]);
+
+      if (claimedJob.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return 'job_gone';
+      }
+
+      if (device) {
+        const claimedDevice = await client.query(`
+          UPDATE devices SET 
+            status = 'busy', 
+            current_job_id = $2 
+          WHERE device_id = $1 AND status = 'available'
+          RETURNING device_id
+        `, [device.device_id, job.job_id]);
+
+        if (claimedDevice.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return 'device_taken';
+        }
+      }
+
+      if (job.group_id) {
+        const claimedGroup = await client.query(`
+          UPDATE job_groups SET status = 'assigned', assigned_device_id = $2 
+          WHERE group_id = $1 AND status = 'pending'
+          RETURNING group_id
+        `, [job.group_id, deviceId]);
+
+        if (claimedGroup.rows.length > 0 && siblings.length > 0) {
+          const claimedSiblings = await client.query(`
+            UPDATE jobs SET 
+              status = 'assigned', 
+              device_id = $3 
+            WHERE job_id = ANY($1) AND group_id = $2 AND status = 'queued'
+            RETURNING *
+          `, [siblings.map(sibling => sibling.job_id), job.group_id, deviceId]);
+          groupAssigned = claimedSiblings.rows;
+        }
+      }
+
+      await client.query('COMMIT');
+      assigned = claimedJob.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
     }
 
-    if (filters.status) {
-      query += ` AND status = $${paramIndex++}`;
-      params.push(filters.status);
+    await this.openAttempt(assigned, deviceId);
+    this.recordQueueWait(assigned);
+    if (device) {
+      await this.publishDeviceStatus(device.device_id);
     }
 
-    if (filters.app_version_id) {
-      query += ` AND app_version_id = $${paramIndex++}`;
-      params.push(filters.app_version_id);
+    this.publishJobUpdate(assigned, `Assigned to ${device?.name || 'BrowserStack'}`);
+
+    // Siblings were taken straight from the queue; another orchestrator that
+    // leased one meanwhile will find it no longer queued and drop its lease.
+    for (const sibling of groupAssigned) {
+      await this.openAttempt(sibling, deviceId);
+      this.recordQueueWait(sibling);
+      await this.redis.lRem(`queue:${sibling.target}:${sibling.priority}`, 0, sibling.job_id);
+      this.publishJobUpdate(sibling, `Assigned to ${device?.name || 'BrowserStack'} with group ${job.group_id}`);
     }
 
-    query += ` ORDER BY created_at DESC LIMIT ${parseInt(filters.limit) || 10}`;
+    this.log.info(`Job assigned: ${job.job_id} → ${device?.name || 'BrowserStack'}` +
+      (groupAssigned.length > 0 ? ` (group ${job.group_id}, ${groupAssigned.length + 1} jobs)` : ''));
+    return 'assigned';
+  }
 
-    const result = await this.db.query(query, params);
-    return result.rows;
+  deviceMatches(device, requirements) {
+    return new DeviceRequirements(requirements).matches(device);
   }
 
-  async cancelJob(jobId) {
-    await this.db.query(`
-      UPDATE jobs SET status = 'cancelled', completed_at = NOW() 
-      WHERE job_id = $1 AND status IN ('queued', 'running')
-    `, [jobId]);
+  // Why no online device can run a job: each registered device with the
+  // requirements it fails, plus a tally of the requirements doing the blocking
+  async explainNoMatch(requirements) {
+    const matcher = new DeviceRequirements(this.parseJsonField(requirements) || {});
+    const devices = await this.db.query('SELECT * FROM devices ORDER BY name ASC');
+    const blocking = {};
+    let matching = 0;
 
-    // Remove from Redis queue
-    const job = await this.getJobStatus(jobId);
-    if (job) {
-      const queueKey = `queue:${job.target}:${job.priority}`;
-      await this.redis.lrem(queueKey, 0, jobId);
-    }
+    const rejected = devices.rows.map(device => {
+      const reasons = matcher.mismatches(device);
+      if (!['available', 'busy'].includes(device.status)) {
+        reasons.push({ requirement: 'status', message: `device is ${device.status}` });
+      }
+      if (reasons.length === 0) matching++;
+      reasons.forEach(reason => {
+        blocking[reason.requirement] = (blocking[reason.requirement] || 0) + 1;
+      });
+      return { device_id: device.device_id, name: device.name, status: device.status, reasons };
+    }).filter(device => device.reasons.length > 0);
 
-    console.log(`❌ Job cancelled: ${jobId}`);
-  }
+    const tally = Object.entries(blocking)
+      .sort((a, b) => b[1] - a[1])
+      .map(([requirement, count]) => `${requirement} (${count})`)
+      .join(', ');
 
-  async listDevices(filters) {
-    let query = 'SELECT * FROM devices WHERE 1=1';
-    const params = [];
-    let paramIndex = 1;
+    return {
+      matching_devices: matching,
+      registered_devices: devices.rows.length,
+      blocking_requirements: blocking,
+      summary: devices.rows.length === 0
+        ? 'No devices are registered'
+        : `None of ${devices.rows.length} registered devices can run this job: ${tally}`,
+      devices: rejected.slice(0, 20)
+    };
+  }
 
-    if (filters.platform) {
-      query += ` AND platform = $${paramIndex++}`;
-      params.push(filters.platform);
+  // Tell watchers (once per change) why a queued job is stuck; a job that only
+  // waits for a busy matching device is not stuck
+  async noteUnschedulable(job) {
+    const explanation = await this.explainNoMatch(job.device_requirements);
+    if (explanation.matching_devices > 0) {
+      this.unschedulable.delete(job.job_id);
+      return;
     }
+    if (this.unschedulable.get(job.job_id) === explanation.summary) return;
 
-    if (filters.status) {
-      query += ` AND status = $${paramIndex++}`;
-      params.push(filters.status);
-    }
+    this.unschedulable.set(job.job_id, explanation.summary);
+    this.publishJobUpdate(job, `Waiting for a matching device: ${explanation.summary}`, {
+      reason: 'no_matching_device',
+      blocking_requirements: explanation.blocking_requirements
+    });
+    this.log.info(`No device matches ${job.job_id}: ${explanation.summary}`);
+  }
 
-    query += ' ORDER BY name ASC';
+  // Event bus: every job/device state change is published here and fanned
+  // out to the gRPC streams and the SSE endpoint.
+  publishJobUpdate(job, message = '', extra = {}) {
+    this.events.emit('job_update', {
+      job_id: job.job_id,
+      org_id: job.org_id,
+      status: job.status,
+      message,
+      timestamp: new Date().toISOString(),
+      extra_data: extra
+    });
+  }
 
-    const result = await this.db.query(query, params);
-    return result.rows;
+  async publishDeviceStatus(deviceId) {
+    try {
+      const device = await this.getDevice(deviceId);
+      if (!device) return;
+
+      const runtime = this.devices.get(deviceId) || {};
+      this.events.emit('device_status', {
+        device_id: device.device_id,
+        device_type: device.device_type,
+        platform: device.platform,
+        status: device.status,
+        active_jobs: runtime.active_jobs ?? (device.current_job_id ? 1 : 0),
+        capabilities: this.parseJsonField(device.capabilities) || {},
+        system_info: this.parseJsonField(runtime.system_info) || {},
+        last_seen: new Date(device.last_heartbeat).toISOString()
+      });
+    } catch (error) {
+      this.log.error('Device status publish error', error);
+    }
   }
 
-  async registerDevice(deviceData) {
-    const device = {
-      device_id: deviceData.device_id || `qd_${uuidv4().replace(/-/g, '').substring(0, 12)}`,
-      name: deviceData.name,
-      platform: deviceData.platform,
-      device_type: deviceData.device_type,
-      status: 'available',
-      location: deviceData.location || 'local',
-      capabilities: deviceData.capabilities || {}
+  // Subscribe to the event bus with request-style filters; returns an unsubscribe function
+  subscribeToEvents({ orgId, jobIds = [], deviceIds = [] }, onJobUpdate, onDeviceStatus) {
+    const jobListener = update => {
+      if (orgId && update.org_id !== orgId) return;
+      if (jobIds.length > 0 && !jobIds.includes(update.job_id)) return;
+      onJobUpdate(update);
+    };
+    const deviceListener = status => {
+      if (deviceIds.length > 0 && !deviceIds.includes(status.device_id)) return;
+      onDeviceStatus(status);
     };
 
-    await this.db.query(`
-      INSERT INTO devices (device_id, name, platform, device_type, status, location, capabilities)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      ON CONFLICT (device_id) DO UPDATE SET
-        name = $2, platform = $3, device_type = $4, status = $5, 
-        location = $6, capabilities = $7, last_heartbeat = NOW()
-    `, [
-      device.device_id, device.name, device.platform, device.device_type,
-      device.status, device.location, JSON.stringify(device.capabilities)
-    ]);
+    if (onJobUpdate) this.events.on('job_update', jobListener);
+    if (onDeviceStatus) this.events.on('device_status', deviceListener);
 
-    console.log(`📱 Device registered: ${device.device_id} (${device.name})`);
-    return device;
+    return () => {
+      this.events.off('job_update', jobListener);
+      this.events.off('device_status', deviceListener);
+    };
   }
 
-  async updateDeviceHeartbeat(deviceId, data) {
-    await this.db.query(`
-      UPDATE devices SET 
-        status = $2, 
-        current_job_id = $3, 
-        last_heartbeat = NOW() 
-      WHERE device_id = $1
-    `, [deviceId, data.status || 'available', data.current_job_id]);
-  }
+  streamEvents(req, res) {
+    res.locals.streaming = true;
+    const splitList = value => (value ? String(value).split(',').filter(Boolean) : []);
+    const types = splitList(req.query.types);
+    const wants = type => types.length === 0 || types.includes(type);
 
-  async submitJobResult(jobId, result) {
-    const status = result.success ? 'completed' : 'failed';
-    
-    await this.db.query(`
-      UPDATE jobs SET 
-        status = $2, 
-        progress = 100, 
-        test_results = $3, 
-        error_message = $4,
-        completed_at = NOW()
-      WHERE job_id = $1
-    `, [jobId, status, JSON.stringify(result.test_results), result.error_message]);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
 
-    // Free up the device
-    if (result.device_id) {
-      await this.db.query(`
-        UPDATE devices SET status = 'available', current_job_id = NULL 
-        WHERE device_id = $1
-      `, [result.device_id]);
-    }
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const unsubscribe = this.subscribeToEvents(
+      {
+        orgId: ApiAuth.orgScope(req.principal) || req.query.org_id,
+        jobIds: splitList(req.query.job_ids),
+        deviceIds: splitList(req.query.device_ids)
+      },
+      wants('jobs') ? update => send('job_update', update) : null,
+      wants('devices') ? status => send('device_status', status) : null
+    );
 
-    console.log(`✅ Job ${status}: ${jobId}`);
-  }
+    // Comment lines keep proxies from closing idle connections
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
 
-  async getQueuePosition(jobId) {
-    // This is a simplified implementation
-    return Math.floor(Math.random() * 10) + 1;
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
   }
 
-  async estimateStartTime(job) {
-    // Estimate based on queue depth and average job duration
-    const avgDuration = 120; // 2 minutes average
-    const position = await this.getQueuePosition(job.job_id);
-    const estimatedStart = new Date(Date.now() + (position * avgDuration * 1000));
-    return estimatedStart.toISOString();
-  }
+  // gRPC service methods
+  // Run each call in the caller's trace (its 'traceparent' metadata) with the
+  // job it concerns as log context. Unary calls get a server span and are timed
+  // by method and status code; server streams are passed through untimed since
+  // they stay open as long as the client listens.
+  instrumentGrpc(handlers) {
+    return Object.fromEntries(Object.entries(handlers).map(([method, handler]) => [method, (call, callback) => {
+      const parent = Tracing.parseTraceparent(call.metadata.get('traceparent')[0]);
+      const context = { ...parent, job_id: call.request && call.request.job_id };
+      if (!callback) return Tracing.run(context, () => handler(call));
 
-  async getMetrics() {
-    const jobStats = await this.db.query(`
-      SELECT status, COUNT(*) as count FROM jobs 
-      GROUP BY status
-    `);
+      const endTimer = this.metrics.grpcDuration.startTimer({ method });
+      const span = this.tracer.startSpan(`JobService/${method}`, {
+        parent,
+        kind: 'server',
+        attributes: { 'rpc.system': 'grpc', 'rpc.method': method }
+      });
+      return Tracing.run({ ...context, ...span.context() }, () => handler(call, (error, response) => {
+        const code = error ? (error.code ?? grpc.status.UNKNOWN) : grpc.status.OK;
+        endTimer({ code: Object.keys(grpc.status).find(name => grpc.status[name] === code) || String(code) });
+        span.setAttributes({ 'rpc.grpc.status_code': code });
+        if (error) span.recordError(error);
+        span.end();
+        callback(error, response);
+      }));
+    }]));
+  }
 
-    const deviceStats = await this.db.query(`
-      SELECT status, COUNT(*) as count FROM devices 
-      GROUP BY status
-    `);
+  // Authenticate a gRPC call from its 'authorization' metadata before running
+  // the handler; the principal is available to the handler as call.principal
+  grpcAuth(handler, permission) {
+    return async (call, callback) => {
+      const fail = error => (callback ? callback(error) : call.emit('error', error));
 
-    return {
-      timestamp: new Date().toISOString(),
-      jobs: jobStats.rows.reduce((acc, row) => {
-        acc[row.status] = parseInt(row.count);
-        return acc;
-      }, {}),
-      devices: deviceStats.rows.reduce((acc, row) => {
-        acc[row.status] = parseInt(row.count);
-        return acc;
-      }, {}),
-      queue_depth: await this.getQueueDepth()
+      try {
+        const principal = await this.authenticate(ApiAuth.bearerToken(call.metadata.get('authorization')[0]));
+        if (!principal) {
+          return fail({ code: grpc.status.UNAUTHENTICATED, message: 'Missing or invalid API key' });
+        }
+        if (!ApiAuth.can(principal, permission)) {
+          return fail({ code: grpc.status.PERMISSION_DENIED, message: `This call requires ${ApiAuth.describePermission(permission)}` });
+        }
+        call.principal = principal;
+        return handler.call(this, call, callback);
+      } catch (error) {
+        fail(this.toGrpcError(error));
+      }
     };
   }
 
-  async getQueueDepth() {
-    const keys = await this.redis.keys('queue:*');
-    let totalDepth = 0;
-    
-    for (const key of keys) {
-      const depth = await this.redis.llen(key);
-      totalDepth += depth;
-    }
-    
-    return totalDepth;
+  grpcDeviceDenied(call, deviceId) {
+    if (ApiAuth.canActAsDevice(call.principal, deviceId)) return null;
+    return { code: grpc.status.PERMISSION_DENIED, message: `Device credential is not valid for device ${deviceId}` };
   }
 
-  // Scheduler to assign jobs to devices
-  startScheduler() {
-    setInterval(async () => {
-      try {
-        await this.scheduleJobs();
-      } catch (error) {
-        console.error('Scheduler error:', error);
+  async registerDeviceGrpc(call, callback) {
+    const { device_id, device_type, platform, capabilities, status } = call.request;
+    const denied = this.grpcDeviceDenied(call, device_id);
+    if (denied) return callback(denied);
+
+    try {
+      const parsedCapabilities = this.parseJsonField(capabilities) || {};
+      const before = device_id ? await this.getDevice(device_id) : null;
+      const device = await this.registerDevice({
+        device_id,
+        name: parsedCapabilities.name || device_id,
+        platform,
+        device_type,
+        location: parsedCapabilities.location,
+        capabilities: parsedCapabilities
+      });
+      await this.audit(call, {
+        action: before ? 'device.reregister' : 'device.register', target_type: 'device', target_id: device.device_id,
+        before: this.auditState(before, AUDIT_DEVICE_FIELDS), after: this.auditState(device, AUDIT_DEVICE_FIELDS)
+      });
+
+      if (status && status !== 'available') {
+        await this.updateDeviceHeartbeat(device.device_id, { status });
       }
-    }, 5000); // Run every 5 seconds
 
-    console.log('📅 Job scheduler started');
+      callback(null, { success: true, message: `Device registered: ${device.device_id}` });
+    } catch (error) {
+      callback(this.toGrpcError(error));
+    }
   }
 
-  async scheduleJobs() {
-    // Get available devices
-    const availableDevices = await this.db.query(`
-      SELECT * FROM devices 
-      WHERE status = 'available' 
-      ORDER BY last_heartbeat DESC
-    `);
+  async heartbeatGrpc(call, callback) {
+    const { device_id, status, active_jobs, system_info } = call.request;
+    const denied = this.grpcDeviceDenied(call, device_id);
+    if (denied) return callback(denied);
 
-    if (availableDevices.rows.length === 0) {
-      return; // No available devices
+    try {
+      await this.updateDeviceHeartbeat(device_id, {
+        status,
+        active_jobs,
+        system_info: this.parseJsonField(system_info) || {}
+      });
+      const commands = await this.takePendingCommands(device_id);
+      callback(null, {
+        success: true,
+        message: 'Heartbeat received',
+        commands: commands.map(command => JSON.stringify(command))
+      });
+    } catch (error) {
+      callback(this.toGrpcError(error));
     }
+  }
 
-    // Process high priority queues first
-    const priorities = ['high', 'medium', 'low'];
-    const targets = ['device', 'emulator', 'browserstack'];
+  async reportCommandResultGrpc(call, callback) {
+    const { device_id, command_id, status, result } = call.request;
+    const denied = this.grpcDeviceDenied(call, device_id);
+    if (denied) return callback(denied);
 
-    for (const priority of priorities) {
-      for (const target of targets) {
-        const queueKey = `queue:${target}:${priority}`;
-        const jobId = await this.redis.rpop(queueKey);
-        
-        if (jobId) {
-          await this.assignJobToDevice(jobId, availableDevices.rows, target);
-        }
+    try {
+      const command = await this.recordCommandResult(device_id, command_id, status, this.parseJsonField(result));
+      if (!command) {
+        return callback({ code: grpc.status.NOT_FOUND, message: `Command not found: ${command_id}` });
       }
+      callback(null, { success: true, message: `Command ${command_id} ${status}` });
+    } catch (error) {
+      callback(this.toGrpcError(error, grpc.status.INVALID_ARGUMENT));
     }
   }
 
-  async assignJobToDevice(jobId, availableDevices, target) {
-    // Find suitable device based on target and requirements
-    let suitableDevice = null;
-    
-    const job = await this.getJobStatus(jobId);
-    if (!job) return;
+  async pollForJobsGrpc(call, callback) {
+    const { device_id, max_jobs } = call.request;
+    const denied = this.grpcDeviceDenied(call, device_id);
+    if (denied) return callback(denied);
+
+    try {
+      // Hand over jobs the scheduler assigned to this device; the job starts
+      // running once the agent has actually received it.
+      const result = await this.db.query(`
+        UPDATE jobs SET status = 'running', started_at = NOW()
+        WHERE job_id IN (
+          SELECT job_id FROM jobs
+          WHERE device_id = $1 AND status = 'assigned'
+          ORDER BY created_at ASC
+          LIMIT $2
+        )
+        RETURNING *
+      `, [device_id, max_jobs || 1]);
+
+      for (const job of result.rows) {
+        await this.markAttemptStarted(job);
+        this.publishJobUpdate(job, 'Job picked up by device');
+        await this.emitJobWebhook('job.started', job);
 
-    for (const device of availableDevices) {
-      if (target === 'browserstack' || this.deviceMatches(device, job.device_requirements)) {
-        suitableDevice = device;
-        break;
+        // Tell the agent whether more of the group follows, so it keeps the app installed
+        if (job.group_id) {
+          const remaining = await this.db.query(`
+            SELECT COUNT(*) AS count FROM jobs 
+            WHERE group_id = $1 AND device_id = $2 AND status = 'assigned'
+          `, [job.group_id, device_id]);
+          job.group_remaining = parseInt(remaining.rows[0].count);
+          await this.refreshGroupStatus(job.group_id);
+        }
       }
-    }
 
-    if (!suitableDevice && target !== 'browserstack') {
-      // Put job back in queue
-      const queueKey = `queue:${target}:${job.priority}`;
-      await this.redis.lpush(queueKey, jobId);
-      return;
+      callback(null, { jobs: result.rows.map(job => this.toGrpcJob(job)) });
+    } catch (error) {
+      callback(this.toGrpcError(error));
     }
+  }
 
-    // Assign job to device
-    await this.db.query(`
-      UPDATE jobs SET 
-        status = 'running', 
-        device_id = $2, 
-        started_at = NOW() 
-      WHERE job_id = $1
-    `, [jobId, suitableDevice?.device_id || 'browserstack']);
+  async updateJobStatusGrpc(call, callback) {
+    const { job_id, status, message, extra_data } = call.request;
+    const deviceId = call.request.device_id || call.principal.device_id;
 
-    if (suitableDevice) {
-      await this.db.query(`
-        UPDATE devices SET 
-          status = 'busy', 
-          current_job_id = $2 
-        WHERE device_id = $1
-      `, [suitableDevice.device_id, jobId]);
-    }
+    try {
+      const job = await this.getJobStatus(job_id);
+      if (!job) {
+        return callback({ code: grpc.status.NOT_FOUND, message: `Job not found: ${job_id}` });
+      }
+      const denied = this.grpcDeviceDenied(call, deviceId);
+      if (denied) return callback(denied);
 
-    console.log(`🎯 Job assigned: ${jobId} → ${suitableDevice?.name || 'BrowserStack'}`);
-  }
+      // A report from an earlier attempt (the job has since been retried, timed
+      // out or cancelled) must not touch the current one
+      if (!deviceId || job.device_id !== deviceId || !['assigned', 'running'].includes(job.status)) {
+        this.log.info(`Ignoring ${status} report for job ${job_id} from ${deviceId || 'an unknown device'}: job is ${job.status}`);
+        return callback(null, { success: false, message: `Job ${job_id} is not active on device ${deviceId || '(none)'}` });
+      }
 
-  deviceMatches(device, requirements) {
-    if (requirements.platform && device.platform !== requirements.platform) {
-      return false;
-    }
-    if (requirements.device_type && device.device_type !== requirements.device_type) {
-      return false;
+      const extra = this.parseJsonField(extra_data) || {};
+
+      switch (status) {
+        case 'running': {
+          const started = await this.db.query(`
+            UPDATE jobs SET status = 'running', started_at = COALESCE(started_at, NOW())
+            WHERE job_id = $1 AND status IN ('assigned', 'running') AND device_id = $2
+            RETURNING *
+          `, [job_id, deviceId]);
+          if (started.rows.length > 0) {
+            await this.markAttemptStarted(started.rows[0]);
+            this.publishJobUpdate(started.rows[0], message || 'Job running');
+          }
+          break;
+        }
+
+        case 'completed':
+        case 'failed':
+          await this.submitJobResult(job_id, {
+            success: status === 'completed',
+            test_results: extra.test_results,
+            artifacts: extra.artifacts,
+            error_message: status === 'failed' ? message : null,
+            failure_type: extra.failure_type
+          }, deviceId);
+          break;
+
+        case 'cancelled':
+          await this.cancelJob(job_id, message, null, deviceId);
+          break;
+
+        default:
+          return callback({ code: grpc.status.INVALID_ARGUMENT, message: `Unsupported job status: ${status}` });
+      }
+
+      callback(null, { success: true, message: `Job ${job_id} updated to ${status}` });
+    } catch (error) {
+      callback(this.toGrpcError(error));
     }
-    return true;
   }
 
-  // gRPC service methods
-  async getNextJobGrpc(call, callback) {
-    const { device_id } = call.request;
-    
+  async submitJobGrpc(call, callback) {
+    const request = call.request;
+    const orgId = request.org_id || ApiAuth.orgScope(call.principal);
+    if (!ApiAuth.canAccessOrg(call.principal, orgId)) {
+      return callback({ code: grpc.status.PERMISSION_DENIED, message: `API key is not valid for org ${orgId}` });
+    }
+
     try {
-      // Find next job for this device
-      const result = await this.db.query(`
-        SELECT * FROM jobs 
-        WHERE device_id = $1 AND status = 'running' 
-        ORDER BY started_at ASC 
-        LIMIT 1
-      `, [device_id]);
+      const extraConfig = this.parseJsonField(request.extra_config) || {};
+      const idempotencyKey = call.metadata.get('idempotency-key')[0];
+      const jobData = {
+        org_id: orgId,
+        app_version_id: request.app_version_id,
+        test_path: request.test_path,
+        priority: request.priority || undefined,
+        target: request.target,
+        device_requirements: request.platform ? { platform: request.platform } : {},
+        timeout: request.timeout || undefined,
+        retry_policy: extraConfig.retry_policy,
+        sharding: extraConfig.sharding,
+        depends_on: extraConfig.depends_on,
+        metadata: {
+          app_url: request.app_url || undefined,
+          extra_config: request.extra_config ? extraConfig : undefined,
+          submitted_by: 'grpc'
+        }
+      };
+      const { job, replayed } = idempotencyKey === undefined
+        ? { job: await this.submitJob(jobData), replayed: false }
+        : await this.submitJobIdempotently(jobData, String(idempotencyKey));
 
-      if (result.rows.length > 0) {
-        callback(null, { job: result.rows[0] });
-      } else {
-        callback(null, { job: null });
+      if (replayed) {
+        return callback(null, { success: true, job_id: job.job_id, message: 'Job already submitted with this idempotency key' });
       }
+
+      await this.audit(call, {
+        org_id: orgId, action: 'job.submit', target_type: 'job', target_id: job.job_id,
+        after: this.auditState({ ...request, org_id: orgId, ...job }, AUDIT_JOB_FIELDS)
+      });
+
+      const message = job.status === 'blocked'
+        ? `Job blocked on ${job.depends_on.length} upstream job(s)`
+        : (job.queue_position ? `Job queued at position ${job.queue_position}` : 'Job queued');
+      callback(null, { success: true, job_id: job.job_id, message });
     } catch (error) {
-      callback(error);
+      const code = error instanceof QuotaExceededError ? grpc.status.RESOURCE_EXHAUSTED
+        : error instanceof IdempotencyConflictError ? (error.status === 409 ? grpc.status.ABORTED : grpc.status.ALREADY_EXISTS)
+          : grpc.status.INVALID_ARGUMENT;
+      callback(this.toGrpcError(error, code));
     }
   }
 
-  async updateJobProgressGrpc(call, callback) {
-    const { job_id, progress, status } = call.request;
-    
+  async getJobStatusGrpc(call, callback) {
     try {
-      await this.db.query(`
-        UPDATE jobs SET progress = $2, status = $3 
-        WHERE job_id = $1
-      `, [job_id, progress, status]);
+      const job = await this.getJobStatus(call.request.job_id, ApiAuth.orgScope(call.principal));
+      if (!job) {
+        return callback({ code: grpc.status.NOT_FOUND, message: `Job not found: ${call.request.job_id}` });
+      }
 
-      callback(null, { success: true });
+      callback(null, { job: this.toGrpcJob(job) });
     } catch (error) {
-      callback(error);
+      callback(this.toGrpcError(error));
     }
   }
 
-  async completeJobGrpc(call, callback) {
-    const { job_id, success, test_results, error_message } = call.request;
-    
+  async cancelJobGrpc(call, callback) {
+    const { job_id, reason } = call.request;
+
+    try {
+      const before = await this.getJobStatus(job_id, ApiAuth.orgScope(call.principal));
+      if (!before) {
+        return callback({ code: grpc.status.NOT_FOUND, message: `Job not found: ${job_id}` });
+      }
+      if (!await this.cancelJob(job_id, reason)) {
+        return callback({ code: grpc.status.FAILED_PRECONDITION, message: `Job is already ${before.status}: ${job_id}` });
+      }
+      await this.audit(call, {
+        org_id: before.org_id, action: 'job.cancel', target_type: 'job', target_id: job_id,
+        before: this.auditState(before, AUDIT_JOB_FIELDS),
+        after: { ...this.auditState(await this.getJobStatus(job_id), AUDIT_JOB_FIELDS), reason: reason || null }
+      });
+      callback(null, { success: true, message: 'Job cancelled successfully' });
+    } catch (error) {
+      callback(this.toGrpcError(error));
+    }
+  }
+
+  async listJobsGrpc(call, callback) {
+    const request = call.request;
+
     try {
-      await this.submitJobResult(job_id, {
-        success,
-        test_results: JSON.parse(test_results || '{}'),
-        error_message
+      const page = await this.listJobs({ ...request, org_id: ApiAuth.orgScope(call.principal) || request.org_id });
+      callback(null, {
+        jobs: page.jobs.map(job => this.toGrpcJob(job)),
+        total_count: page.total_count,
+        next_cursor: page.next_cursor || ''
+      });
+    } catch (error) {
+      callback(this.toGrpcError(error, grpc.status.INVALID_ARGUMENT));
+    }
+  }
+
+  streamJobUpdatesGrpc(call) {
+    const { org_id, job_ids } = call.request;
+
+    const orgId = ApiAuth.orgScope(call.principal) || org_id;
+    const unsubscribe = this.subscribeToEvents({ orgId, jobIds: job_ids || [] }, update => {
+      call.write({ ...update, extra_data: JSON.stringify(update.extra_data || {}) });
+    }, null);
+
+    call.on('cancelled', unsubscribe);
+    call.on('close', unsubscribe);
+  }
+
+  streamDeviceStatusGrpc(call) {
+    const { device_ids } = call.request;
+
+    const unsubscribe = this.subscribeToEvents({ deviceIds: device_ids || [] }, null, status => {
+      call.write({
+        ...status,
+        capabilities: JSON.stringify(status.capabilities),
+        system_info: JSON.stringify(status.system_info)
       });
+    });
+
+    call.on('cancelled', unsubscribe);
+    call.on('close', unsubscribe);
+  }
+
+  // Convert a jobs row into the proto Job message (all JSON as strings)
+  toGrpcJob(job) {
+    const metadata = this.parseJsonField(job.metadata) || {};
+    const requirements = this.parseJsonField(job.device_requirements) || {};
+    const toJson = value => (value === null || value === undefined ? '' : 
+      (typeof value === 'string' ? value : JSON.stringify(value)));
+    const toTime = value => (value ? new Date(value).toISOString() : '');
+
+    return {
+      job_id: job.job_id,
+      org_id: job.org_id,
+      app_version_id: job.app_version_id,
+      test_path: job.test_path,
+      platform: requirements.platform || '',
+      target: job.target,
+      priority: job.priority,
+      status: job.status,
+      device_id: job.device_id || '',
+      app_url: metadata.app_url || '',
+      extra_config: toJson(metadata.extra_config),
+      created_at: toTime(job.created_at),
+      started_at: toTime(job.started_at),
+      completed_at: toTime(job.completed_at),
+      timeout: job.timeout_seconds || 0,
+      error_message: job.error_message || '',
+      test_results: toJson(job.test_results),
+      artifacts: toJson(job.artifacts),
+      group_id: job.group_id || '',
+      group_remaining: job.group_remaining || 0,
+      traceparent: Tracing.formatTraceparent(this.parseJsonField(job.trace_context)) || ''
+    };
+  }
 
-      callback(null, { success: true });
+  parseJsonField(value) {
+    if (!value) return null;
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
     } catch (error) {
-      callback(error);
+      return null;
     }
   }
 
-  start() {
+  toGrpcError(error, code = grpc.status.INTERNAL) {
+    this.log.error('gRPC error', error);
+    return { code, message: error.message };
+  }
+
+  // The background loops start and the REST and gRPC ports open once the
+  // schema is migrated; a failed migration, or no admin API key, rejects instead
+  async start() {
+    if (!process.env.QUALGEN_ADMIN_API_KEY) {
+      throw new Error('QUALGEN_ADMIN_API_KEY is not set; the orchestrator has no default admin key');
+    }
+    await this.databaseReady;
+
+    this.startScheduler();
+    this.startCronScheduler();
+    this.startWebhookDispatcher();
+    this.startReaper();
+    this.startTimeoutWatchdog();
+    this.startIdempotencyKeyPurge();
+
+    this.grpcServer.bindAsync(`0.0.0.0:${this.grpcPort}`, grpc.ServerCredentials.createInsecure(), (err, port) => {
+      if (err) {
+        this.log.error('gRPC server failed to start', err);
+      } else {
+        this.log.info(`gRPC server running on port ${port}`);
+        this.grpcServer.start();
+      }
+    });
+
     this.app.listen(this.port, () => {
-      console.log(`🚀 QualGen Job Orchestrator running on port ${this.port}`);
-      console.log(`📊 Dashboard: http://localhost:3007`);
-      console.log(`🔌 API: http://localhost:${this.port}`);
-      console.log(`⚡ gRPC: localhost:9090`);
+      this.log.info(`QualGen Job Orchestrator running on port ${this.port}`);
+      this.log.info(`Dashboard: http://localhost:3007`);
+      this.log.info(`API: http://localhost:${this.port}`);
+      this.log.info(`gRPC: localhost:${this.grpcPort}`);
     });
   }
 }
@@ -704,7 +4471,10 @@ class JobOrchestrator {
 // Start the server
 if (require.main === module) {
   const orchestrator = new JobOrchestrator();
-  orchestrator.start();
+  orchestrator.start().catch(error => {
+    orchestrator.log.error('Orchestrator failed to start', error);
+    process.exit(1);
+  });
 }
 
 module.exports = JobOrchestrator;
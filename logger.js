@@ -0,0 +1,75 @@
+/**
+ * QualGen Logger
+ * Structured JSON logs for the orchestrator and device agents.
+ *
+ * One JSON object per line with timestamp, level, service and message, plus the
+ * current trace context (trace_id, span_id, job_id) so everything that happened
+ * to a job can be found across processes with a single filter:
+ *
+ *   {"level":"info","message":"Job submitted","service":"job-orchestrator",
+ *    "job_id":"qj_...","trace_id":"4bf92f35...","timestamp":"2025-..."}
+ *
+ * LOG_LEVEL sets the threshold (error, warn, info, debug). Errors and warnings
+ * go to stderr.
+ */
+
+const winston = require('winston');
+const Tracing = require('./tracing');
+
+// Fields given on the log call win over the ambient trace context
+const traceContext = winston.format(info => {
+  for (const [key, value] of Object.entries(Tracing.current() || {})) {
+    if (info[key] === undefined) info[key] = value;
+  }
+  return info;
+});
+
+class Logger {
+  constructor(service, { level = process.env.LOG_LEVEL || 'info', fields = {}, stream = null } = {}) {
+    this.logger = winston.createLogger({
+      level,
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        traceContext(),
+        winston.format.json()
+      ),
+      defaultMeta: { service, ...fields },
+      transports: [stream
+        ? new winston.transports.Stream({ stream })
+        : new winston.transports.Console({ stderrLevels: ['error', 'warn'] })]
+    });
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  log(level, message, fields) {
+    this.logger.log(level, message, Logger.fields(fields));
+  }
+
+  // An Error becomes error/stack fields, as does an `error` field holding one
+  static fields(fields) {
+    if (fields === undefined || fields === null) return {};
+    if (fields instanceof Error) return { error: fields.message, stack: fields.stack };
+    if (typeof fields !== 'object') return { detail: fields };
+    if (fields.error instanceof Error) {
+      return { ...fields, error: fields.error.message, stack: fields.error.stack };
+    }
+    return fields;
+  }
+}
+
+module.exports = Logger;
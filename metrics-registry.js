@@ -0,0 +1,211 @@
+/**
+ * QualGen Metrics Registry
+ * Counters, gauges and histograms rendered in the Prometheus text format (0.0.4).
+ *
+ *   const submitted = registry.counter('qualgen_jobs_submitted_total', 'Jobs submitted', ['org_id', 'target']);
+ *   submitted.inc({ org_id: 'acme', target: 'device' });
+ *
+ *   const latency = registry.histogram('qualgen_http_request_duration_seconds', 'REST latency', ['route']);
+ *   const end = latency.startTimer();
+ *   end({ route: '/api/v1/jobs' });
+ *
+ * Values are kept in this process. Each orchestrator instance is scraped on its
+ * own and Prometheus aggregates across them.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+const escapeHelp = text => String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabelValue = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (!METRIC_NAME.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    const invalid = labelNames.filter(label => !LABEL_NAME.test(label) || label.startsWith('__'));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid label name(s) for ${name}: ${invalid.join(', ')}`);
+    }
+
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // JSON of label values -> { labels, value }
+  }
+
+  // Missing labels are reported as empty strings; unknown ones are a bug
+  seriesFor(labels = {}) {
+    const unknown = Object.keys(labels).filter(label => !this.labelNames.includes(label));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown label(s) for ${this.name}: ${unknown.join(', ')}`);
+    }
+
+    const values = this.labelNames.map(label => (labels[label] === undefined || labels[label] === null ? '' : String(labels[label])));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, value: this.initialValue() });
+    }
+    return this.series.get(key);
+  }
+
+  initialValue() {
+    return 0;
+  }
+
+  // Drop every series, e.g. before a gauge is set again from a fresh snapshot
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    // An unlabelled metric has exactly one series, reported even before it changes
+    if (this.labelNames.length === 0) this.seriesFor({});
+
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(this.labelNames, series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) {
+      throw new Error(`Counter ${this.name} can only increase`);
+    }
+    this.seriesFor(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels).value = Number(value);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.seriesFor(labels).value -= value;
+  }
+}
+
+// Bucket counts are kept cumulative, as they are exposed
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    if (labelNames.includes('le')) {
+      throw new Error(`Histogram ${name} cannot use the label 'le'`);
+    }
+    const bounds = [...new Set(buckets.map(Number))].filter(Number.isFinite).sort((a, b) => a - b);
+    if (bounds.length === 0) {
+      throw new Error(`Histogram ${name} needs at least one bucket`);
+    }
+
+    super('histogram', name, help, labelNames);
+    this.bounds = bounds;
+  }
+
+  initialValue() {
+    return { buckets: new Array(this.bounds.length).fill(0), sum: 0, count: 0 };
+  }
+
+  observe(labels = {}, value) {
+    const observed = this.seriesFor(labels).value;
+    this.bounds.forEach((bound, index) => {
+      if (value <= bound) observed.buckets[index]++;
+    });
+    observed.sum += value;
+    observed.count++;
+  }
+
+  // Returns a function that observes the seconds elapsed since this call
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  renderSeries(series) {
+    const { buckets, sum, count } = series.value;
+    const labelNames = [...this.labelNames, 'le'];
+    return [
+      ...this.bounds.map((bound, index) =>
+        `${this.name}_bucket${formatLabels(labelNames, [...series.labels, formatValue(bound)])} ${buckets[index]}`),
+      `${this.name}_bucket${formatLabels(labelNames, [...series.labels, '+Inf'])} ${count}`,
+      `${this.name}_sum${formatLabels(this.labelNames, series.labels)} ${formatValue(sum)}`,
+      `${this.name}_count${formatLabels(this.labelNames, series.labels)} ${count}`
+    ];
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  get(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('');
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = CONTENT_TYPE;
+MetricsRegistry.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+
+module.exports = MetricsRegistry;
@@ -0,0 +1,301 @@
+/**
+ * Baseline schema: everything the orchestrator created at startup before
+ * versioned migrations existed.
+ *
+ * Written with IF NOT EXISTS throughout so it also applies to databases that
+ * were created by earlier releases, adding any columns they are missing.
+ * Change the schema in a new migration, never here.
+ *
+ * The uuid-ossp extension is not created here: extensions need a superuser and
+ * no table depends on it. docker/postgres/init.sql creates it.
+ */
+
+exports.up = `
+CREATE TABLE IF NOT EXISTS jobs (
+  job_id VARCHAR(50) PRIMARY KEY,
+  org_id VARCHAR(100) NOT NULL,
+  app_version_id VARCHAR(100) NOT NULL,
+  test_path TEXT NOT NULL,
+  priority VARCHAR(20) DEFAULT 'medium',
+  target VARCHAR(50) NOT NULL,
+  status VARCHAR(20) DEFAULT 'queued',
+  device_requirements JSONB,
+  device_id VARCHAR(100),
+  progress INTEGER DEFAULT 0,
+  error_message TEXT,
+  test_results JSONB,
+  metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  timeout_seconds INTEGER DEFAULT 300,
+  artifacts JSONB,
+  retry_count INTEGER DEFAULT 0,
+  retry_policy JSONB,
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  group_id VARCHAR(50),
+  parent_job_id VARCHAR(50),
+  shard_index INTEGER,
+  shard_count INTEGER,
+  build_id VARCHAR(50)
+);
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS artifacts JSONB;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS retry_count INTEGER DEFAULT 0;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS retry_policy JSONB;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS group_id VARCHAR(50);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS parent_job_id VARCHAR(50);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS shard_index INTEGER;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS shard_count INTEGER;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS build_id VARCHAR(50);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS trace_context JSONB;
+
+CREATE TABLE IF NOT EXISTS devices (
+  device_id VARCHAR(100) PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  platform VARCHAR(50) NOT NULL,
+  device_type VARCHAR(50) NOT NULL,
+  status VARCHAR(20) DEFAULT 'available',
+  location VARCHAR(100),
+  capabilities JSONB,
+  current_job_id VARCHAR(50),
+  last_heartbeat TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  registered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS job_groups (
+  group_id VARCHAR(50) PRIMARY KEY,
+  app_version_id VARCHAR(100) NOT NULL,
+  org_id VARCHAR(100) NOT NULL,
+  target VARCHAR(50) NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending',
+  job_ids TEXT[],
+  assigned_device_id VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS builds (
+  build_id VARCHAR(50) PRIMARY KEY,
+  org_id VARCHAR(100) NOT NULL,
+  app_version_id VARCHAR(100) NOT NULL,
+  test_path TEXT NOT NULL,
+  matrix JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'queued',
+  summary JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS device_commands (
+  command_id VARCHAR(50) PRIMARY KEY,
+  device_id VARCHAR(100) NOT NULL,
+  command VARCHAR(50) NOT NULL,
+  args JSONB,
+  status VARCHAR(20) DEFAULT 'pending',
+  result JSONB,
+  issued_by VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  acknowledged_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  key_id VARCHAR(50) PRIMARY KEY,
+  org_id VARCHAR(100) NOT NULL,
+  name VARCHAR(200),
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash VARCHAR(64) NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Keys created before roles existed had full access to their org
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'admin';
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS member_id VARCHAR(50);
+
+CREATE TABLE IF NOT EXISTS org_members (
+  member_id VARCHAR(50) PRIMARY KEY,
+  org_id VARCHAR(100) NOT NULL,
+  email VARCHAR(320) NOT NULL,
+  name VARCHAR(200),
+  role VARCHAR(20) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (org_id, email)
+);
+
+CREATE TABLE IF NOT EXISTS device_credentials (
+  credential_id VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(200),
+  device_id VARCHAR(100),
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash VARCHAR(64) NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS org_quotas (
+  org_id VARCHAR(100) PRIMARY KEY,
+  max_concurrent_jobs INTEGER,
+  max_queued_jobs INTEGER,
+  monthly_device_minutes INTEGER,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS orchestrator_settings (
+  key VARCHAR(100) PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS job_attempts (
+  job_id VARCHAR(50) NOT NULL,
+  attempt_number INTEGER NOT NULL,
+  device_id VARCHAR(100),
+  status VARCHAR(20) DEFAULT 'assigned',
+  failure_type VARCHAR(20),
+  error_message TEXT,
+  test_results JSONB,
+  artifacts JSONB,
+  assigned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  PRIMARY KEY (job_id, attempt_number)
+);
+
+CREATE TABLE IF NOT EXISTS schedules (
+  schedule_id VARCHAR(50) PRIMARY KEY,
+  org_id VARCHAR(100) NOT NULL,
+  name VARCHAR(200),
+  cron_expression VARCHAR(100) NOT NULL,
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  job_template JSONB NOT NULL,
+  enabled BOOLEAN DEFAULT TRUE,
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  last_job_id VARCHAR(50),
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  webhook_id VARCHAR(50) PRIMARY KEY,
+  org_id VARCHAR(100) NOT NULL,
+  url TEXT NOT NULL,
+  secret VARCHAR(100) NOT NULL,
+  events TEXT[] NOT NULL DEFAULT ARRAY['*'],
+  enabled BOOLEAN DEFAULT TRUE,
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  delivery_id VARCHAR(50) PRIMARY KEY,
+  webhook_id VARCHAR(50) NOT NULL,
+  event_type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  attempt_log JSONB DEFAULT '[]'::jsonb,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_status_code INTEGER,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Append-only: the trigger below rejects any UPDATE, DELETE or TRUNCATE
+CREATE TABLE IF NOT EXISTS audit_log (
+  audit_id VARCHAR(50) PRIMARY KEY,
+  seq BIGSERIAL UNIQUE,
+  org_id VARCHAR(100),
+  actor_type VARCHAR(20) NOT NULL,
+  actor_id VARCHAR(100),
+  actor_role VARCHAR(20),
+  actor_member_id VARCHAR(50),
+  action VARCHAR(50) NOT NULL,
+  target_type VARCHAR(50) NOT NULL,
+  target_id VARCHAR(100),
+  before JSONB,
+  after JSONB,
+  source_ip VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION audit_log_immutable() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE TRIGGER audit_log_immutable
+  BEFORE UPDATE OR DELETE OR TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_immutable();
+
+-- response stays NULL while the first request with a key is being processed
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  org_id VARCHAR(100) NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  request_hash VARCHAR(64) NOT NULL,
+  job_id VARCHAR(50),
+  response JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  PRIMARY KEY (org_id, idempotency_key)
+);
+
+CREATE TABLE IF NOT EXISTS job_dependencies (
+  job_id VARCHAR(50) NOT NULL,
+  depends_on_job_id VARCHAR(50) NOT NULL,
+  condition VARCHAR(20) NOT NULL DEFAULT 'success',
+  PRIMARY KEY (job_id, depends_on_job_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_org_status ON jobs(org_id, status);
+CREATE INDEX IF NOT EXISTS idx_jobs_app_version ON jobs(app_version_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_org_created ON jobs(org_id, created_at DESC, job_id DESC);
+CREATE INDEX IF NOT EXISTS idx_devices_status ON devices(status);
+CREATE INDEX IF NOT EXISTS idx_job_groups_app_version ON job_groups(app_version_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_group ON jobs(group_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_parent ON jobs(parent_job_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_build ON jobs(build_id);
+CREATE INDEX IF NOT EXISTS idx_device_commands_device_status ON device_commands(device_id, status);
+CREATE INDEX IF NOT EXISTS idx_job_attempts_device ON job_attempts(device_id);
+CREATE INDEX IF NOT EXISTS idx_job_dependencies_upstream ON job_dependencies(depends_on_job_id);
+CREATE INDEX IF NOT EXISTS idx_schedules_org ON schedules(org_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_org ON api_keys(org_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_member ON api_keys(member_id);
+CREATE INDEX IF NOT EXISTS idx_webhooks_org ON webhooks(org_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_org ON audit_log(org_id, seq);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+`;
+
+exports.down = `
+DROP TABLE IF EXISTS job_dependencies;
+DROP TABLE IF EXISTS idempotency_keys;
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS audit_log_immutable();
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhooks;
+DROP TABLE IF EXISTS schedules;
+DROP TABLE IF EXISTS job_attempts;
+DROP TABLE IF EXISTS orchestrator_settings;
+DROP TABLE IF EXISTS org_quotas;
+DROP TABLE IF EXISTS device_credentials;
+DROP TABLE IF EXISTS org_members;
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS device_commands;
+DROP TABLE IF EXISTS builds;
+DROP TABLE IF EXISTS job_groups;
+DROP TABLE IF EXISTS devices;
+DROP TABLE IF EXISTS jobs;
+`;
@@ -5,17 +5,23 @@
  * Submit and manage AppWright test jobs across devices, emulators, and BrowserStack
  */
 
+const fs = require('fs');
+const crypto = require('crypto');
 const { Command } = require('commander');
 const axios = require('axios');
 const chalk = require('chalk');
 const ora = require('ora');
 const Table = require('cli-table3');
+const Tracing = require('./tracing');
 
 class QualGenCLI {
   constructor() {
     this.program = new Command();
     this.apiUrl = process.env.QUALGEN_API_URL || 'http://localhost:8080';
-    this.apiKey = process.env.QUALGEN_API_KEY || 'dev-key-12345';
+    this.apiKey = process.env.QUALGEN_API_KEY;
+    // Every request this invocation makes shares one trace, continuing CI's TRACEPARENT when set
+    this.tracer = new Tracing.Tracer('qgjob');
+    this.trace = Tracing.parseTraceparent(process.env.TRACEPARENT) || { trace_id: Tracing.newTraceId() };
     this.setupCommands();
   }
 
@@ -32,11 +38,25 @@ class QualGenCLI {
       .requiredOption('--org-id <orgId>', 'Organization ID')
       .requiredOption('--app-version-id <versionId>', 'App version identifier')
       .requiredOption('--test-path <path>', 'Path to test file or directory')
-      .option('--priority <priority>', 'Job priority (low, medium, high)', 'medium')
+      .option('--priority <priority>', 'Job priority (low, medium, high, urgent)', 'medium')
       .option('--target <target>', 'Target environment (device, emulator, browserstack)', 'device')
       .option('--device-type <type>', 'Device type filter (phone, tablet)', 'phone')
       .option('--platform <platform>', 'Platform (android, ios)', 'android')
+      .option('--os-version <range>', 'OS version range (e.g. ">=13 <15", "14.x")')
+      .option('--min-api-level <level>', 'Minimum Android API level')
+      .option('--labels <labels>', 'Comma-separated device labels required')
+      .option('--location <locations>', 'Comma-separated acceptable device locations')
+      .option('--requires <capabilities>', 'Comma-separated required capabilities (e.g. video_recording)')
       .option('--timeout <seconds>', 'Test timeout in seconds', '300')
+      .option('--max-attempts <count>', 'Maximum attempts including the first run')
+      .option('--retry-backoff <seconds>', 'Initial delay before a retry (doubles each attempt)')
+      .option('--retry-on <kind>', 'Failures to retry (infrastructure, any, none)')
+      .option('--shards <count>', 'Split the spec files under --test-path into this many parallel jobs')
+      .option('--shard-by <strategy>', 'How to balance shards (count, duration)', 'count')
+      .option('--depends-on <jobIds>', 'Comma-separated upstream job IDs to wait for; suffix an ID with :completion to run whatever its outcome')
+      .option('--matrix <matrix>', 'Build matrix as JSON or a path to a JSON file; submits one job per combination')
+      .option('--idempotency-key <key>', 'Reuse the job from an earlier submission with this key instead of creating a duplicate (defaults to a hash of the CI run)')
+      .option('--no-idempotency-key', 'Always create a new job, even when retried in the same CI run')
       .action(async (options) => {
         await this.submitJob(options);
       });
@@ -50,13 +70,34 @@ class QualGenCLI {
         await this.checkStatus(options.jobId);
       });
 
+    // Build command
+    this.program
+      .command('build')
+      .description('Show the pass/fail grid of a matrix build')
+      .requiredOption('--build-id <buildId>', 'Build ID to check')
+      .option('--cancel', 'Cancel every unfinished job in the build')
+      .action(async (options) => {
+        await this.checkBuild(options);
+      });
+
     // List command
     this.program
       .command('list')
       .description('List jobs for organization')
       .requiredOption('--org-id <orgId>', 'Organization ID')
-      .option('--status <status>', 'Filter by status (queued, running, completed, failed)')
+      .option('--status <status>', 'Filter by status, comma-separated (queued, blocked, running, completed, failed, timed_out)')
+      .option('--app-version-id <versionId>', 'Filter by app version')
+      .option('--target <target>', 'Filter by target, comma-separated (device, emulator, browserstack)')
+      .option('--priority <priority>', 'Filter by priority, comma-separated (low, medium, high, urgent)')
+      .option('--device-id <deviceId>', 'Filter by the device that ran the job')
+      .option('--test-path <prefix>', 'Only jobs whose test path starts with this prefix')
+      .option('--created-after <time>', 'Only jobs created at or after this ISO 8601 time')
+      .option('--created-before <time>', 'Only jobs created before this ISO 8601 time')
+      .option('--completed-after <time>', 'Only jobs completed at or after this ISO 8601 time')
+      .option('--completed-before <time>', 'Only jobs completed before this ISO 8601 time')
+      .option('--error <text>', 'Search error messages for this text')
       .option('--limit <limit>', 'Limit number of results', '10')
+      .option('--cursor <cursor>', 'Continue from a previous page')
       .action(async (options) => {
         await this.listJobs(options);
       });
@@ -80,6 +121,69 @@ class QualGenCLI {
         await this.cancelJob(options.jobId);
       });
 
+    // Schedule commands
+    const schedule = this.program
+      .command('schedule')
+      .description('Manage recurring test jobs');
+
+    schedule
+      .command('create')
+      .description('Run a test job on a cron schedule')
+      .requiredOption('--org-id <orgId>', 'Organization ID')
+      .requiredOption('--cron <expression>', 'Cron expression (e.g. "0 2 * * *" for 2am daily)')
+      .requiredOption('--app-version-id <versionId>', 'App version to test, or "latest" for the most recently submitted one')
+      .requiredOption('--test-path <path>', 'Path to test file or directory')
+      .option('--name <name>', 'Schedule name')
+      .option('--timezone <timezone>', 'IANA timezone the cron expression is evaluated in', 'UTC')
+      .option('--priority <priority>', 'Job priority (low, medium, high, urgent)', 'medium')
+      .option('--target <target>', 'Target environment (device, emulator, browserstack)', 'device')
+      .option('--platform <platform>', 'Platform (android, ios)', 'android')
+      .option('--timeout <seconds>', 'Test timeout in seconds', '300')
+      .action(async (options) => {
+        await this.createSchedule(options);
+      });
+
+    schedule
+      .command('list')
+      .description('List schedules for organization')
+      .requiredOption('--org-id <orgId>', 'Organization ID')
+      .action(async (options) => {
+        await this.listSchedules(options.orgId);
+      });
+
+    schedule
+      .command('delete')
+      .description('Delete a schedule')
+      .requiredOption('--schedule-id <scheduleId>', 'Schedule ID to delete')
+      .action(async (options) => {
+        await this.deleteSchedule(options.scheduleId);
+      });
+
+    // Quota command
+    this.program
+      .command('quota')
+      .description('Show organization limits and remaining quota')
+      .requiredOption('--org-id <orgId>', 'Organization ID')
+      .action(async (options) => {
+        await this.showQuota(options.orgId);
+      });
+
+    // Audit command
+    this.program
+      .command('audit')
+      .description('Show who did what: job, device, key and settings changes (admin)')
+      .option('--org-id <orgId>', 'Organization ID (defaults to the API key\'s org)')
+      .option('--action <action>', 'Filter by action (e.g. job.cancel, or job.* for all job actions)')
+      .option('--actor <actorId>', 'Filter by API key or device credential ID')
+      .option('--target-id <targetId>', 'Filter by job, device, key or member ID')
+      .option('--since <time>', 'Only entries at or after this ISO 8601 time')
+      .option('--until <time>', 'Only entries before this ISO 8601 time')
+      .option('--limit <limit>', 'Limit number of results', '50')
+      .option('--export <file>', 'Write every matching entry to a JSON lines file instead')
+      .action(async (options) => {
+        await this.showAudit(options);
+      });
+
     // Devices command
     this.program
       .command('devices')
@@ -103,16 +207,51 @@ class QualGenCLI {
         target: options.target,
         device_requirements: {
           platform: options.platform,
-          device_type: options.deviceType
+          device_type: options.deviceType,
+          os_version: options.osVersion,
+          min_api_level: options.minApiLevel ? parseInt(options.minApiLevel) : undefined,
+          labels: this.splitList(options.labels),
+          location: this.splitList(options.location),
+          capabilities: this.splitList(options.requires)
         },
         timeout: parseInt(options.timeout),
+        retry_policy: this.buildRetryPolicy(options),
+        sharding: options.shards ? { shards: parseInt(options.shards), strategy: options.shardBy } : undefined,
+        depends_on: this.parseDependencies(options.dependsOn),
         metadata: {
           submitted_by: 'qgjob-cli',
           submitted_at: new Date().toISOString()
         }
       };
 
-      const response = await this.apiRequest('POST', '/api/v1/jobs', jobPayload);
+      if (options.matrix) {
+        jobPayload.matrix = this.readMatrix(options.matrix);
+        const build = await this.apiRequest('POST', '/api/v1/builds', jobPayload);
+        
+        spinner.succeed(chalk.green(`✅ Build submitted with ${build.job_count} jobs!`));
+        
+        console.log('\n' + chalk.bold('Build Details:'));
+        console.log(`${chalk.cyan('Build ID:')} ${build.build_id}`);
+        console.log(`${chalk.cyan('Status:')} ${build.status}`);
+        console.log(`${chalk.cyan('Trace ID:')} ${this.trace.trace_id}`);
+        build.jobs.forEach(cell => {
+          console.log(chalk.gray(`  ${cell.job_id}: ${cell.label}`));
+        });
+        
+        if (build.quota) {
+          this.printRemainingQuota(build.quota);
+        }
+        
+        console.log(`\n${chalk.yellow('💡 Track progress:')} qgjob build --build-id ${build.build_id}`);
+        return;
+      }
+
+      const idempotencyKey = options.idempotencyKey === false
+        ? null
+        : (typeof options.idempotencyKey === 'string' ? options.idempotencyKey : this.defaultIdempotencyKey(jobPayload));
+      const response = await this.apiRequest('POST', '/api/v1/jobs', jobPayload, {
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined
+      });
       
       spinner.succeed(chalk.green('✅ Job submitted successfully!'));
       
@@ -121,10 +260,46 @@ class QualGenCLI {
       console.log(`${chalk.cyan('Status:')} ${response.status}`);
       console.log(`${chalk.cyan('Priority:')} ${response.priority}`);
       console.log(`${chalk.cyan('Target:')} ${response.target}`);
-      console.log(`${chalk.cyan('Queue Position:')} ${response.queue_position || 'N/A'}`);
+      console.log(`${chalk.cyan('Trace ID:')} ${response.trace_id || this.trace.trace_id}`);
+      
+      if (idempotencyKey) {
+        console.log(`${chalk.cyan('Idempotency Key:')} ${idempotencyKey}`);
+      }
+      
+      if (response.shards) {
+        console.log(`${chalk.cyan('Shards:')} ${response.shard_count}`);
+        response.shards.forEach(shard => {
+          const expected = shard.expected_seconds ? ` (~${shard.expected_seconds}s)` : '';
+          console.log(chalk.gray(`  #${shard.shard_index} ${shard.job_id}: ${shard.files.length} spec file(s)${expected}`));
+        });
+      } else {
+        console.log(`${chalk.cyan('Queue Position:')} ${response.queue_position || 'N/A'}`);
+      }
       
-      if (response.estimated_start_time) {
+      if (response.group_id) {
+        console.log(`${chalk.cyan('Group:')} ${response.group_id}`);
+      }
+      
+      if (response.depends_on) {
+        console.log(`${chalk.cyan('Depends On:')} ${response.depends_on.map(dep => `${dep.job_id} (on ${dep.condition})`).join(', ')}`);
+      }
+      
+      if (response.retry_policy) {
+        const policy = response.retry_policy;
+        console.log(`${chalk.cyan('Retries:')} up to ${policy.max_attempts} attempts on ${policy.retry_on} failures`);
+      }
+      
+      if (response.status === 'blocked') {
+        console.log(`${chalk.cyan('Estimated Start:')} after upstream jobs finish`);
+      } else if (response.estimated_start_time) {
         console.log(`${chalk.cyan('Estimated Start:')} ${new Date(response.estimated_start_time).toLocaleString()}`);
+      } else if (response.matching_devices === 0) {
+        console.log(`${chalk.yellow('Estimated Start:')} unknown - no matching device is online`);
+        this.printUnmatched(response.unmatched);
+      }
+
+      if (response.quota) {
+        this.printRemainingQuota(response.quota);
       }
 
       console.log(`\n${chalk.yellow('💡 Track progress:')} qgjob status --job-id ${response.job_id}`);
@@ -158,6 +333,25 @@ class QualGenCLI {
         console.log(`${chalk.cyan('Device:')} ${job.device_id}`);
       }
       
+      if (job.group_id) {
+        console.log(`${chalk.cyan('Group:')} ${job.group_id}`);
+      }
+      
+      if (job.trace_context) {
+        console.log(`${chalk.cyan('Trace ID:')} ${job.trace_context.trace_id}`);
+      }
+      
+      if (job.depends_on && job.depends_on.length > 0) {
+        console.log(`${chalk.cyan('Depends On:')}`);
+        job.depends_on.forEach(dep => {
+          console.log(`  ${dep.job_id} ${this.formatStatus(dep.status)} (on ${dep.condition})`);
+        });
+      }
+      
+      if (job.estimate) {
+        this.printEstimate(job);
+      }
+      
       console.log(`${chalk.cyan('Created:')} ${new Date(job.created_at).toLocaleString()}`);
       
       if (job.started_at) {
@@ -169,10 +363,31 @@ class QualGenCLI {
         console.log(`${chalk.cyan('Duration:')} ${this.formatDuration(job.started_at, job.completed_at)}`);
       }
       
-      if (job.error_message) {
+      if (job.status === 'timed_out') {
+        console.log(`${chalk.magenta('Timed Out:')} exceeded the ${job.timeout_seconds}s limit (ran ${this.formatDuration(job.started_at, job.completed_at)})`);
+      } else if (job.error_message) {
         console.log(`${chalk.red('Error:')} ${job.error_message}`);
       }
       
+      if (job.attempts && job.attempts.length > 1) {
+        console.log('\n' + chalk.bold('Attempts:'));
+        job.attempts.forEach(attempt => {
+          const duration = attempt.started_at && attempt.completed_at
+            ? this.formatDuration(attempt.started_at, attempt.completed_at)
+            : 'N/A';
+          const failure = attempt.failure_type ? ` [${attempt.failure_type}] ${attempt.error_message || ''}` : '';
+          console.log(`  #${attempt.attempt_number} ${this.formatStatus(attempt.status)} on ${attempt.device_id || 'N/A'} (${duration})${failure}`);
+        });
+      }
+      
+      if (job.shards && job.shards.length > 0) {
+        console.log('\n' + chalk.bold('Shards:'));
+        job.shards.forEach(shard => {
+          const results = shard.test_results ? ` ${shard.test_results.passed}/${shard.test_results.total} passed` : '';
+          console.log(`  #${shard.shard_index} ${shard.job_id} ${this.formatStatus(shard.status)}${results}`);
+        });
+      }
+      
       if (job.test_results) {
         console.log('\n' + chalk.bold('Test Results:'));
         console.log(`${chalk.cyan('Tests Run:')} ${job.test_results.total}`);
@@ -187,18 +402,81 @@ class QualGenCLI {
     }
   }
 
+  async checkBuild(options) {
+    const spinner = ora(options.cancel ? `Cancelling build ${options.buildId}...` : 'Fetching build status...').start();
+    
+    try {
+      const build = options.cancel
+        ? await this.apiRequest('POST', `/api/v1/builds/${options.buildId}/cancel`)
+        : await this.apiRequest('GET', `/api/v1/builds/${options.buildId}`);
+      
+      spinner.succeed(chalk.green(options.cancel ? '✅ Build cancelled' : '✅ Build status retrieved'));
+      
+      const { grid } = build;
+      console.log('\n' + chalk.bold('Build Status:'));
+      console.log(`${chalk.cyan('Build ID:')} ${build.build_id}`);
+      console.log(`${chalk.cyan('Status:')} ${this.formatStatus(build.status)}`);
+      console.log(`${chalk.cyan('App Version:')} ${build.app_version_id}`);
+      console.log(`${chalk.cyan('Test Path:')} ${build.test_path}`);
+      console.log(`${chalk.cyan('Cells:')} ${chalk.green(`${grid.summary.pass} pass`)}, ${chalk.red(`${grid.summary.fail} fail`)}, ${grid.summary.pending} pending, ${grid.summary.cancelled} cancelled`);
+
+      const results = {
+        pass: chalk.green('PASS'),
+        fail: chalk.red('FAIL'),
+        cancelled: chalk.gray('CANCELLED'),
+        pending: chalk.yellow('PENDING')
+      };
+      const table = new Table({
+        head: [...grid.axes, 'Result', 'Tests', 'Job ID'].map(h => chalk.cyan(h)),
+        style: { border: [], head: [] }
+      });
+
+      grid.cells.forEach(cell => {
+        table.push([
+          ...grid.axes.map(axis => (cell[axis] === undefined ? '-' : String(cell[axis]))),
+          cell.result === 'pending' ? this.formatStatus(cell.status) : results[cell.result],
+          cell.tests.total > 0 ? `${cell.tests.passed}/${cell.tests.total}` : 'N/A',
+          cell.job_id
+        ]);
+      });
+
+      console.log('\n' + table.toString());
+
+    } catch (error) {
+      spinner.fail(chalk.red(options.cancel ? '❌ Failed to cancel build' : '❌ Failed to fetch build status'));
+      this.handleError(error);
+    }
+  }
+
   async listJobs(options) {
     const spinner = ora('Fetching jobs...').start();
     
     try {
       const params = new URLSearchParams();
       params.append('org_id', options.orgId);
-      if (options.status) params.append('status', options.status);
+      const filters = {
+        status: options.status,
+        app_version_id: options.appVersionId,
+        target: options.target,
+        priority: options.priority,
+        device_id: options.deviceId,
+        test_path_prefix: options.testPath,
+        created_after: options.createdAfter,
+        created_before: options.createdBefore,
+        completed_after: options.completedAfter,
+        completed_before: options.completedBefore,
+        error: options.error,
+        cursor: options.cursor
+      };
+      for (const [name, value] of Object.entries(filters)) {
+        if (value) params.append(name, value);
+      }
       params.append('limit', options.limit);
       
-      const jobs = await this.apiRequest('GET', `/api/v1/jobs?${params}`);
+      const page = await this.apiRequest('GET', `/api/v1/jobs?${params}`);
+      const jobs = page.jobs;
       
-      spinner.succeed(chalk.green(`✅ Found ${jobs.length} jobs`));
+      spinner.succeed(chalk.green(`✅ Showing ${jobs.length} of ${page.total_count} jobs`));
       
       if (jobs.length === 0) {
         console.log(chalk.yellow('No jobs found matching the criteria.'));
@@ -230,6 +508,10 @@ class QualGenCLI {
 
       console.log('\n' + table.toString());
 
+      if (page.next_cursor) {
+        console.log(`\n${chalk.yellow('💡 Next page:')} rerun with --cursor ${page.next_cursor}`);
+      }
+
     } catch (error) {
       spinner.fail(chalk.red('❌ Failed to fetch jobs'));
       this.handleError(error);
@@ -255,6 +537,10 @@ class QualGenCLI {
           spinner.fail(chalk.red('❌ Job failed'));
           await this.checkStatus(jobId);
           process.exit(1);
+        } else if (job.status === 'timed_out') {
+          spinner.fail(chalk.magenta(`⏱️ Job timed out after ${job.timeout_seconds}s`));
+          await this.checkStatus(jobId);
+          process.exit(1);
         } else if (job.status === 'cancelled') {
           spinner.fail(chalk.yellow('⚠️ Job was cancelled'));
           await this.checkStatus(jobId);
@@ -332,15 +618,29 @@ class QualGenCLI {
     }
   }
 
-  async apiRequest(method, path, data = null) {
+  // Each call is a client span; the orchestrator continues it from the traceparent header
+  async apiRequest(method, path, data = null, { responseType, headers } = {}) {
+    if (!this.apiKey) {
+      throw new Error('QUALGEN_API_KEY is not set; export an org API key (qgk_...) to use qgjob');
+    }
+
+    const span = this.tracer.startSpan(`${method} ${path.split('?')[0]}`, {
+      parent: this.trace,
+      kind: 'client',
+      attributes: { 'http.method': method, 'http.url': `${this.apiUrl}${path}` }
+    });
+
     try {
       const config = {
         method,
         url: `${this.apiUrl}${path}`,
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
+          'Content-Type': 'application/json',
+          'traceparent': Tracing.formatTraceparent(span.context()),
+          ...headers
+        },
+        responseType
       };
 
       if (data) {
@@ -348,31 +648,298 @@ class QualGenCLI {
       }
 
       const response = await axios(config);
+      span.setAttributes({ 'http.status_code': response.status });
       return response.data;
 
     } catch (error) {
+      span.recordError(error);
       if (error.response) {
-        throw new Error(`API Error: ${error.response.status} - ${error.response.data.message || error.response.statusText}`);
+        span.setAttributes({ 'http.status_code': error.response.status });
+        const data = error.response.data || {};
+        throw new Error(`API Error: ${error.response.status} - ${data.error || data.message || error.response.statusText}`);
       } else if (error.request) {
         throw new Error(`Network Error: Unable to connect to ${this.apiUrl}`);
       } else {
         throw new Error(`Request Error: ${error.message}`);
       }
+    } finally {
+      span.end();
+      await this.tracer.flush();
     }
   }
 
   formatStatus(status) {
     const statusColors = {
       'queued': chalk.yellow,
+      'retrying': chalk.yellow,
+      'blocked': chalk.gray,
+      'sharded': chalk.blue,
+      'assigned': chalk.cyan,
       'running': chalk.blue,
       'completed': chalk.green,
       'failed': chalk.red,
-      'cancelled': chalk.gray
+      'cancelled': chalk.gray,
+      'timed_out': chalk.magenta
     };
     
     return (statusColors[status] || chalk.white)(status.toUpperCase());
   }
 
+  printEstimate(job) {
+    const estimate = job.estimate;
+    
+    if (job.status === 'queued') {
+      console.log(`${chalk.cyan('Queue Position:')} ${estimate.queue_position || 'N/A'} (${estimate.jobs_ahead} ahead, ${estimate.matching_devices} matching devices)`);
+      if (estimate.estimated_start_time) {
+        console.log(`${chalk.cyan('Estimated Start:')} ${new Date(estimate.estimated_start_time).toLocaleString()}`);
+      } else {
+        console.log(`${chalk.yellow('Estimated Start:')} unknown - no matching device is online`);
+        this.printUnmatched(estimate.unmatched);
+      }
+    }
+    
+    if (['queued', 'assigned', 'running'].includes(job.status) && estimate.estimated_completion_time) {
+      console.log(`${chalk.cyan('Estimated Finish:')} ${new Date(estimate.estimated_completion_time).toLocaleString()} (typical run ${estimate.expected_duration_seconds}s)`);
+    }
+  }
+
+  async createSchedule(options) {
+    const spinner = ora('Creating schedule...').start();
+    
+    try {
+      const latest = options.appVersionId === 'latest';
+      const schedule = await this.apiRequest('POST', '/api/v1/schedules', {
+        org_id: options.orgId,
+        name: options.name,
+        cron: options.cron,
+        timezone: options.timezone,
+        job_template: {
+          app_version_strategy: latest ? 'latest' : 'fixed',
+          app_version_id: latest ? undefined : options.appVersionId,
+          test_path: options.testPath,
+          priority: options.priority,
+          target: options.target,
+          device_requirements: { platform: options.platform },
+          timeout: parseInt(options.timeout),
+          metadata: { submitted_by: 'qgjob-cli' }
+        }
+      });
+      
+      spinner.succeed(chalk.green('✅ Schedule created!'));
+      
+      console.log('\n' + chalk.bold('Schedule Details:'));
+      console.log(`${chalk.cyan('Schedule ID:')} ${schedule.schedule_id}`);
+      console.log(`${chalk.cyan('Cron:')} ${schedule.cron} (${schedule.timezone})`);
+      console.log(`${chalk.cyan('App Version:')} ${latest ? 'latest submitted' : schedule.job_template.app_version_id}`);
+      console.log(`${chalk.cyan('Test Path:')} ${schedule.job_template.test_path}`);
+      
+    } catch (error) {
+      spinner.fail(chalk.red('❌ Failed to create schedule'));
+      this.handleError(error);
+    }
+  }
+
+  async listSchedules(orgId) {
+    const spinner = ora('Fetching schedules...').start();
+    
+    try {
+      const schedules = await this.apiRequest('GET', `/api/v1/schedules?org_id=${encodeURIComponent(orgId)}`);
+      
+      spinner.succeed(chalk.green(`✅ Found ${schedules.length} schedules`));
+      
+      if (schedules.length === 0) {
+        console.log(chalk.yellow('No schedules found for this organization.'));
+        return;
+      }
+
+      const table = new Table({
+        head: ['Schedule ID', 'Name', 'Cron', 'Timezone', 'App Version', 'Test Path', 'Last Run', 'Last Job'].map(h => chalk.cyan(h)),
+        style: { border: [], head: [] }
+      });
+
+      schedules.forEach(schedule => {
+        const template = schedule.job_template;
+        table.push([
+          schedule.schedule_id,
+          schedule.name || '-',
+          schedule.cron,
+          schedule.timezone,
+          template.app_version_strategy === 'latest' ? 'latest' : template.app_version_id,
+          template.test_path,
+          schedule.last_run_at ? new Date(schedule.last_run_at).toLocaleString() : 'never',
+          schedule.last_error ? chalk.red(schedule.last_error) : (schedule.last_job_id || '-')
+        ]);
+      });
+
+      console.log('\n' + table.toString());
+
+    } catch (error) {
+      spinner.fail(chalk.red('❌ Failed to fetch schedules'));
+      this.handleError(error);
+    }
+  }
+
+  async deleteSchedule(scheduleId) {
+    const spinner = ora(`Deleting schedule ${scheduleId}...`).start();
+    
+    try {
+      await this.apiRequest('DELETE', `/api/v1/schedules/${scheduleId}`);
+      
+      spinner.succeed(chalk.green('✅ Schedule deleted'));
+
+    } catch (error) {
+      spinner.fail(chalk.red('❌ Failed to delete schedule'));
+      this.handleError(error);
+    }
+  }
+
+  async showQuota(orgId) {
+    const spinner = ora('Fetching quota...').start();
+    
+    try {
+      const quota = await this.apiRequest('GET', `/api/v1/orgs/${orgId}/quota`);
+      
+      spinner.succeed(chalk.green('✅ Quota retrieved'));
+      
+      const limit = value => (value === null ? 'unlimited' : value);
+      console.log('\n' + chalk.bold(`Quota for ${quota.org_id}:`));
+      console.log(`${chalk.cyan('Concurrent Devices:')} ${quota.usage.concurrent_jobs} / ${limit(quota.limits.max_concurrent_jobs)}`);
+      console.log(`${chalk.cyan('Queued Jobs:')} ${quota.usage.queued_jobs} / ${limit(quota.limits.max_queued_jobs)}`);
+      console.log(`${chalk.cyan('Device Minutes:')} ${quota.usage.device_minutes} / ${limit(quota.limits.monthly_device_minutes)} this month`);
+      console.log(`${chalk.cyan('Resets:')} ${new Date(quota.period.resets_at).toLocaleString()}`);
+      
+    } catch (error) {
+      spinner.fail(chalk.red('❌ Failed to fetch quota'));
+      this.handleError(error);
+    }
+  }
+
+  async showAudit(options) {
+    const spinner = ora(options.export ? 'Exporting audit log...' : 'Fetching audit log...').start();
+    
+    try {
+      const params = new URLSearchParams();
+      if (options.orgId) params.append('org_id', options.orgId);
+      if (options.action) params.append('action', options.action);
+      if (options.actor) params.append('actor', options.actor);
+      if (options.targetId) params.append('target_id', options.targetId);
+      if (options.since) params.append('since', options.since);
+      if (options.until) params.append('until', options.until);
+
+      if (options.export) {
+        params.append('format', 'jsonl');
+        const lines = await this.apiRequest('GET', `/api/v1/audit?${params}`, null, { responseType: 'text' });
+        fs.writeFileSync(options.export, lines);
+        const count = lines.split('\n').filter(Boolean).length;
+        spinner.succeed(chalk.green(`✅ Exported ${count} audit entries to ${options.export}`));
+        return;
+      }
+
+      params.append('limit', options.limit);
+      const entries = await this.apiRequest('GET', `/api/v1/audit?${params}`);
+      
+      spinner.succeed(chalk.green(`✅ Found ${entries.length} audit entries`));
+      
+      if (entries.length === 0) {
+        console.log(chalk.yellow('No audit entries found matching the criteria.'));
+        return;
+      }
+
+      const table = new Table({
+        head: ['Time', 'Action', 'Target', 'Actor', 'Role', 'Org', 'Source IP'].map(h => chalk.cyan(h)),
+        style: { border: [], head: [] }
+      });
+
+      entries.forEach(entry => {
+        table.push([
+          new Date(entry.created_at).toLocaleString(),
+          entry.action,
+          `${entry.target.type} ${entry.target.id || ''}`.trim(),
+          entry.actor.id || entry.actor.type,
+          entry.actor.role || '-',
+          entry.org_id || '-',
+          entry.source_ip || '-'
+        ]);
+      });
+
+      console.log('\n' + table.toString());
+
+    } catch (error) {
+      spinner.fail(chalk.red('❌ Failed to fetch audit log'));
+      this.handleError(error);
+    }
+  }
+
+  printRemainingQuota(quota) {
+    const parts = [];
+    const { remaining } = quota;
+    if (remaining.concurrent_jobs !== null) parts.push(`${remaining.concurrent_jobs} concurrent devices`);
+    if (remaining.queued_jobs !== null) parts.push(`${remaining.queued_jobs} queue slots`);
+    if (remaining.device_minutes !== null) parts.push(`${remaining.device_minutes} device-minutes this month`);
+    
+    console.log(`${chalk.cyan('Quota Remaining:')} ${parts.length > 0 ? parts.join(', ') : 'unlimited'}`);
+  }
+
+  printUnmatched(unmatched) {
+    if (!unmatched) return;
+    
+    console.log(`${chalk.yellow('Why:')} ${unmatched.summary}`);
+    for (const device of unmatched.devices.slice(0, 5)) {
+      console.log(chalk.gray(`  ${device.name || device.device_id}: ${device.reasons.map(reason => reason.message).join('; ')}`));
+    }
+  }
+
+  // In CI, rerunning `qgjob submit` within the same run (e.g. after a network
+  // error) gets the first job back. The key hashes the run's identity with the
+  // request, so different submissions in one run get different keys. Outside
+  // CI there is no default key.
+  defaultIdempotencyKey(payload) {
+    const runVariables = [
+      ['GITHUB_RUN_ID', 'GITHUB_RUN_ATTEMPT', 'GITHUB_REPOSITORY', 'GITHUB_JOB'],
+      ['CI_PIPELINE_ID', 'CI_JOB_ID', 'CI_PROJECT_ID'],
+      ['CIRCLE_WORKFLOW_ID', 'CIRCLE_BUILD_NUM'],
+      ['BUILDKITE_BUILD_ID', 'BUILDKITE_JOB_ID'],
+      ['BUILD_TAG']
+    ].find(names => process.env[names[0]]);
+    if (!runVariables) return null;
+
+    const identity = JSON.stringify({
+      run: runVariables.map(name => process.env[name] || ''),
+      request: { ...payload, metadata: undefined }
+    });
+    return `qgjob-${crypto.createHash('sha256').update(identity).digest('hex').substring(0, 32)}`;
+  }
+
+  // --matrix takes inline JSON or a path to a JSON file
+  readMatrix(value) {
+    const source = fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value;
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      throw new Error(`--matrix must be JSON or a path to a JSON file: ${error.message}`);
+    }
+  }
+
+  // 'qj_a,qj_b:completion' -> [{ job_id: 'qj_a', condition: 'success' }, { job_id: 'qj_b', condition: 'completion' }]
+  parseDependencies(value) {
+    return this.splitList(value)?.map(entry => {
+      const [jobId, condition] = entry.split(':');
+      return { job_id: jobId, condition: condition || 'success' };
+    });
+  }
+
+  splitList(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+  }
+
+  buildRetryPolicy(options) {
+    const policy = {};
+    if (options.maxAttempts) policy.max_attempts = parseInt(options.maxAttempts);
+    if (options.retryBackoff) policy.backoff_seconds = parseInt(options.retryBackoff);
+    if (options.retryOn) policy.retry_on = options.retryOn;
+    return Object.keys(policy).length > 0 ? policy : undefined;
+  }
+
   formatDeviceStatus(status) {
     const statusColors = {
       'available': chalk.green,
@@ -402,16 +969,30 @@ class QualGenCLI {
 
   handleError(error) {
     console.error('\n' + chalk.red('Error:'), error.message);
+    console.error(chalk.gray(`Trace ID: ${this.trace.trace_id}`));
     
     if (error.message.includes('Network Error')) {
       console.log(chalk.yellow('\n💡 Tips:'));
       console.log(`• Check if the job server is running: ${this.apiUrl}`);
       console.log('• Verify QUALGEN_API_URL environment variable');
       console.log('• Ensure network connectivity');
+    } else if (error.message.includes('429')) {
+      console.log(chalk.yellow('\n💡 Quota exceeded:'));
+      console.log('• Check remaining quota: qgjob quota --org-id <orgId>');
+      console.log('• Wait for queued jobs to start, or ask an admin to raise the limit');
     } else if (error.message.includes('401')) {
       console.log(chalk.yellow('\n💡 Authentication issue:'));
       console.log('• Check QUALGEN_API_KEY environment variable');
       console.log('• Verify API key is valid');
+    } else if (error.message.includes('API Error: 403')) {
+      console.log(chalk.yellow('\n💡 Permission issue:'));
+      console.log('• QUALGEN_API_KEY only grants access to the org it was created for');
+      console.log('• Check that --org-id matches that org');
+      console.log('• Viewer keys can only read; submitting and cancelling needs the submitter role');
+    } else if (error.message.includes('Idempotency-Key')) {
+      console.log(chalk.yellow('\n💡 Idempotency key:'));
+      console.log('• A key returns the job from its first submission; it cannot be reused for a different request');
+      console.log('• Pass a new --idempotency-key, or --no-idempotency-key to always create a new job');
     }
     
     process.exit(1);
@@ -14,6 +14,8 @@ class QualGenCompletePlatform {
   constructor(port = 3008) {
     this.app = express();
     this.port = port;
+    // Members and roles on the Settings page are managed through the job orchestrator's API
+    this.orchestratorUrl = process.env.QUALGEN_API_URL || 'http://localhost:8080';
     this.setupDirectories();
     this.setupMiddleware();
     this.initializeData();
@@ -1010,9 +1012,142 @@ class QualGenCompletePlatform {
                 </div>
             </div>
         </div>
+
+        <div class="card" style="margin-top: 24px;">
+            <div class="card-header">
+                <h3 class="card-title">Members &amp; Roles</h3>
+            </div>
+            <div class="card-content">
+                <p style="margin-bottom: 16px; color: #6b7280;">
+                    Viewers can read jobs and artifacts, submitters can also submit and cancel jobs (CI),
+                    and admins manage members, API keys and webhooks. Sign in with an org admin API key.
+                </p>
+                <div style="display: grid; grid-template-columns: 1fr 2fr auto; gap: 12px; margin-bottom: 20px;">
+                    <input id="members-org" type="text" placeholder="Org ID" style="padding: 8px 12px; border: 1px solid #d1d5db; border-radius: 6px;">
+                    <input id="members-key" type="password" autocomplete="off" placeholder="Admin API key (qgk_...)" style="padding: 8px 12px; border: 1px solid #d1d5db; border-radius: 6px;">
+                    <button class="btn btn-secondary" onclick="loadMembers()">Load Members</button>
+                </div>
+                <div id="members-error" style="display: none; margin-bottom: 16px; color: #dc2626;"></div>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Email</th>
+                            <th>Name</th>
+                            <th>Role</th>
+                            <th>Active Keys</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody id="members-body">
+                        <tr><td colspan="5" style="color: #6b7280;">Enter an org and admin API key to manage members</td></tr>
+                    </tbody>
+                </table>
+                <div style="display: grid; grid-template-columns: 2fr 2fr 1fr auto; gap: 12px; margin-top: 20px;">
+                    <input id="invite-email" type="email" placeholder="Email" style="padding: 8px 12px; border: 1px solid #d1d5db; border-radius: 6px;">
+                    <input id="invite-name" type="text" placeholder="Name" style="padding: 8px 12px; border: 1px solid #d1d5db; border-radius: 6px;">
+                    <select id="invite-role" style="padding: 8px 12px; border: 1px solid #d1d5db; border-radius: 6px;">
+                        <option value="viewer">Viewer</option>
+                        <option value="submitter">Submitter</option>
+                        <option value="admin">Admin</option>
+                    </select>
+                    <button class="btn-primary" onclick="addMember()">Add Member</button>
+                </div>
+            </div>
+        </div>
     </div>
 
     <script>
+        const ORCHESTRATOR_URL = '${this.orchestratorUrl}';
+        const ROLES = ['viewer', 'submitter', 'admin'];
+
+        // The org is remembered for the session; the API key only lives in the input
+        document.getElementById('members-org').value = sessionStorage.getItem('qualgen-org') || '';
+
+        function membersUrl(memberId) {
+            const orgId = encodeURIComponent(document.getElementById('members-org').value.trim());
+            return ORCHESTRATOR_URL + '/api/v1/orgs/' + orgId + '/members' + (memberId ? '/' + encodeURIComponent(memberId) : '');
+        }
+
+        function membersRequest(method, memberId, body) {
+            const apiKey = document.getElementById('members-key').value.trim();
+            sessionStorage.setItem('qualgen-org', document.getElementById('members-org').value.trim());
+
+            return fetch(membersUrl(memberId), {
+                method,
+                headers: { 'Authorization': 'Bearer ' + apiKey, 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            }).then(response => response.json().then(data => {
+                if (!response.ok) throw new Error(data.error || 'Request failed (' + response.status + ')');
+                return data;
+            }));
+        }
+
+        function showMembersError(error) {
+            const box = document.getElementById('members-error');
+            box.textContent = error ? error.message : '';
+            box.style.display = error ? 'block' : 'none';
+        }
+
+        // Built from DOM nodes so member fields are never parsed as HTML
+        function renderMembers(members) {
+            const body = document.getElementById('members-body');
+            if (members.length === 0) {
+                body.innerHTML = '<tr><td colspan="5" style="color: #6b7280;">No members yet</td></tr>';
+                return;
+            }
+            body.innerHTML = '';
+            members.forEach(member => {
+                const row = body.insertRow();
+                row.insertCell().textContent = member.email;
+                row.insertCell().textContent = member.name || '-';
+
+                const select = document.createElement('select');
+                select.dataset.memberId = member.member_id;
+                ROLES.forEach(role => select.add(new Option(role, role, false, role === member.role)));
+                select.addEventListener('change', event => changeRole(event.target.dataset.memberId, event.target.value));
+                row.insertCell().appendChild(select);
+
+                row.insertCell().textContent = member.active_keys;
+
+                const remove = document.createElement('button');
+                remove.className = 'btn btn-secondary';
+                remove.textContent = 'Remove';
+                remove.dataset.memberId = member.member_id;
+                remove.addEventListener('click', event => removeMember(event.target.dataset.memberId));
+                row.insertCell().appendChild(remove);
+            });
+        }
+
+        function loadMembers() {
+            showMembersError(null);
+            membersRequest('GET').then(renderMembers).catch(showMembersError);
+        }
+
+        function addMember() {
+            const member = {
+                email: document.getElementById('invite-email').value.trim(),
+                name: document.getElementById('invite-name').value.trim() || null,
+                role: document.getElementById('invite-role').value
+            };
+            membersRequest('POST', null, member).then(() => {
+                document.getElementById('invite-email').value = '';
+                document.getElementById('invite-name').value = '';
+                loadMembers();
+            }).catch(showMembersError);
+        }
+
+        function changeRole(memberId, role) {
+            membersRequest('PUT', memberId, { role }).then(loadMembers).catch(error => {
+                showMembersError(error);
+                loadMembers();
+            });
+        }
+
+        function removeMember(memberId) {
+            if (!confirm('Remove this member? Their API keys will be revoked.')) return;
+            membersRequest('DELETE', memberId).then(loadMembers).catch(showMembersError);
+        }
+
         document.querySelector('a[href="/settings"]').classList.add('active');
     </script>
 </body>
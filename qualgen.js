@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * QualGen Admin CLI (qualgen)
+ * Operate the orchestrator's database: apply, revert and inspect schema migrations
+ */
+
+const { Command } = require('commander');
+const { Pool } = require('pg');
+const chalk = require('chalk');
+const SchemaMigrator = require('./schema-migrator');
+
+const STATE_COLORS = {
+  applied: chalk.green,
+  pending: chalk.yellow,
+  modified: chalk.red,
+  missing: chalk.red
+};
+
+class QualGenAdminCLI {
+  constructor() {
+    this.program = new Command();
+    this.setupCommands();
+  }
+
+  setupCommands() {
+    this.program
+      .name('qualgen')
+      .description('QualGen admin CLI - Manage the orchestrator database')
+      .version('1.0.0');
+
+    const migrate = this.program
+      .command('migrate')
+      .description('Manage database schema migrations (applies pending migrations by default)');
+
+    migrate
+      .command('up', { isDefault: true })
+      .description('Apply pending migrations')
+      .option('--to <version>', 'Stop after this migration version')
+      .action(async (options) => {
+        await this.withMigrator(async migrator => {
+          const applied = await migrator.migrate({ to: options.to === undefined ? null : options.to });
+          if (applied.length === 0) {
+            console.log(chalk.green('✅ Database schema is up to date'));
+            return;
+          }
+          applied.forEach(migration => console.log(`${chalk.green('Applied')}  ${this.formatMigration(migration)}`));
+          console.log(chalk.green(`✅ Applied ${applied.length} migration(s)`));
+        });
+      });
+
+    migrate
+      .command('down')
+      .description('Revert applied migrations, newest first')
+      .option('--steps <n>', 'Number of migrations to revert', '1')
+      .option('--to <version>', 'Revert every migration after this version (0 reverts all)')
+      .action(async (options) => {
+        await this.withMigrator(async migrator => {
+          const reverted = await migrator.rollback({
+            steps: parseInt(options.steps),
+            to: options.to === undefined ? null : options.to
+          });
+          if (reverted.length === 0) {
+            console.log(chalk.yellow('No migrations to revert'));
+            return;
+          }
+          reverted.forEach(migration => console.log(`${chalk.yellow('Reverted')} ${this.formatMigration(migration)}`));
+          console.log(chalk.green(`✅ Reverted ${reverted.length} migration(s)`));
+        });
+      });
+
+    migrate
+      .command('status')
+      .description('Show applied and pending migrations')
+      .action(async () => {
+        await this.withMigrator(async migrator => {
+          const rows = await migrator.status();
+          rows.forEach(row => {
+            const state = STATE_COLORS[row.state](row.state.padEnd(8));
+            const appliedAt = row.applied_at ? chalk.gray(new Date(row.applied_at).toISOString()) : '';
+            console.log(`${state} ${this.formatMigration(row)} ${appliedAt}`.trimEnd());
+          });
+
+          const pending = rows.filter(row => row.state === 'pending').length;
+          console.log(pending === 0
+            ? chalk.green('\n✅ Database schema is up to date')
+            : chalk.yellow(`\n${pending} pending migration(s); run: qualgen migrate`));
+          if (rows.some(row => row.state === 'modified' || row.state === 'missing')) {
+            process.exitCode = 1;
+          }
+        });
+      });
+  }
+
+  async withMigrator(fn) {
+    const db = new Pool(SchemaMigrator.connectionOptions());
+    try {
+      await fn(new SchemaMigrator(db));
+    } catch (error) {
+      this.handleError(error);
+    } finally {
+      await db.end();
+    }
+  }
+
+  formatMigration(migration) {
+    return `${SchemaMigrator.formatVersion(migration.version)}_${migration.name}`;
+  }
+
+  handleError(error) {
+    console.error('\n' + chalk.red('Error:'), error.message);
+
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      console.log(chalk.yellow('\n💡 Tips:'));
+      console.log('• Check that PostgreSQL is running');
+      console.log('• Verify DATABASE_URL, or DB_HOST, DB_PORT, DB_NAME, DB_USER and DB_PASSWORD');
+    }
+
+    process.exitCode = 1;
+  }
+
+  run() {
+    return this.program.parseAsync();
+  }
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+  const cli = new QualGenAdminCLI();
+  cli.run();
+}
+
+module.exports = QualGenAdminCLI;
@@ -0,0 +1,155 @@
+/**
+ * QualGen Scheduling Policy
+ * Decides the order in which queued jobs are dispatched: weighted fair-share
+ * across organisations, with age-based promotion of waiting jobs
+ */
+
+// Highest first; 'normal' is accepted as an alias of 'medium' (proto naming)
+const PRIORITIES = ['urgent', 'high', 'medium', 'low'];
+const PRIORITY_ALIASES = { normal: 'medium' };
+const PRIORITY_RANK = { urgent: 4, high: 3, medium: 2, normal: 2, low: 1 };
+const MODES = ['fair_share', 'strict_priority'];
+
+const DEFAULT_CONFIG = {
+  mode: process.env.SCHEDULING_MODE || 'fair_share',
+  default_weight: 1,
+  org_weights: {},
+  aging_interval_seconds: parseInt(process.env.PRIORITY_AGING_SECONDS) || 300,
+  max_aged_priority: 'high',
+  urgent_bypasses_fair_share: true
+};
+
+class SchedulingPolicy {
+  constructor(config = {}) {
+    this.config = SchedulingPolicy.validate({ ...DEFAULT_CONFIG, ...config });
+  }
+
+  static normalizePriority(priority) {
+    const value = String(priority || 'medium').toLowerCase();
+    const normalized = PRIORITY_ALIASES[value] || value;
+    if (!PRIORITIES.includes(normalized)) {
+      throw new Error(`Invalid priority: ${priority}. Expected one of: ${PRIORITIES.join(', ')}, normal`);
+    }
+    return normalized;
+  }
+
+  static rankOf(priority) {
+    return PRIORITY_RANK[priority] || PRIORITY_RANK.medium;
+  }
+
+  static priorityName(rank) {
+    return PRIORITIES.find(priority => PRIORITY_RANK[priority] === rank);
+  }
+
+  static validate(config) {
+    if (!MODES.includes(config.mode)) {
+      throw new Error(`Invalid scheduling mode: ${config.mode}. Expected one of: ${MODES.join(', ')}`);
+    }
+    if (!(Number(config.default_weight) > 0)) {
+      throw new Error('default_weight must be greater than 0');
+    }
+    if (typeof config.org_weights !== 'object' || config.org_weights === null || Array.isArray(config.org_weights)) {
+      throw new Error('org_weights must be an object of org_id → weight');
+    }
+    for (const [orgId, weight] of Object.entries(config.org_weights)) {
+      if (!(Number(weight) > 0)) {
+        throw new Error(`Weight for org ${orgId} must be greater than 0`);
+      }
+    }
+    if (!(Number(config.aging_interval_seconds) >= 0)) {
+      throw new Error('aging_interval_seconds must be zero (disabled) or positive');
+    }
+    if (!PRIORITIES.includes(config.max_aged_priority)) {
+      throw new Error(`max_aged_priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
+
+    return {
+      mode: config.mode,
+      default_weight: Number(config.default_weight),
+      org_weights: Object.fromEntries(
+        Object.entries(config.org_weights).map(([orgId, weight]) => [orgId, Number(weight)])
+      ),
+      aging_interval_seconds: Number(config.aging_interval_seconds),
+      max_aged_priority: config.max_aged_priority,
+      urgent_bypasses_fair_share: Boolean(config.urgent_bypasses_fair_share)
+    };
+  }
+
+  weightFor(orgId) {
+    return this.config.org_weights[orgId] ?? this.config.default_weight;
+  }
+
+  // Base rank plus one level per aging interval waited, capped at max_aged_priority.
+  // Jobs already at or above the cap keep their own rank.
+  effectivePriority(job, now = Date.now()) {
+    const base = SchedulingPolicy.rankOf(job.priority);
+    const cap = PRIORITY_RANK[this.config.max_aged_priority];
+    if (base >= cap || this.config.aging_interval_seconds === 0) {
+      return base;
+    }
+
+    const waitedSeconds = (now - new Date(job.created_at).getTime()) / 1000;
+    const promotions = Math.floor(Math.max(0, waitedSeconds) / this.config.aging_interval_seconds);
+    return Math.min(base + promotions, cap);
+  }
+
+  /**
+   * Order queued jobs ({ job_id, org_id, priority, created_at }) for dispatch.
+   * `usage` maps org_id to the number of jobs it currently has on devices;
+   * each pick is assumed to be dispatched and counts towards its org's usage.
+   */
+  orderQueuedJobs(jobs, usage = new Map(), now = Date.now()) {
+    const byPriority = (a, b) => (b.effective_priority - a.effective_priority) ||
+      (new Date(a.created_at) - new Date(b.created_at));
+    const annotated = jobs.map(job => ({ ...job, effective_priority: this.effectivePriority(job, now) }));
+
+    if (this.config.mode === 'strict_priority') {
+      return annotated.sort(byPriority);
+    }
+
+    const ordered = [];
+    const active = new Map(usage);
+    const perOrg = new Map();
+
+    for (const job of annotated) {
+      if (job.priority === 'urgent' && this.config.urgent_bypasses_fair_share) {
+        ordered.push(job);
+        continue;
+      }
+      if (!perOrg.has(job.org_id)) perOrg.set(job.org_id, []);
+      perOrg.get(job.org_id).push(job);
+    }
+
+    ordered.sort(byPriority);
+    ordered.forEach(job => active.set(job.org_id, (active.get(job.org_id) || 0) + 1));
+    perOrg.forEach(orgJobs => orgJobs.sort(byPriority));
+
+    // Repeatedly serve the org furthest below its weighted share
+    while (perOrg.size > 0) {
+      let nextOrg = null;
+      for (const [orgId, orgJobs] of perOrg) {
+        if (nextOrg === null) {
+          nextOrg = orgId;
+          continue;
+        }
+        const share = (active.get(orgId) || 0) / this.weightFor(orgId);
+        const bestShare = (active.get(nextOrg) || 0) / this.weightFor(nextOrg);
+        if (share < bestShare || (share === bestShare && byPriority(orgJobs[0], perOrg.get(nextOrg)[0]) < 0)) {
+          nextOrg = orgId;
+        }
+      }
+
+      const orgJobs = perOrg.get(nextOrg);
+      ordered.push(orgJobs.shift());
+      active.set(nextOrg, (active.get(nextOrg) || 0) + 1);
+      if (orgJobs.length === 0) perOrg.delete(nextOrg);
+    }
+
+    return ordered;
+  }
+}
+
+SchedulingPolicy.PRIORITIES = PRIORITIES;
+SchedulingPolicy.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+module.exports = SchedulingPolicy;
@@ -0,0 +1,232 @@
+/**
+ * QualGen Schema Migrator
+ * Versioned migrations for the orchestrator database.
+ *
+ * Each file in migrations/ is one numbered step that exports `up` and `down`
+ * SQL:
+ *
+ *   migrations/0001_initial_schema.js
+ *   migrations/0002_add_job_labels.js
+ *
+ * Applied versions are recorded in schema_migrations with a checksum of their
+ * `up` SQL. Every step runs in its own transaction together with its
+ * schema_migrations row, so a failed step leaves nothing half applied. A
+ * session advisory lock serialises runs: an orchestrator starting while
+ * `qualgen migrate` runs waits for it and then finds nothing left to do.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILENAME_PATTERN = /^(\d{4})_([a-z0-9_]+)\.js$/;
+// Arbitrary key for pg_advisory_lock; only migration runs take it
+const LOCK_ID = 72410385;
+const NULL_LOG = { info() {}, warn() {} };
+
+const CREATE_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(200) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  )
+`;
+
+class SchemaMigrator {
+  constructor(db, { directory = MIGRATIONS_DIR, log = NULL_LOG } = {}) {
+    this.db = db;
+    this.directory = directory;
+    this.log = log;
+  }
+
+  // Apply pending migrations in order, up to and including `to` when given.
+  // Returns the migrations applied.
+  async migrate({ to = null } = {}) {
+    const migrations = SchemaMigrator.load(this.directory);
+    const target = to === null ? Infinity : SchemaMigrator.parseVersion(to);
+
+    return this.withLock(async client => {
+      const applied = await this.appliedVersions(client);
+      this.checkApplied(migrations, applied);
+
+      const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= target);
+      for (const migration of pending) {
+        await this.runStep(client, migration, 'up', () => client.query(`
+          INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)
+        `, [migration.version, migration.name, migration.checksum]));
+      }
+
+      if (pending.length === 0) this.log.info('Database schema is up to date');
+      return pending;
+    });
+  }
+
+  // Revert the latest `steps` applied migrations, or every one after `to`.
+  // Returns the migrations reverted, newest first.
+  async rollback({ steps = 1, to = null } = {}) {
+    const migrations = SchemaMigrator.load(this.directory);
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const target = to === null ? null : SchemaMigrator.parseVersion(to);
+    if (target === null && (!Number.isInteger(steps) || steps < 1)) {
+      throw new Error('steps must be a positive integer');
+    }
+
+    return this.withLock(async client => {
+      const applied = [...(await this.appliedVersions(client)).keys()].sort((a, b) => b - a);
+      const versions = target === null ? applied.slice(0, steps) : applied.filter(version => version > target);
+
+      const missing = versions.filter(version => !byVersion.has(version));
+      if (missing.length > 0) {
+        throw new Error(`Cannot roll back migration ${missing.join(', ')}: no file in ${this.directory}`);
+      }
+
+      const reverted = versions.map(version => byVersion.get(version));
+      for (const migration of reverted) {
+        await this.runStep(client, migration, 'down', () => client.query(
+          'DELETE FROM schema_migrations WHERE version = $1', [migration.version]));
+      }
+      return reverted;
+    });
+  }
+
+  // Every known or applied version with its state: applied, pending, modified
+  // (its file changed after it was applied) or missing (applied, but no file)
+  async status() {
+    const migrations = SchemaMigrator.load(this.directory);
+
+    return this.withLock(async client => {
+      const applied = await this.appliedVersions(client);
+      const rows = migrations.map(migration => {
+        const row = applied.get(migration.version);
+        if (!row) return { version: migration.version, name: migration.name, state: 'pending', applied_at: null };
+        return {
+          version: migration.version,
+          name: migration.name,
+          state: row.checksum === migration.checksum ? 'applied' : 'modified',
+          applied_at: row.applied_at
+        };
+      });
+
+      const known = new Set(migrations.map(migration => migration.version));
+      for (const [version, row] of applied) {
+        if (!known.has(version)) rows.push({ version, name: row.name, state: 'missing', applied_at: row.applied_at });
+      }
+      return rows.sort((a, b) => a.version - b.version);
+    });
+  }
+
+  async runStep(client, migration, direction, record) {
+    const label = `${SchemaMigrator.formatVersion(migration.version)}_${migration.name}`;
+    this.log.info(`${direction === 'up' ? 'Applying' : 'Reverting'} migration ${label}`);
+
+    try {
+      await client.query('BEGIN');
+      await client.query(migration[direction]);
+      await record();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      error.message = `Migration ${label} (${direction}) failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  // Applied migrations that no longer match the files are reported but not
+  // re-run; fix them forward with a new migration
+  checkApplied(migrations, applied) {
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    for (const [version, row] of applied) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        this.log.warn(`Applied migration ${SchemaMigrator.formatVersion(version)}_${row.name} has no file in ${this.directory}`);
+      } else if (migration.checksum !== row.checksum) {
+        this.log.warn(`Migration ${SchemaMigrator.formatVersion(version)}_${migration.name} changed after it was applied`);
+      }
+    }
+  }
+
+  async appliedVersions(client) {
+    await client.query(CREATE_MIGRATIONS_TABLE);
+    const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [Number(row.version), row]));
+  }
+
+  // Run fn(client) on one connection holding the migration lock
+  async withLock(fn) {
+    const client = await this.db.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+      try {
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  // Migrations in `directory` ordered by version: { version, name, up, down, checksum }
+  static load(directory = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js'))
+      .map(file => {
+        const match = FILENAME_PATTERN.exec(file);
+        if (!match) {
+          throw new Error(`Invalid migration filename ${file}: expected NNNN_name.js`);
+        }
+
+        const { up, down } = require(path.join(directory, file));
+        if (typeof up !== 'string' || !up.trim() || typeof down !== 'string' || !down.trim()) {
+          throw new Error(`Migration ${file} must export non-empty up and down SQL`);
+        }
+
+        return {
+          version: Number(match[1]),
+          name: match[2],
+          up,
+          down,
+          checksum: crypto.createHash('sha256').update(up).digest('hex')
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${SchemaMigrator.formatVersion(migration.version)}`);
+      }
+    });
+    return migrations;
+  }
+
+  static parseVersion(value) {
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error(`Invalid migration version: ${value}`);
+    }
+    return version;
+  }
+
+  static formatVersion(version) {
+    return String(version).padStart(4, '0');
+  }
+
+  // pg Pool options from DATABASE_URL, or DB_HOST, DB_PORT, DB_NAME, DB_USER
+  // and DB_PASSWORD
+  static connectionOptions(env = process.env) {
+    if (env.DATABASE_URL) return { connectionString: env.DATABASE_URL };
+    return {
+      host: env.DB_HOST || 'localhost',
+      port: env.DB_PORT || 5432,
+      database: env.DB_NAME || 'qualgen',
+      user: env.DB_USER || 'qualgen',
+      password: env.DB_PASSWORD || 'password'
+    };
+  }
+}
+
+SchemaMigrator.MIGRATIONS_DIR = MIGRATIONS_DIR;
+
+module.exports = SchemaMigrator;
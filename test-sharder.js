@@ -0,0 +1,186 @@
+/**
+ * QualGen Test Sharder
+ * Expands a test path (file, directory or glob) into spec files and splits
+ * them into shards that run as child jobs on separate devices
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SPEC_PATTERN = /\.(spec|test)\.[cm]?[jt]sx?$/;
+const GLOB_PATTERN = /[*?{]/;
+const SKIPPED_DIRS = ['node_modules', '.git'];
+const STRATEGIES = ['count', 'duration'];
+const MAX_SHARDS = parseInt(process.env.MAX_SHARDS_PER_JOB) || 50;
+
+class TestSharder {
+  constructor(rootDir = process.cwd()) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  static validate(sharding) {
+    const normalized = {
+      shards: parseInt(sharding.shards),
+      strategy: sharding.strategy || 'count'
+    };
+
+    if (!Number.isInteger(normalized.shards) || normalized.shards < 1 || normalized.shards > MAX_SHARDS) {
+      throw new Error(`sharding.shards must be an integer between 1 and ${MAX_SHARDS}`);
+    }
+    if (!STRATEGIES.includes(normalized.strategy)) {
+      throw new Error(`sharding.strategy must be one of: ${STRATEGIES.join(', ')}`);
+    }
+
+    return normalized;
+  }
+
+  // Spec files (relative, '/'-separated) selected by a file, directory or glob
+  async expand(testPath) {
+    const normalized = testPath.replace(/\\/g, '/').replace(/^\.\//, '');
+
+    if (GLOB_PATTERN.test(normalized)) {
+      // Only walk the part of the tree the glob can reach
+      const segments = normalized.split('/');
+      const firstGlob = segments.findIndex(segment => GLOB_PATTERN.test(segment));
+      const baseDir = segments.slice(0, firstGlob).join('/') || '.';
+      const matcher = TestSharder.globToRegExp(normalized);
+      const files = await this.walk(baseDir);
+      return files.filter(file => matcher.test(file)).sort();
+    }
+
+    const stat = await fs.stat(this.resolveInside(normalized)).catch(() => null);
+    if (!stat) {
+      throw new Error(`Test path not found: ${testPath}`);
+    }
+    if (stat.isFile()) {
+      return [normalized];
+    }
+    return (await this.walk(normalized)).filter(file => SPEC_PATTERN.test(file)).sort();
+  }
+
+  resolveInside(relativePath) {
+    const absolute = path.resolve(this.rootDir, relativePath);
+    if (absolute !== this.rootDir && !absolute.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Test path is outside the test root: ${relativePath}`);
+    }
+    return absolute;
+  }
+
+  async walk(relativeDir) {
+    const entries = await fs.readdir(this.resolveInside(relativeDir), { withFileTypes: true }).catch(() => []);
+    const files = [];
+
+    for (const entry of entries) {
+      const relative = relativeDir === '.' ? entry.name : `${relativeDir.replace(/\/$/, '')}/${entry.name}`;
+      if (entry.isDirectory() && !SKIPPED_DIRS.includes(entry.name)) {
+        files.push(...await this.walk(relative));
+      } else if (entry.isFile()) {
+        files.push(relative);
+      }
+    }
+
+    return files;
+  }
+
+  // Supports *, ** (any depth), ? and {a,b}
+  static globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === '*' && glob[i + 1] === '*') {
+        pattern += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+        i += glob[i + 2] === '/' ? 2 : 1;
+      } else if (char === '*') {
+        pattern += '[^/]*';
+      } else if (char === '?') {
+        pattern += '[^/]';
+      } else if (char === '{') {
+        const end = glob.indexOf('}', i);
+        if (end === -1) {
+          pattern += '\\{';
+          continue;
+        }
+        const options = glob.slice(i + 1, end).split(',').map(option => option.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+        pattern += `(?:${options.join('|')})`;
+        i = end;
+      } else {
+        pattern += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${pattern}$`);
+  }
+
+  /**
+   * Split files into at most `shardCount` shards. With `durations`
+   * (file -> expected seconds) the longest files are placed first, each on the
+   * least-loaded shard; otherwise files are dealt out round-robin.
+   */
+  static split(files, shardCount, durations = null) {
+    const count = Math.max(1, Math.min(shardCount, files.length));
+    const shards = Array.from({ length: count }, () => ({ files: [], expected_seconds: durations ? 0 : null }));
+
+    if (!durations) {
+      files.forEach((file, index) => shards[index % count].files.push(file));
+      return shards;
+    }
+
+    const weighted = files
+      .map(file => ({ file, seconds: durations.get(file) || 0 }))
+      .sort((a, b) => (b.seconds - a.seconds) || a.file.localeCompare(b.file));
+
+    for (const { file, seconds } of weighted) {
+      const lightest = shards.reduce((min, shard) => (shard.expected_seconds < min.expected_seconds ? shard : min));
+      lightest.files.push(file);
+      lightest.expected_seconds += seconds;
+    }
+    shards.forEach(shard => {
+      shard.files.sort();
+      shard.expected_seconds = Math.round(shard.expected_seconds);
+    });
+
+    return shards;
+  }
+
+  // Combine the children's test_results into the parent's. Shards run in
+  // parallel, so the parent's duration is the slowest shard's.
+  static aggregateResults(children) {
+    const aggregate = { total: 0, passed: 0, failed: 0, skipped: 0, duration: 0, test_cases: [], shards: [] };
+
+    for (const child of [...children].sort((a, b) => a.shard_index - b.shard_index)) {
+      const results = (typeof child.test_results === 'string' ? JSON.parse(child.test_results) : child.test_results) || {};
+
+      for (const key of ['total', 'passed', 'failed', 'skipped']) {
+        aggregate[key] += Number(results[key]) || 0;
+      }
+      aggregate.duration = Math.max(aggregate.duration, Number(results.duration) || 0);
+      (results.test_cases || []).forEach(testCase => {
+        aggregate.test_cases.push({ ...testCase, shard_index: child.shard_index });
+      });
+
+      aggregate.shards.push({
+        job_id: child.job_id,
+        shard_index: child.shard_index,
+        status: child.status,
+        total: Number(results.total) || 0,
+        passed: Number(results.passed) || 0,
+        failed: Number(results.failed) || 0,
+        duration: Number(results.duration) || 0,
+        error_message: child.error_message || null
+      });
+    }
+
+    return aggregate;
+  }
+
+  // Parent outcome once every shard has finished: completed only if all shards
+  // completed, cancelled if shards were cancelled but none failed
+  static parentStatus(childStatuses) {
+    if (childStatuses.every(status => status === 'completed')) return 'completed';
+    if (childStatuses.every(status => status === 'completed' || status === 'cancelled')) return 'cancelled';
+    return 'failed';
+  }
+}
+
+TestSharder.STRATEGIES = STRATEGIES;
+
+module.exports = TestSharder;
@@ -0,0 +1,119 @@
+const ApiAuth = require('../api-auth');
+
+describe('ApiAuth Tests', () => {
+  test('should generate hashed, prefixed credentials', () => {
+    const key = ApiAuth.generate('api_key');
+    expect(key.token).toMatch(/^qgk_[0-9a-f]{48}$/);
+    expect(key.prefix).toBe(key.token.substring(0, 12));
+    expect(key.hash).toBe(ApiAuth.hash(key.token));
+    expect(key.hash).not.toContain(key.token);
+
+    expect(ApiAuth.kindOf(ApiAuth.generate('device').token)).toBe('device');
+    expect(ApiAuth.kindOf(key.token)).toBe('api_key');
+    expect(ApiAuth.kindOf('dev-key-12345')).toBeNull();
+  });
+
+  test('should read bearer tokens and match the admin key', () => {
+    expect(ApiAuth.bearerToken('Bearer qgk_abc')).toBe('qgk_abc');
+    expect(ApiAuth.bearerToken('bearer qgk_abc')).toBe('qgk_abc');
+    expect(ApiAuth.bearerToken('Basic dXNlcjpwYXNz')).toBeNull();
+    expect(ApiAuth.bearerToken(undefined)).toBeNull();
+
+    expect(ApiAuth.matchesAdminKey('secret', 'secret')).toBe(true);
+    expect(ApiAuth.matchesAdminKey('guess', 'secret')).toBe(false);
+    expect(ApiAuth.matchesAdminKey('secret', undefined)).toBe(false);
+  });
+
+  test('should grant permissions by role', () => {
+    const viewer = { type: 'api_key', org_id: 'acme', role: 'viewer' };
+    const ci = { type: 'api_key', org_id: 'acme', role: 'submitter' };
+    const orgAdmin = { type: 'api_key', org_id: 'acme', role: 'admin' };
+    const agent = { type: 'device', role: 'agent', device_id: 'qd_pixel' };
+
+    expect(['read', 'submit', 'manage', 'agent'].filter(permission => ApiAuth.can(viewer, permission))).toEqual(['read']);
+    expect(['read', 'submit', 'manage', 'agent'].filter(permission => ApiAuth.can(ci, permission))).toEqual(['read', 'submit']);
+    expect(['read', 'submit', 'manage', 'agent'].filter(permission => ApiAuth.can(orgAdmin, permission)))
+      .toEqual(['read', 'submit', 'manage']);
+    expect(['read', 'submit', 'manage', 'agent'].filter(permission => ApiAuth.can(agent, permission))).toEqual(['agent']);
+
+    expect(ApiAuth.can(orgAdmin, 'platform')).toBe(false);
+    expect(ApiAuth.can({ type: 'admin', org_id: null }, 'platform')).toBe(true);
+    expect(ApiAuth.can({ type: 'api_key', org_id: 'acme', role: 'owner' }, 'read')).toBe(false);
+
+    expect(ApiAuth.describePermission('submit')).toBe('the submitter role');
+    expect(ApiAuth.describePermission('agent')).toBe('a device credential');
+    expect(ApiAuth.describePermission('platform')).toBe('the admin API key');
+
+    expect(ApiAuth.validateRole('viewer')).toBe('viewer');
+    expect(() => ApiAuth.validateRole('agent')).toThrow('Invalid role');
+  });
+
+  test('should scope principals to their org and device', () => {
+    const orgKey = { type: 'api_key', org_id: 'acme', role: 'admin' };
+    const agent = { type: 'device', role: 'agent', device_id: 'qd_pixel' };
+    const fleetAgent = { type: 'device', role: 'agent', device_id: null };
+    const admin = { type: 'admin', org_id: null };
+
+    expect(ApiAuth.orgScope(orgKey)).toBe('acme');
+    expect(ApiAuth.orgScope(admin)).toBeNull();
+    expect(ApiAuth.canAccessOrg(orgKey, 'acme')).toBe(true);
+    expect(ApiAuth.canAccessOrg(orgKey, 'globex')).toBe(false);
+    expect(ApiAuth.canAccessOrg(agent, 'acme')).toBe(false);
+
+    expect(ApiAuth.canActAsDevice(agent, 'qd_pixel')).toBe(true);
+    expect(ApiAuth.canActAsDevice(agent, 'qd_iphone')).toBe(false);
+    expect(ApiAuth.canActAsDevice(fleetAgent, 'qd_iphone')).toBe(true);
+    expect(ApiAuth.canActAsDevice(orgKey, 'qd_pixel')).toBe(false);
+  });
+});
+
+describe('API Route Permission Tests', () => {
+  const express = require('express');
+  const supertest = require('supertest');
+  const Orchestrator = require('../job-orchestrator');
+  const TracingModule = require('../tracing');
+
+  // Only the middleware and routes: guards run before any handler touches the database
+  const app = (principal: Record<string, unknown>) => {
+    const instance = Object.create(Orchestrator.prototype);
+    instance.app = express();
+    instance.log = { debug() {}, info() {}, warn() {}, error() {} };
+    instance.tracer = new TracingModule.Tracer('job-orchestrator', { endpoint: '', file: '' });
+    instance.authenticate = async () => principal;
+    instance.setupMetrics();
+    instance.setupMiddleware();
+    instance.setupRoutes();
+    return instance.app;
+  };
+
+  const platformRoutes: Array<[string, string]> = [
+    ['put', '/api/v1/orgs/acme/quota'],
+    ['post', '/api/v1/devices/qd_pixel/commands'],
+    ['get', '/api/v1/devices/qd_pixel/commands'],
+    ['post', '/api/v1/device-credentials'],
+    ['get', '/api/v1/device-credentials'],
+    ['delete', '/api/v1/device-credentials/qdc_1'],
+    ['put', '/api/v1/admin/scheduling']
+  ];
+
+  test.each(platformRoutes)('should refuse an org admin on %s %s', async (method, path) => {
+    const response = await supertest(app({ type: 'api_key', org_id: 'acme', role: 'admin' }))[method](path).send({});
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('This endpoint requires the admin API key');
+  });
+
+  test('should refuse to start without an admin API key', async () => {
+    const instance = Object.create(Orchestrator.prototype);
+    instance.databaseReady = Promise.resolve();
+    const adminKey = process.env.QUALGEN_ADMIN_API_KEY;
+    delete process.env.QUALGEN_ADMIN_API_KEY;
+
+    try {
+      await expect(instance.start()).rejects.toThrow('QUALGEN_ADMIN_API_KEY is not set');
+    } finally {
+      if (adminKey !== undefined) process.env.QUALGEN_ADMIN_API_KEY = adminKey;
+    }
+  });
+});
+
@@ -0,0 +1,73 @@
+const BuildMatrix = require('../build-matrix');
+
+describe('BuildMatrix Tests', () => {
+  describe('expand', () => {
+    test('should expand every combination with per-platform axes', () => {
+      const cells = BuildMatrix.expand({
+        platform: ['android', 'ios'],
+        os_version: { ios: ['16', '17'] },
+        api_level: { android: [33, 34] }
+      }, { target: 'emulator' });
+
+      expect(cells).toEqual([
+        { platform: 'android', target: 'emulator', api_level: 33 },
+        { platform: 'android', target: 'emulator', api_level: 34 },
+        { platform: 'ios', target: 'emulator', os_version: '16' },
+        { platform: 'ios', target: 'emulator', os_version: '17' }
+      ]);
+    });
+
+    test('should apply exclude and include entries', () => {
+      const cells = BuildMatrix.expand({
+        platform: 'android',
+        target: ['emulator', 'device'],
+        device_model: ['Pixel 7', 'Pixel 8'],
+        exclude: [{ target: 'emulator', device_model: 'Pixel 8' }],
+        include: [{ platform: 'ios', target: 'device', device_model: 'iPhone 15' }]
+      });
+
+      expect(cells.map(BuildMatrix.cellLabel)).toEqual([
+        'android / Pixel 7 / emulator',
+        'android / Pixel 7 / device',
+        'android / Pixel 8 / device',
+        'ios / iPhone 15 / device'
+      ]);
+    });
+
+    test('should reject invalid matrices', () => {
+      expect(() => BuildMatrix.expand({ platform: ['android'], os: ['14'] }, { target: 'device' })).toThrow('Unknown matrix axis');
+      expect(() => BuildMatrix.expand({ target: ['device'] })).toThrow('at least one platform');
+      expect(() => BuildMatrix.expand({ platform: ['android'] })).toThrow('target');
+      expect(() => BuildMatrix.expand({ platform: ['android'], exclude: { platform: 'android' } }, { target: 'device' }))
+        .toThrow('no jobs');
+    });
+  });
+
+  test('should turn a cell into device requirements', () => {
+    expect(BuildMatrix.requirementsFor(
+      { platform: 'android', target: 'device', os_version: 14, api_level: '34', device_model: 'Pixel 7' },
+      { platform: 'ios', labels: ['flagship'] }
+    )).toEqual({ platform: 'android', os_version: '14', api_level: 34, device_model: 'Pixel 7', labels: ['flagship'] });
+  });
+
+  test('should report a pass/fail grid', () => {
+    const job = (jobId: string, status: string, cell: object, testResults: object | null = null) =>
+      ({ job_id: jobId, status, metadata: { matrix_cell: cell }, test_results: testResults });
+
+    const grid = BuildMatrix.grid([
+      job('qj_1', 'completed', { platform: 'android', target: 'device', api_level: 34 }, { total: 5, passed: 5, failed: 0 }),
+      job('qj_2', 'failed', { platform: 'android', target: 'device', api_level: 33 }, { total: 5, passed: 3, failed: 2 }),
+      job('qj_3', 'running', { platform: 'ios', target: 'device', os_version: '17' })
+    ]);
+
+    expect(grid.status).toBe('running');
+    expect(grid.summary).toEqual({ total: 3, pass: 1, fail: 1, cancelled: 0, pending: 1 });
+    expect(grid.axes).toEqual(['platform', 'target', 'os_version', 'api_level']);
+    expect(grid.cells.map((cell: { result: string }) => cell.result)).toEqual(['pass', 'fail', 'pending']);
+    expect(grid.cells[1].tests).toEqual({ total: 5, passed: 3, failed: 2 });
+
+    expect(BuildMatrix.grid([job('qj_1', 'completed', {}), job('qj_2', 'timed_out', {})]).status).toBe('failed');
+    expect(BuildMatrix.grid([job('qj_1', 'completed', {}), job('qj_2', 'cancelled', {})]).status).toBe('cancelled');
+    expect(BuildMatrix.grid([job('qj_1', 'queued', {})]).status).toBe('queued');
+  });
+});
@@ -0,0 +1,78 @@
+const DeviceRequirements = require('../device-requirements');
+
+describe('DeviceRequirements Tests', () => {
+  const pixel = {
+    device_id: 'qd_pixel',
+    platform: 'android',
+    device_type: 'device',
+    location: 'us-east',
+    capabilities: {
+      os_version: 'Android 14',
+      api_level: 34,
+      screen_resolution: '2400x1080',
+      screen_density: 420,
+      available_storage: '10GB',
+      supports_video_recording: true,
+      labels: ['pixel', 'flagship']
+    }
+  };
+
+  const reasonsFor = (requirements: object, device: object = pixel) =>
+    new DeviceRequirements(requirements).mismatches(device).map((reason: { requirement: string }) => reason.requirement);
+
+  test('should match when every requirement is satisfied', () => {
+    expect(new DeviceRequirements({
+      platform: 'android',
+      os_version: '>=13 <15',
+      min_api_level: 33,
+      min_resolution: '1920x1080',
+      min_density: 400,
+      min_storage: '5GB',
+      labels: ['pixel'],
+      location: ['us-east', 'us-west'],
+      capabilities: ['video_recording']
+    }).matches(pixel)).toBe(true);
+  });
+
+  test('should explain each failed requirement', () => {
+    expect(reasonsFor({
+      platform: 'ios',
+      os_version: '>=15',
+      min_api_level: 35,
+      labels: ['tablet'],
+      location: 'eu-west',
+      capabilities: ['network_shaping']
+    })).toEqual(['platform', 'os_version', 'min_api_level', 'labels', 'location', 'capabilities']);
+  });
+
+  test('should match exact API levels and device models', () => {
+    const pixel7 = { ...pixel, capabilities: { ...pixel.capabilities, device_model: 'Pixel 7' } };
+    expect(reasonsFor({ api_level: 34, device_model: 'pixel 7' }, pixel7)).toEqual([]);
+    expect(reasonsFor({ api_level: 33, device_model: 'Pixel 8' }, pixel7)).toEqual(['api_level', 'device_model']);
+  });
+
+  test('should treat a bare version as a release line', () => {
+    expect(DeviceRequirements.satisfies('14.2.1', '14')).toBe(true);
+    expect(DeviceRequirements.satisfies('14.2.1', '14.x')).toBe(true);
+    expect(DeviceRequirements.satisfies('15.0', '14')).toBe(false);
+    expect(DeviceRequirements.satisfies('13.1', '>=13.1 <14')).toBe(true);
+  });
+
+  test('should compare resolutions in either orientation', () => {
+    expect(reasonsFor({ screen_resolution: '1080x2400' })).toEqual([]);
+    expect(reasonsFor({ min_resolution: '2560x1440' })).toEqual(['min_resolution']);
+  });
+
+  test('should fail requirements the device does not report', () => {
+    const bare = { ...pixel, capabilities: {} };
+    expect(reasonsFor({ os_version: '14', min_density: 300 }, bare)).toEqual(['os_version', 'min_density']);
+  });
+
+  test('should validate submitted requirements', () => {
+    expect(DeviceRequirements.validate({ platform: 'android', os_version: undefined })).toEqual({ platform: 'android' });
+    expect(() => DeviceRequirements.validate({ os_versoin: '14' })).toThrow('Unknown device requirement');
+    expect(() => DeviceRequirements.validate({ os_version: '~14' })).toThrow('Invalid os_version comparator');
+    expect(() => DeviceRequirements.validate({ min_resolution: 'hd' })).toThrow('must look like');
+    expect(() => DeviceRequirements.validate({ labels: 'pixel' })).toThrow('must be a list of strings');
+  });
+});
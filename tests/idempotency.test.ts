@@ -0,0 +1,37 @@
+const Idempotency = require('../idempotency');
+
+describe('Idempotency Tests', () => {
+  test('should accept printable keys up to the length limit', () => {
+    expect(Idempotency.validateKey('ci-1234-attempt-1')).toBe('ci-1234-attempt-1');
+    expect(() => Idempotency.validateKey('')).toThrow('must not be empty');
+    expect(() => Idempotency.validateKey('has space')).toThrow('printable ASCII');
+    expect(() => Idempotency.validateKey('k'.repeat(Idempotency.MAX_KEY_LENGTH + 1))).toThrow('at most');
+  });
+
+  test('should fingerprint requests regardless of field order and metadata', () => {
+    const request = {
+      org_id: 'acme',
+      app_version_id: 'v1.2.3',
+      test_path: 'tests/login.spec.js',
+      device_requirements: { platform: 'android', labels: ['pixel'] },
+      metadata: { submitted_at: '2026-10-19T10:00:00.000Z' }
+    };
+    const retried = {
+      metadata: { submitted_at: '2026-10-19T10:00:05.000Z' },
+      device_requirements: { labels: ['pixel'], platform: 'android', os_version: undefined },
+      test_path: 'tests/login.spec.js',
+      app_version_id: 'v1.2.3',
+      org_id: 'acme'
+    };
+
+    expect(Idempotency.fingerprint(retried)).toBe(Idempotency.fingerprint(request));
+    expect(Idempotency.fingerprint({ ...request, test_path: 'tests/checkout.spec.js' }))
+      .not.toBe(Idempotency.fingerprint(request));
+    expect(Idempotency.fingerprint({ ...request, device_requirements: { platform: 'android', labels: ['tablet'] } }))
+      .not.toBe(Idempotency.fingerprint(request));
+  });
+
+  test('should serialise canonical JSON', () => {
+    expect(Idempotency.canonicalJson({ b: [2, { d: 1, c: null }], a: 'x', z: undefined })).toBe('{"a":"x","b":[2,{"c":null,"d":1}]}');
+  });
+});
@@ -0,0 +1,306 @@
+const JobOrchestrator = require('../job-orchestrator');
+
+type QueryResult = { rows: Array<Record<string, unknown>> };
+
+describe('JobOrchestrator Redis Tests', () => {
+  // In-memory stand-in with node-redis v4's camelCase methods; like the real
+  // client it rejects arguments that are not strings
+  const fakeRedis = () => {
+    const lists = new Map<string, string[]>();
+    const zsets = new Map<string, Map<string, number>>();
+    const hashes = new Map<string, Map<string, string>>();
+    const list = (key: string) => {
+      if (!lists.has(key)) lists.set(key, []);
+      return lists.get(key) as string[];
+    };
+    const zset = (key: string) => {
+      if (!zsets.has(key)) zsets.set(key, new Map());
+      return zsets.get(key) as Map<string, number>;
+    };
+    const hash = (key: string) => {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      return hashes.get(key) as Map<string, string>;
+    };
+    const checkArgs = (...args: unknown[]) => args.forEach(arg => {
+      if (typeof arg !== 'string') throw new TypeError('Invalid argument type');
+    });
+    // LREM key 1 element
+    const removeOne = (key: string, element: string) => {
+      const index = list(key).indexOf(element);
+      if (index === -1) return 0;
+      list(key).splice(index, 1);
+      return 1;
+    };
+
+    // The dispatch Lua scripts, told apart by the commands they call
+    const scripts: Array<[string, (keys: string[], args: string[]) => unknown]> = [
+      ['ZADD', ([queue, inflight, leases, info], [expiresAt, owner, jobId]) => {
+        if (removeOne(queue as string, jobId as string) === 0) return null;
+        list(inflight as string).unshift(jobId as string);
+        zset(leases as string).set(jobId as string, Number(expiresAt));
+        hash(info as string).set(jobId as string, JSON.stringify({ queue, owner }));
+        return jobId;
+      }],
+      ['RPUSH', ([inflight, queue, leases, info], [jobId, mode]) => {
+        const removed = removeOne(inflight as string, jobId as string);
+        zset(leases as string).delete(jobId as string);
+        hash(info as string).delete(jobId as string);
+        if (removed > 0 && mode === 'front') list(queue as string).push(jobId as string);
+        if (removed > 0 && mode === 'back') list(queue as string).unshift(jobId as string);
+        return removed;
+      }],
+      ['ZSCORE', ([leases, info], [jobId, now]) => {
+        const score = zset(leases as string).get(jobId as string);
+        if (score === undefined || score > Number(now)) return null;
+        const lease = hash(info as string).get(jobId as string) ?? null;
+        zset(leases as string).delete(jobId as string);
+        hash(info as string).delete(jobId as string);
+        return lease;
+      }]
+    ];
+
+    return {
+      lists,
+      zsets,
+      hashes,
+      eval: async (script: string, options: { keys: string[]; arguments: string[] }) => {
+        if (!options || !Array.isArray(options.keys)) throw new TypeError('eval expects { keys, arguments }');
+        checkArgs(...options.keys, ...options.arguments);
+        const [, run] = scripts.find(([command]) => script.includes(`'${command}'`)) as [string, (keys: string[], args: string[]) => unknown];
+        return run(options.keys, options.arguments);
+      },
+      zRangeByScore: async (key: string, min: string | number, max: string | number) => {
+        checkArgs(key);
+        const low = min === '-inf' ? -Infinity : Number(min);
+        return [...zset(key)].filter(([, score]) => score >= low && score <= Number(max)).map(([member]) => member);
+      },
+      lLen: async (key: string) => {
+        checkArgs(key);
+        return list(key).length;
+      },
+      lPos: async (key: string, element: string) => {
+        checkArgs(key, element);
+        const index = list(key).indexOf(element);
+        return index === -1 ? null : index;
+      },
+      lRem: async (key: string, count: number, element: string) => {
+        checkArgs(key, element);
+        const before = list(key).length;
+        lists.set(key, list(key).filter(item => item !== element));
+        return before - list(key).length;
+      },
+      lPush: async (key: string, element: string) => {
+        checkArgs(key, element);
+        return list(key).unshift(element);
+      },
+      rPush: async (key: string, element: string) => {
+        checkArgs(key, element);
+        return list(key).push(element);
+      }
+    };
+  };
+
+  const orchestrator = (query: (sql: string, params: unknown[]) => QueryResult) => {
+    const instance = Object.create(JobOrchestrator.prototype);
+    instance.log = { debug() {}, info() {}, warn() {}, error() {} };
+    instance.events = { emit: jest.fn() };
+    instance.maxJobRetries = 3;
+    instance.redis = fakeRedis();
+    instance.db = { query: async (sql: string, params: unknown[] = []) => query(sql.trim().replace(/\s+/g, ' '), params) };
+    return instance;
+  };
+
+  const job = {
+    job_id: 'qj_1',
+    org_id: 'acme',
+    target: 'emulator',
+    priority: 'high',
+    status: 'running',
+    retry_count: 0,
+    retry_policy: { max_attempts: 3, backoff_seconds: 0, backoff_multiplier: 2, retry_on: 'infrastructure' }
+  };
+
+  test('should requeue a retry at the consuming end of its queue', async () => {
+    const instance = orchestrator(() => ({ rows: [{ ...job, status: 'queued', retry_count: 1, next_attempt_at: new Date() }] }));
+    instance.redis.lists.set('queue:emulator:high', ['qj_2']);
+
+    const retried = await instance.scheduleRetry(job, { type: 'infrastructure', message: 'adb offline' });
+
+    expect(retried).toBe(true);
+    expect(instance.redis.lists.get('queue:emulator:high')).toEqual(['qj_2', 'qj_1']);
+    expect(instance.events.emit).toHaveBeenCalledWith('job_update', expect.objectContaining({ job_id: 'qj_1', status: 'queued' }));
+  });
+
+  test('should queue retries whose backoff has elapsed', async () => {
+    const instance = orchestrator(sql => (sql.startsWith("UPDATE jobs SET status = 'queued'")
+      ? { rows: [{ ...job, status: 'queued', retry_count: 1 }] }
+      : { rows: [] }));
+
+    await instance.releaseDueRetries();
+
+    expect(instance.redis.lists.get('queue:emulator:high')).toEqual(['qj_1']);
+  });
+
+  test('should lease a queued job and release it back to the queue', async () => {
+    const instance = orchestrator(() => ({ rows: [] }));
+    instance.instanceId = 'host-1';
+    instance.redis.lists.set('queue:emulator:high', ['qj_2', 'qj_1']);
+
+    expect(await instance.leaseJob('queue:emulator:high', 'qj_1')).toBe('qj_1');
+    expect(instance.redis.lists.get('queue:emulator:high')).toEqual(['qj_2']);
+    expect(instance.redis.lists.get('inflight:emulator:high')).toEqual(['qj_1']);
+    expect(instance.redis.zsets.get('dispatch:leases').get('qj_1')).toBeGreaterThan(Date.now());
+    expect(JSON.parse(instance.redis.hashes.get('dispatch:lease-info').get('qj_1')))
+      .toEqual({ queue: 'queue:emulator:high', owner: 'host-1' });
+    expect(await instance.leaseJob('queue:emulator:high', 'qj_1')).toBeNull();
+
+    await instance.releaseLease('queue:emulator:high', 'qj_1', 'back');
+    expect(instance.redis.lists.get('queue:emulator:high')).toEqual(['qj_1', 'qj_2']);
+    expect(instance.redis.lists.get('inflight:emulator:high')).toEqual([]);
+    expect(instance.redis.zsets.get('dispatch:leases').size).toBe(0);
+    expect(instance.redis.hashes.get('dispatch:lease-info').size).toBe(0);
+  });
+
+  test('should recover expired leases: queued jobs go back, others are dropped', async () => {
+    const instance = orchestrator(() => ({ rows: [] }));
+    instance.instanceId = 'host-1';
+    instance.getJobStatus = async (jobId: string) => ({ job_id: jobId, status: jobId === 'qj_1' ? 'queued' : 'cancelled' });
+    instance.redis.lists.set('queue:emulator:high', ['qj_1', 'qj_2', 'qj_3']);
+    await instance.leaseJob('queue:emulator:high', 'qj_1');
+    await instance.leaseJob('queue:emulator:high', 'qj_2');
+    await instance.leaseJob('queue:emulator:high', 'qj_3');
+
+    const leases = instance.redis.zsets.get('dispatch:leases');
+    leases.set('qj_1', Date.now() - 1000);
+    leases.set('qj_2', Date.now() - 1000);
+    await instance.recoverExpiredLeases();
+
+    expect(instance.redis.lists.get('queue:emulator:high')).toEqual(['qj_1']);
+    expect(instance.redis.lists.get('inflight:emulator:high')).toEqual(['qj_3']);
+    expect([...leases.keys()]).toEqual(['qj_3']);
+  });
+
+  test('should restore queued jobs missing from Redis', async () => {
+    const instance = orchestrator(sql => (sql.includes("WHERE status = 'queued'")
+      ? { rows: ['qj_1', 'qj_2', 'qj_3'].map(jobId => ({ job_id: jobId, target: 'emulator', priority: 'high' })) }
+      : { rows: [] }));
+    instance.redis.lists.set('queue:emulator:high', ['qj_1']);
+    instance.redis.lists.set('inflight:emulator:high', ['qj_2']);
+
+    await instance.reconcileQueues();
+
+    expect(instance.redis.lists.get('queue:emulator:high')).toEqual(['qj_3', 'qj_1']);
+    expect(instance.redis.lists.get('inflight:emulator:high')).toEqual(['qj_2']);
+  });
+
+  test('should stop a cancelled running job on its device and refuse finished jobs', async () => {
+    let finished = false;
+    const instance = orchestrator(sql => (sql.startsWith("UPDATE jobs SET status = 'cancelled'") && !finished
+      ? { rows: [{ ...job, status: 'cancelled', device_id: 'qd_pixel' }] }
+      : { rows: [] }));
+    instance.getJobStatus = async () => ({ ...job, status: 'cancelled', device_id: 'qd_pixel' });
+    instance.getDevice = async (deviceId: string) => ({ device_id: deviceId });
+    instance.enqueueDeviceCommand = jest.fn();
+    instance.releaseDevice = jest.fn();
+    instance.finishAttempt = jest.fn();
+    instance.publishJobUpdate = jest.fn();
+    instance.onJobFinished = jest.fn();
+    instance.redis.lists.set('inflight:emulator:high', ['qj_1']);
+
+    expect(await instance.cancelJob('qj_1')).toBe(true);
+    expect(instance.redis.lists.get('inflight:emulator:high')).toEqual([]);
+    expect(instance.enqueueDeviceCommand).toHaveBeenCalledWith('qd_pixel', 'cancel-job',
+      { job_id: 'qj_1', reason: 'cancelled' }, expect.objectContaining({ issuedBy: 'job-cancel' }));
+    expect(instance.releaseDevice).toHaveBeenCalledWith('qd_pixel', 'qj_1');
+
+    finished = true;
+    expect(await instance.cancelJob('qj_1')).toBe(false);
+    expect(instance.enqueueDeviceCommand).toHaveBeenCalledTimes(1);
+  });
+
+  test('should ignore status reports for jobs no longer on the reporting device', async () => {
+    const instance = orchestrator(() => ({ rows: [] }));
+    instance.cancelJob = jest.fn(async () => true);
+    const report = (current: Record<string, unknown>, deviceId: string) => new Promise(resolve => {
+      instance.getJobStatus = async () => ({ ...job, ...current });
+      const call = {
+        request: { job_id: 'qj_1', status: 'cancelled', message: 'Job aborted: timeout exceeded' },
+        principal: { type: 'device', device_id: deviceId }
+      };
+      instance.updateJobStatusGrpc(call, (error: unknown, response: unknown) => resolve(error || response));
+    });
+
+    // Retried after a watchdog abort: queued again with no device
+    expect(await report({ status: 'queued', device_id: null }, 'qd_pixel')).toMatchObject({ success: false });
+    // Already running its next attempt elsewhere
+    expect(await report({ status: 'running', device_id: 'qd_galaxy' }, 'qd_pixel')).toMatchObject({ success: false });
+    expect(instance.cancelJob).not.toHaveBeenCalled();
+
+    expect(await report({ status: 'running', device_id: 'qd_pixel' }, 'qd_pixel')).toMatchObject({ success: true });
+    expect(instance.cancelJob).toHaveBeenCalledWith('qj_1', 'Job aborted: timeout exceeded', null, 'qd_pixel');
+  });
+
+  test('should only accept a result from the device running the current attempt', async () => {
+    const statements: string[] = [];
+    const instance = orchestrator((sql, params) => {
+      statements.push(sql);
+      return sql.startsWith('UPDATE jobs SET status = $2') && params[5] === 'qd_pixel'
+        ? { rows: [{ ...job, status: 'completed', device_id: 'qd_pixel' }] }
+        : { rows: [] };
+    });
+    instance.releaseDevice = jest.fn();
+    instance.publishJobUpdate = jest.fn();
+    instance.onJobFinished = jest.fn();
+
+    // A late result from attempt 1 while attempt 2 waits in the queue
+    instance.getJobStatus = async () => ({ ...job, status: 'queued', retry_count: 1, device_id: null });
+    expect(await instance.submitJobResult('qj_1', { success: true }, 'qd_pixel')).toBe(false);
+    instance.getJobStatus = async () => ({ ...job, device_id: 'qd_galaxy' });
+    expect(await instance.submitJobResult('qj_1', { success: true }, 'qd_pixel')).toBe(false);
+    expect(statements).toEqual([]);
+
+    instance.getJobStatus = async () => ({ ...job, device_id: 'qd_pixel' });
+    expect(await instance.submitJobResult('qj_1', { success: true, device_id: 'qd_galaxy' }, 'qd_pixel')).toBe(true);
+    expect(instance.releaseDevice).toHaveBeenCalledWith('qd_pixel', 'qj_1');
+    expect(statements.some(sql => sql.startsWith('UPDATE job_attempts'))).toBe(true);
+    expect(instance.onJobFinished).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not start background loops when the schema migration fails', async () => {
+    const instance = orchestrator(() => ({ rows: [] }));
+    const loops = ['startScheduler', 'startCronScheduler', 'startWebhookDispatcher', 'startReaper',
+      'startTimeoutWatchdog', 'startIdempotencyKeyPurge'];
+    loops.forEach(loop => { instance[loop] = jest.fn(); });
+    instance.databaseReady = Promise.reject(new Error('Migration 0002_add_labels (up) failed: syntax error'));
+    const adminKey = process.env.QUALGEN_ADMIN_API_KEY;
+    process.env.QUALGEN_ADMIN_API_KEY = 'test-admin-key';
+
+    try {
+      await expect(instance.start()).rejects.toThrow('Migration 0002_add_labels (up) failed');
+    } finally {
+      if (adminKey === undefined) delete process.env.QUALGEN_ADMIN_API_KEY;
+      else process.env.QUALGEN_ADMIN_API_KEY = adminKey;
+    }
+    loops.forEach(loop => expect(instance[loop]).not.toHaveBeenCalled());
+  });
+
+  test('should render metrics with job, device and queue gauges', async () => {
+    const instance = orchestrator(sql => {
+      if (sql.includes('FROM jobs GROUP BY status')) return { rows: [{ status: 'queued', count: '3' }] };
+      if (sql.includes('FROM devices GROUP BY status')) return { rows: [{ status: 'available', count: '2' }] };
+      if (sql.startsWith('SELECT DISTINCT target, priority')) return { rows: [{ target: 'ios-sim', priority: 'low' }] };
+      return { rows: [] };
+    });
+    instance.setupMetrics();
+    instance.redis.lists.set('queue:emulator:high', ['qj_1', 'qj_2']);
+    instance.redis.lists.set('queue:ios-sim:low', ['qj_3']);
+
+    const text = await instance.renderMetrics();
+
+    expect(text).toContain('qualgen_jobs{status="queued"} 3');
+    expect(text).toContain('qualgen_devices{status="available"} 2');
+    expect(text).toContain('qualgen_queue_depth{target="emulator",priority="high"} 2');
+    expect(text).toContain('qualgen_queue_depth{target="device",priority="high"} 0');
+    expect(text).toContain('qualgen_queue_depth{target="ios-sim",priority="low"} 1');
+  });
+});
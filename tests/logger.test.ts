@@ -0,0 +1,45 @@
+const { PassThrough } = require('stream');
+const Logger = require('../logger');
+const { run: runInContext } = require('../tracing');
+
+describe('Logger Tests', () => {
+  const capture = (options: object = {}) => {
+    const stream = new PassThrough();
+    const lines: Array<Record<string, unknown>> = [];
+    stream.on('data', (chunk: Buffer) => chunk.toString().split('\n').filter(Boolean)
+      .forEach(line => lines.push(JSON.parse(line))));
+    return { logger: new Logger('job-orchestrator', { stream, level: 'info', ...options }), lines };
+  };
+  const flushed = () => new Promise(resolve => setTimeout(resolve, 20));
+
+  test('should write JSON lines with the current trace context', async () => {
+    const { logger, lines } = capture({ fields: { instance_id: 'host-1' } });
+
+    logger.info('Scheduler started');
+    runInContext({ trace_id: 'abc', span_id: 'def', job_id: 'qj_1' }, () => {
+      logger.info('Job assigned', { device_id: 'qd_1' });
+      logger.warn('Overridden', { job_id: 'qj_2' });
+    });
+    await flushed();
+
+    expect(lines[0]).toMatchObject({ level: 'info', message: 'Scheduler started', service: 'job-orchestrator', instance_id: 'host-1' });
+    expect(lines[0]).not.toHaveProperty('trace_id');
+    expect(lines[0]).toHaveProperty('timestamp', expect.any(String));
+    expect(lines[1]).toMatchObject({ message: 'Job assigned', trace_id: 'abc', span_id: 'def', job_id: 'qj_1', device_id: 'qd_1' });
+    expect(lines[2]).toMatchObject({ level: 'warn', job_id: 'qj_2', trace_id: 'abc' });
+  });
+
+  test('should log errors with their stack and respect the level', async () => {
+    const { logger, lines } = capture({ level: 'warn' });
+
+    logger.info('Hidden');
+    logger.error('Scheduler error', new Error('connection refused'));
+    logger.error('Webhook failed', { error: new Error('timeout'), webhook_id: 'qw_1' });
+    await flushed();
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ level: 'error', message: 'Scheduler error', error: 'connection refused' });
+    expect(lines[0]).toHaveProperty('stack', expect.stringContaining('Error: connection refused'));
+    expect(lines[1]).toMatchObject({ error: 'timeout', webhook_id: 'qw_1' });
+  });
+});
@@ -0,0 +1,67 @@
+const MetricsRegistry = require('../metrics-registry');
+
+describe('MetricsRegistry Tests', () => {
+  test('should render counters and gauges with escaped labels', () => {
+    const registry = new MetricsRegistry();
+    const submitted = registry.counter('qualgen_jobs_submitted_total', 'Jobs submitted', ['org_id', 'target']);
+    const devices = registry.gauge('qualgen_devices', 'Devices by status', ['status']);
+    registry.counter('qualgen_restarts_total', 'Restarts\nsince boot');
+
+    submitted.inc({ org_id: 'acme', target: 'device' });
+    submitted.inc({ org_id: 'acme', target: 'device' }, 2);
+    submitted.inc({ org_id: 'a"b\\c', target: 'emulator' });
+    devices.set({ status: 'available' }, 4);
+
+    expect(registry.render()).toBe([
+      '# HELP qualgen_jobs_submitted_total Jobs submitted',
+      '# TYPE qualgen_jobs_submitted_total counter',
+      'qualgen_jobs_submitted_total{org_id="acme",target="device"} 3',
+      'qualgen_jobs_submitted_total{org_id="a\\"b\\\\c",target="emulator"} 1',
+      '# HELP qualgen_devices Devices by status',
+      '# TYPE qualgen_devices gauge',
+      'qualgen_devices{status="available"} 4',
+      '# HELP qualgen_restarts_total Restarts\\nsince boot',
+      '# TYPE qualgen_restarts_total counter',
+      'qualgen_restarts_total 0',
+      ''
+    ].join('\n'));
+
+    devices.reset();
+    expect(registry.get('qualgen_devices').render()).not.toContain('available');
+  });
+
+  test('should render cumulative histogram buckets', () => {
+    const registry = new MetricsRegistry();
+    const wait = registry.histogram('qualgen_job_queue_wait_seconds', 'Queue wait', ['target'], [10, 1, 60]);
+
+    [0.5, 5, 5, 30, 90].forEach(seconds => wait.observe({ target: 'device' }, seconds));
+
+    expect(registry.render().split('\n')).toEqual([
+      '# HELP qualgen_job_queue_wait_seconds Queue wait',
+      '# TYPE qualgen_job_queue_wait_seconds histogram',
+      'qualgen_job_queue_wait_seconds_bucket{target="device",le="1"} 1',
+      'qualgen_job_queue_wait_seconds_bucket{target="device",le="10"} 3',
+      'qualgen_job_queue_wait_seconds_bucket{target="device",le="60"} 4',
+      'qualgen_job_queue_wait_seconds_bucket{target="device",le="+Inf"} 5',
+      'qualgen_job_queue_wait_seconds_sum{target="device"} 130.5',
+      'qualgen_job_queue_wait_seconds_count{target="device"} 5',
+      ''
+    ]);
+
+    const end = wait.startTimer({ target: 'emulator' });
+    expect(end()).toBeGreaterThanOrEqual(0);
+    expect(registry.render()).toContain('qualgen_job_queue_wait_seconds_count{target="emulator"} 1');
+  });
+
+  test('should reject invalid metrics and labels', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('qualgen_events_total', 'Events', ['type']);
+
+    expect(() => registry.counter('qualgen_events_total', 'Again')).toThrow('already registered');
+    expect(() => registry.gauge('qualgen-devices', 'Devices')).toThrow('Invalid metric name');
+    expect(() => registry.gauge('qualgen_devices', 'Devices', ['__name'])).toThrow('Invalid label name');
+    expect(() => registry.histogram('qualgen_wait_seconds', 'Wait', ['le'])).toThrow("cannot use the label 'le'");
+    expect(() => counter.inc({ kind: 'x' })).toThrow('Unknown label');
+    expect(() => counter.inc({ type: 'x' }, -1)).toThrow('can only increase');
+  });
+});
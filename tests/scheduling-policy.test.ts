@@ -0,0 +1,86 @@
+const SchedulingPolicy = require('../scheduling-policy');
+
+describe('SchedulingPolicy Tests', () => {
+  const now = Date.parse('2024-01-01T12:00:00Z');
+  const minutesAgo = (minutes: number) => new Date(now - minutes * 60000).toISOString();
+
+  describe('normalizePriority', () => {
+    test('should map the proto priority names', () => {
+      expect(SchedulingPolicy.normalizePriority('normal')).toBe('medium');
+      expect(SchedulingPolicy.normalizePriority('urgent')).toBe('urgent');
+      expect(SchedulingPolicy.normalizePriority(undefined)).toBe('medium');
+    });
+
+    test('should reject unknown priorities', () => {
+      expect(() => SchedulingPolicy.normalizePriority('critical')).toThrow('Invalid priority');
+    });
+  });
+
+  describe('effectivePriority', () => {
+    test('should promote waiting jobs one level per aging interval up to the cap', () => {
+      const policy = new SchedulingPolicy({ aging_interval_seconds: 300, max_aged_priority: 'high' });
+
+      expect(policy.effectivePriority({ priority: 'low', created_at: minutesAgo(1) }, now)).toBe(1);
+      expect(policy.effectivePriority({ priority: 'low', created_at: minutesAgo(6) }, now)).toBe(2);
+      expect(policy.effectivePriority({ priority: 'low', created_at: minutesAgo(60) }, now)).toBe(3);
+      expect(policy.effectivePriority({ priority: 'urgent', created_at: minutesAgo(60) }, now)).toBe(4);
+    });
+  });
+
+  describe('orderQueuedJobs', () => {
+    test('should interleave orgs instead of letting one flood the queue', () => {
+      const policy = new SchedulingPolicy({ aging_interval_seconds: 0 });
+      const jobs = [
+        { job_id: 'a1', org_id: 'org-a', priority: 'high', created_at: minutesAgo(5) },
+        { job_id: 'a2', org_id: 'org-a', priority: 'high', created_at: minutesAgo(4) },
+        { job_id: 'a3', org_id: 'org-a', priority: 'high', created_at: minutesAgo(3) },
+        { job_id: 'b1', org_id: 'org-b', priority: 'low', created_at: minutesAgo(2) }
+      ];
+
+      const order = policy.orderQueuedJobs(jobs, new Map(), now).map((job: { job_id: string }) => job.job_id);
+      expect(order).toEqual(['a1', 'b1', 'a2', 'a3']);
+    });
+
+    test('should honour org weights and current usage', () => {
+      const policy = new SchedulingPolicy({ aging_interval_seconds: 0, org_weights: { 'org-a': 2 } });
+      const jobs = [
+        { job_id: 'a1', org_id: 'org-a', priority: 'medium', created_at: minutesAgo(5) },
+        { job_id: 'a2', org_id: 'org-a', priority: 'medium', created_at: minutesAgo(4) },
+        { job_id: 'b1', org_id: 'org-b', priority: 'medium', created_at: minutesAgo(3) }
+      ];
+
+      const order = policy.orderQueuedJobs(jobs, new Map([['org-a', 2], ['org-b', 1]]), now)
+        .map((job: { job_id: string }) => job.job_id);
+      expect(order).toEqual(['a1', 'b1', 'a2']);
+    });
+
+    test('should dispatch urgent jobs ahead of fair share', () => {
+      const policy = new SchedulingPolicy();
+      const jobs = [
+        { job_id: 'b1', org_id: 'org-b', priority: 'high', created_at: minutesAgo(5) },
+        { job_id: 'a1', org_id: 'org-a', priority: 'urgent', created_at: minutesAgo(1) }
+      ];
+
+      const order = policy.orderQueuedJobs(jobs, new Map([['org-a', 10]]), now)
+        .map((job: { job_id: string }) => job.job_id);
+      expect(order).toEqual(['a1', 'b1']);
+    });
+
+    test('should fall back to plain priority order in strict mode', () => {
+      const policy = new SchedulingPolicy({ mode: 'strict_priority', aging_interval_seconds: 0 });
+      const jobs = [
+        { job_id: 'b1', org_id: 'org-b', priority: 'low', created_at: minutesAgo(5) },
+        { job_id: 'a1', org_id: 'org-a', priority: 'high', created_at: minutesAgo(4) },
+        { job_id: 'a2', org_id: 'org-a', priority: 'high', created_at: minutesAgo(3) }
+      ];
+
+      const order = policy.orderQueuedJobs(jobs, new Map(), now).map((job: { job_id: string }) => job.job_id);
+      expect(order).toEqual(['a1', 'a2', 'b1']);
+    });
+  });
+
+  test('should reject invalid configuration', () => {
+    expect(() => new SchedulingPolicy({ mode: 'lottery' })).toThrow('Invalid scheduling mode');
+    expect(() => new SchedulingPolicy({ org_weights: { 'org-a': 0 } })).toThrow('must be greater than 0');
+  });
+});
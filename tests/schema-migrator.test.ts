@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SchemaMigrator = require('../schema-migrator');
+
+type MigrationRow = { version: number; name: string; checksum: string; applied_at: Date };
+
+describe('SchemaMigrator Tests', () => {
+  let directory: string;
+
+  const writeMigration = (file: string, up: string, down = `-- revert ${file}`) => {
+    fs.writeFileSync(path.join(directory, file), `exports.up = ${JSON.stringify(up)};\nexports.down = ${JSON.stringify(down)};\n`);
+  };
+
+  // A pg pool double that records statements and keeps schema_migrations in memory
+  const fakeDb = (rows: MigrationRow[] = [], failOn: string | null = null) => {
+    const statements: string[] = [];
+    const client = {
+      released: false,
+      query: async (sql: string, params: unknown[] = []) => {
+        const statement = sql.trim().replace(/\s+/g, ' ');
+        statements.push(statement);
+        if (failOn && statement === failOn) throw new Error('syntax error');
+        if (statement.startsWith('SELECT version')) return { rows: [...rows] };
+        if (statement.startsWith('INSERT INTO schema_migrations')) {
+          rows.push({ version: params[0] as number, name: params[1] as string, checksum: params[2] as string, applied_at: new Date() });
+        }
+        if (statement.startsWith('DELETE FROM schema_migrations')) {
+          rows.splice(rows.findIndex(row => row.version === params[0]), 1);
+        }
+        return { rows: [] };
+      },
+      release() {
+        this.released = true;
+      }
+    };
+    return { db: { connect: async () => client }, client, statements, rows };
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qualgen-migrations-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should load migrations in version order and reject invalid files', () => {
+    writeMigration('0002_add_labels.js', 'ALTER TABLE jobs ADD COLUMN labels JSONB');
+    writeMigration('0001_initial.js', 'CREATE TABLE jobs (job_id TEXT)');
+    fs.writeFileSync(path.join(directory, 'README.md'), 'ignored');
+
+    const migrations = SchemaMigrator.load(directory);
+    expect(migrations.map((migration: { version: number; name: string }) => [migration.version, migration.name]))
+      .toEqual([[1, 'initial'], [2, 'add_labels']]);
+    expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+
+    writeMigration('0002_duplicate.js', 'SELECT 1');
+    expect(() => SchemaMigrator.load(directory)).toThrow('Duplicate migration version 0002');
+
+    fs.rmSync(path.join(directory, '0002_duplicate.js'));
+    writeMigration('3_bad-name.js', 'SELECT 1');
+    expect(() => SchemaMigrator.load(directory)).toThrow('Invalid migration filename 3_bad-name.js');
+
+    fs.rmSync(path.join(directory, '3_bad-name.js'));
+    writeMigration('0003_no_down.js', 'SELECT 1', '');
+    expect(() => SchemaMigrator.load(directory)).toThrow('must export non-empty up and down SQL');
+  });
+
+  test('should apply pending migrations under the lock, each in a transaction', async () => {
+    writeMigration('0001_initial.js', 'CREATE TABLE jobs (job_id TEXT)');
+    writeMigration('0002_add_labels.js', 'ALTER TABLE jobs ADD COLUMN labels JSONB');
+    writeMigration('0003_add_owner.js', 'ALTER TABLE jobs ADD COLUMN owner TEXT');
+    const { db, client, statements, rows } = fakeDb();
+    const migrator = new SchemaMigrator(db, { directory });
+
+    const applied = await migrator.migrate({ to: '2' });
+    expect(applied.map((migration: { version: number }) => migration.version)).toEqual([1, 2]);
+    expect(statements[0]).toMatch(/^SELECT pg_advisory_lock/);
+    expect(statements[1]).toMatch(/^CREATE TABLE IF NOT EXISTS schema_migrations/);
+    expect(statements.slice(3, 7)).toEqual([
+      'BEGIN',
+      'CREATE TABLE jobs (job_id TEXT)',
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      'COMMIT'
+    ]);
+    expect(statements[statements.length - 1]).toMatch(/^SELECT pg_advisory_unlock/);
+    expect(client.released).toBe(true);
+
+    const remaining = await migrator.migrate();
+    expect(remaining.map((migration: { version: number }) => migration.version)).toEqual([3]);
+    expect(await migrator.migrate()).toEqual([]);
+    expect(rows.map(row => row.version)).toEqual([1, 2, 3]);
+  });
+
+  test('should roll back a failed migration and release the lock', async () => {
+    writeMigration('0001_initial.js', 'CREATE TABLE jobs (job_id TEXT)');
+    writeMigration('0002_broken.js', 'ALTER TABLE jobs ADD COLUMN');
+    const { db, client, statements, rows } = fakeDb([], 'ALTER TABLE jobs ADD COLUMN');
+
+    await expect(new SchemaMigrator(db, { directory }).migrate())
+      .rejects.toThrow('Migration 0002_broken (up) failed: syntax error');
+    expect(statements.slice(-2)[0]).toBe('ROLLBACK');
+    expect(statements[statements.length - 1]).toMatch(/^SELECT pg_advisory_unlock/);
+    expect(client.released).toBe(true);
+    expect(rows.map(row => row.version)).toEqual([1]);
+  });
+
+  test('should revert migrations newest first and report status', async () => {
+    writeMigration('0001_initial.js', 'CREATE TABLE jobs (job_id TEXT)', 'DROP TABLE jobs');
+    writeMigration('0002_add_labels.js', 'ALTER TABLE jobs ADD COLUMN labels JSONB', 'ALTER TABLE jobs DROP COLUMN labels');
+    writeMigration('0003_add_owner.js', 'ALTER TABLE jobs ADD COLUMN owner TEXT', 'ALTER TABLE jobs DROP COLUMN owner');
+    const { db, statements, rows } = fakeDb();
+    const migrator = new SchemaMigrator(db, { directory });
+    await migrator.migrate();
+
+    const reverted = await migrator.rollback({ to: 1 });
+    expect(reverted.map((migration: { version: number }) => migration.version)).toEqual([3, 2]);
+    expect(statements).toContain('ALTER TABLE jobs DROP COLUMN owner');
+    expect(rows.map(row => row.version)).toEqual([1]);
+    await expect(migrator.rollback({ steps: 0 })).rejects.toThrow('steps must be a positive integer');
+
+    rows.push({ version: 9, name: 'from_newer_release', checksum: 'x', applied_at: new Date() });
+    (rows[0] as MigrationRow).checksum = 'edited';
+    const status = await migrator.status();
+    expect(status.map((row: { version: number; state: string }) => [row.version, row.state]))
+      .toEqual([[1, 'modified'], [2, 'pending'], [3, 'pending'], [9, 'missing']]);
+    await expect(migrator.rollback()).rejects.toThrow('Cannot roll back migration 9');
+  });
+
+  test('should ship numbered migrations with up and down SQL', () => {
+    const migrations = SchemaMigrator.load();
+    expect(migrations[0]).toMatchObject({ version: 1, name: 'initial_schema' });
+    expect(migrations[0].up).toContain('CREATE TABLE IF NOT EXISTS jobs');
+    migrations.forEach((migration: { version: number }, index: number) => expect(migration.version).toBe(index + 1));
+  });
+
+  test('should build connection options from the environment', () => {
+    expect(SchemaMigrator.connectionOptions({ DATABASE_URL: 'postgresql://qualgen@db:5432/qualgen', DB_HOST: 'ignored' }))
+      .toEqual({ connectionString: 'postgresql://qualgen@db:5432/qualgen' });
+    expect(SchemaMigrator.connectionOptions({ DB_HOST: 'postgres' }))
+      .toMatchObject({ host: 'postgres', port: 5432, database: 'qualgen', user: 'qualgen' });
+  });
+});
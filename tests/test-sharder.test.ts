@@ -0,0 +1,77 @@
+import * as path from 'path';
+
+const TestSharder = require('../test-sharder');
+
+describe('TestSharder Tests', () => {
+  const sharder = new TestSharder(path.join(__dirname, '..'));
+
+  describe('expand', () => {
+    test('should expand a directory into its spec files', async () => {
+      const files = await sharder.expand('tests/appwright/');
+      expect(files).toEqual([
+        'tests/appwright/e2e/onboarding.spec.js',
+        'tests/appwright/e2e/user-journey.spec.js',
+        'tests/appwright/integration/navigation.spec.js',
+        'tests/appwright/smoke/login.spec.js'
+      ]);
+    });
+
+    test('should expand globs', async () => {
+      expect(await sharder.expand('tests/appwright/e2e/*.spec.js')).toHaveLength(2);
+      expect(await sharder.expand('tests/**/{login,navigation}.spec.js')).toEqual([
+        'tests/appwright/integration/navigation.spec.js',
+        'tests/appwright/smoke/login.spec.js'
+      ]);
+    });
+
+    test('should keep a single file as is and refuse paths outside the root', async () => {
+      expect(await sharder.expand('./tests/appwright/smoke/login.spec.js')).toEqual(['tests/appwright/smoke/login.spec.js']);
+      await expect(sharder.expand('../etc')).rejects.toThrow('outside the test root');
+      await expect(sharder.expand('tests/missing')).rejects.toThrow('Test path not found');
+    });
+  });
+
+  describe('split', () => {
+    const files = ['a.spec.js', 'b.spec.js', 'c.spec.js', 'd.spec.js', 'e.spec.js'];
+
+    test('should deal files round-robin by count', () => {
+      expect(TestSharder.split(files, 2).map((shard: { files: string[] }) => shard.files)).toEqual([
+        ['a.spec.js', 'c.spec.js', 'e.spec.js'],
+        ['b.spec.js', 'd.spec.js']
+      ]);
+      expect(TestSharder.split(files.slice(0, 2), 4)).toHaveLength(2);
+    });
+
+    test('should balance shards by historical duration', () => {
+      const durations = new Map([
+        ['a.spec.js', 300], ['b.spec.js', 100], ['c.spec.js', 100], ['d.spec.js', 50], ['e.spec.js', 50]
+      ]);
+      const shards = TestSharder.split(files, 2, durations);
+      expect(shards.map((shard: { expected_seconds: number }) => shard.expected_seconds)).toEqual([300, 300]);
+      expect(shards[0].files).toEqual(['a.spec.js']);
+    });
+  });
+
+  test('should aggregate shard results into the parent', () => {
+    const aggregate = TestSharder.aggregateResults([
+      { job_id: 'qj_2', shard_index: 1, status: 'failed', error_message: 'boom',
+        test_results: { total: 3, passed: 2, failed: 1, skipped: 0, duration: 90, test_cases: [{ name: 'x' }] } },
+      { job_id: 'qj_1', shard_index: 0, status: 'completed',
+        test_results: JSON.stringify({ total: 4, passed: 4, failed: 0, skipped: 1, duration: 60 }) }
+    ]);
+
+    expect(aggregate).toMatchObject({ total: 7, passed: 6, failed: 1, skipped: 1, duration: 90 });
+    expect(aggregate.shards.map((shard: { job_id: string }) => shard.job_id)).toEqual(['qj_1', 'qj_2']);
+    expect(aggregate.test_cases).toEqual([{ name: 'x', shard_index: 1 }]);
+
+    expect(TestSharder.parentStatus(['completed', 'completed'])).toBe('completed');
+    expect(TestSharder.parentStatus(['completed', 'cancelled'])).toBe('cancelled');
+    expect(TestSharder.parentStatus(['completed', 'timed_out'])).toBe('failed');
+  });
+
+  test('should validate sharding options', () => {
+    expect(TestSharder.validate({ shards: '3' })).toEqual({ shards: 3, strategy: 'count' });
+    expect(() => TestSharder.validate({ shards: 0 })).toThrow('sharding.shards');
+    expect(() => TestSharder.validate({ shards: 2, strategy: 'random' })).toThrow('sharding.strategy');
+  });
+});
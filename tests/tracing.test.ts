@@ -0,0 +1,68 @@
+const Tracing = require('../tracing');
+
+describe('Tracing Tests', () => {
+  const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+  const spanId = '00f067aa0ba902b7';
+
+  test('should parse and format traceparent headers', () => {
+    expect(Tracing.parseTraceparent(`00-${traceId}-${spanId}-01`)).toEqual({ trace_id: traceId, span_id: spanId });
+    expect(Tracing.parseTraceparent(` 00-${traceId.toUpperCase()}-${spanId}-00 `)).toEqual({ trace_id: traceId, span_id: spanId });
+    expect(Tracing.parseTraceparent(`00-${'0'.repeat(32)}-${spanId}-01`)).toBeNull();
+    expect(Tracing.parseTraceparent(`ff-${traceId}-${spanId}-01`)).toBeNull();
+    expect(Tracing.parseTraceparent('garbage')).toBeNull();
+    expect(Tracing.parseTraceparent(undefined)).toBeNull();
+
+    expect(Tracing.formatTraceparent({ trace_id: traceId, span_id: spanId })).toBe(`00-${traceId}-${spanId}-01`);
+    expect(Tracing.formatTraceparent({ trace_id: traceId })).toBeNull();
+  });
+
+  test('should carry context through async calls', async () => {
+    expect(Tracing.current()).toBeNull();
+
+    await Tracing.run({ trace_id: traceId, span_id: spanId }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      await Tracing.run({ job_id: 'qj_1', span_id: undefined }, async () => {
+        expect(Tracing.current()).toEqual({ trace_id: traceId, span_id: spanId, job_id: 'qj_1' });
+      });
+      expect(Tracing.current()).toEqual({ trace_id: traceId, span_id: spanId });
+    });
+
+    const child = Tracing.childContext({ trace_id: traceId, span_id: spanId });
+    expect(child.trace_id).toBe(traceId);
+    expect(child.parent_span_id).toBe(spanId);
+    expect(child.span_id).toMatch(/^[0-9a-f]{16}$/);
+    expect(Tracing.childContext(null).parent_span_id).toBeNull();
+  });
+
+  test('should export nested spans as OTLP JSON', async () => {
+    const tracer = new Tracing.Tracer('device-agent', { endpoint: '', file: '' });
+    const recorded: Array<{ toOtlp: () => Record<string, unknown> }> = [];
+    tracer.record = (span: { toOtlp: () => Record<string, unknown> }) => recorded.push(span);
+
+    await Tracing.run({ trace_id: traceId, span_id: spanId, job_id: 'qj_1' }, () =>
+      tracer.inSpan('job.execute', { attributes: { 'qualgen.job_id': 'qj_1' } }, () =>
+        tracer.inSpan('job.install', { attributes: { attempt: 2, ratio: 0.5, cached: false } }, async () => {
+          expect(Tracing.current().job_id).toBe('qj_1');
+          throw new Error('adb not found');
+        })).catch(() => {}));
+
+    const [install, execute] = recorded.map(span => span.toOtlp()) as [Record<string, unknown>, Record<string, unknown>];
+    expect(execute).toMatchObject({ traceId, parentSpanId: spanId, name: 'job.execute', kind: 1, status: { code: 2 } });
+    expect(install).toMatchObject({
+      traceId,
+      parentSpanId: execute.spanId,
+      status: { code: 2, message: 'adb not found' },
+      attributes: [
+        { key: 'attempt', value: { intValue: '2' } },
+        { key: 'ratio', value: { doubleValue: 0.5 } },
+        { key: 'cached', value: { boolValue: false } },
+        { key: 'exception.message', value: { stringValue: 'adb not found' } }
+      ]
+    });
+    expect(BigInt(install.endTimeUnixNano as string)).toBeGreaterThanOrEqual(BigInt(install.startTimeUnixNano as string));
+
+    const body = Tracing.Tracer.toOtlp('device-agent', recorded);
+    expect(body.resourceSpans[0].resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'device-agent' } }]);
+    expect(body.resourceSpans[0].scopeSpans[0].spans).toHaveLength(2);
+  });
+});
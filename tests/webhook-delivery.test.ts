@@ -0,0 +1,53 @@
+const WebhookDelivery = require('../webhook-delivery');
+
+describe('WebhookDelivery Tests', () => {
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ id: 'qe_1', event: 'job.completed', data: { job_id: 'qj_1' } });
+
+  test('should sign payloads that receivers can verify', () => {
+    const now = 1760000000000;
+    const headers = WebhookDelivery.headers({ secret, eventType: 'job.completed', deliveryId: 'qe_1', body, now });
+
+    expect(headers['X-QualGen-Event']).toBe('job.completed');
+    expect(headers['X-QualGen-Timestamp']).toBe('1760000000');
+    expect(headers['X-QualGen-Signature']).toMatch(/^sha256=[0-9a-f]{64}$/);
+
+    const verify = (signature: string, payload: string, at = now) =>
+      WebhookDelivery.verify(secret, signature, headers['X-QualGen-Timestamp'], payload, 300, at);
+    expect(verify(headers['X-QualGen-Signature'], body)).toBe(true);
+    expect(verify(headers['X-QualGen-Signature'], body.replace('qj_1', 'qj_2'))).toBe(false);
+    expect(verify('sha256=deadbeef', body)).toBe(false);
+    expect(verify(headers['X-QualGen-Signature'], body, now + 600000)).toBe(false);
+  });
+
+  test('should validate subscriptions and urls', () => {
+    expect(WebhookDelivery.validateEvents(undefined)).toEqual(['*']);
+    expect(WebhookDelivery.validateEvents(['job.failed', 'job.failed', 'device.offline'])).toEqual(['job.failed', 'device.offline']);
+    expect(() => WebhookDelivery.validateEvents(['job.finished'])).toThrow('Unknown webhook event');
+    expect(() => WebhookDelivery.validateEvents([])).toThrow('non-empty');
+
+    expect(WebhookDelivery.subscribes(['*'], 'build.failed')).toBe(true);
+    expect(WebhookDelivery.subscribes(['job.failed'], 'job.completed')).toBe(false);
+
+    expect(WebhookDelivery.validateUrl('https://ci.example.com/hooks')).toBe('https://ci.example.com/hooks');
+    expect(() => WebhookDelivery.validateUrl('ftp://ci.example.com')).toThrow('http or https');
+    expect(() => WebhookDelivery.validateUrl('not a url')).toThrow('Invalid webhook url');
+  });
+
+  test('should map terminal job statuses to events', () => {
+    expect(WebhookDelivery.jobEventFor('completed')).toBe('job.completed');
+    expect(WebhookDelivery.jobEventFor('timed_out')).toBe('job.failed');
+    expect(WebhookDelivery.jobEventFor('cancelled')).toBe('job.cancelled');
+    expect(WebhookDelivery.jobEventFor('running')).toBeNull();
+  });
+
+  test('should back off exponentially and only retry transient failures', () => {
+    expect([1, 2, 3, 4].map(attempts => WebhookDelivery.backoffSeconds(attempts))).toEqual([30, 60, 120, 240]);
+    expect(WebhookDelivery.backoffSeconds(20)).toBe(3600);
+
+    expect(WebhookDelivery.isRetryable(null)).toBe(true);
+    expect(WebhookDelivery.isRetryable(503)).toBe(true);
+    expect(WebhookDelivery.isRetryable(429)).toBe(true);
+    expect(WebhookDelivery.isRetryable(404)).toBe(false);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * QualGen Tracing
+ * Trace context propagation and OpenTelemetry span export for qgjob, the
+ * orchestrator and device agents.
+ *
+ * A trace starts in qgjob (or continues a TRACEPARENT set by CI) and travels as
+ * the W3C `traceparent` header on REST calls and as gRPC metadata:
+ *
+ *   traceparent: 00-<trace_id: 32 hex>-<span_id: 16 hex>-01
+ *
+ * Each job keeps the context it was submitted under, so the orchestrator's
+ * queue/assign spans and the agent's download/install/run/upload spans all land
+ * in the submitting trace. Within a process the current context (trace_id,
+ * span_id and job_id) follows async calls, and structured logs include it.
+ *
+ * Spans are exported as OTLP/JSON: POSTed to OTEL_EXPORTER_OTLP_ENDPOINT's
+ * /v1/traces (e.g. a local collector on http://localhost:4318) and/or appended
+ * to QUALGEN_TRACE_FILE, one export request per line. With neither set, trace
+ * IDs are still propagated and logged but spans are dropped.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+const EXPORT_BATCH_SIZE = 100;
+const EXPORT_INTERVAL_MS = 5000;
+const EXPORT_TIMEOUT_MS = 5000;
+
+const contextStorage = new AsyncLocalStorage();
+
+const toUnixNano = time => `${BigInt(Math.round(new Date(time).getTime())) * 1000000n}`;
+
+function toOtlpValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+const toOtlpAttributes = attributes => Object.entries(attributes)
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+
+class Span {
+  // `context` reuses IDs reserved earlier (a job's span); otherwise the span is
+  // a child of `parent`, or the root of a new trace
+  constructor(tracer, name, { parent = null, context = null, kind = 'internal', attributes = {}, startTime = Date.now() } = {}) {
+    const ids = context || Tracing.childContext(parent);
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = ids.trace_id;
+    this.spanId = ids.span_id;
+    this.parentSpanId = ids.parent_span_id || null;
+    this.kind = kind;
+    this.attributes = { ...attributes };
+    this.startTime = startTime;
+    this.endTime = null;
+    this.status = { code: 'unset', message: null };
+  }
+
+  context() {
+    return { trace_id: this.traceId, span_id: this.spanId };
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  setStatus(code, message = null) {
+    this.status = { code, message };
+    return this;
+  }
+
+  recordError(error) {
+    this.setAttributes({ 'exception.message': error && error.message });
+    return this.setStatus('error', error && error.message);
+  }
+
+  end(endTime = Date.now()) {
+    if (this.endTime !== null) return;
+    this.endTime = endTime;
+    this.tracer.record(this);
+  }
+
+  toOtlp() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId || undefined,
+      name: this.name,
+      kind: SPAN_KINDS[this.kind] || SPAN_KINDS.internal,
+      startTimeUnixNano: toUnixNano(this.startTime),
+      endTimeUnixNano: toUnixNano(Math.max(this.endTime, new Date(this.startTime).getTime())),
+      attributes: toOtlpAttributes(this.attributes),
+      status: { code: STATUS_CODES[this.status.code], message: this.status.message || undefined }
+    };
+  }
+}
+
+// Buffers finished spans and exports them in batches; export failures are
+// reported once and never reach the traced code
+class Tracer {
+  constructor(serviceName, {
+    endpoint = process.env.OTEL_EXPORTER_OTLP_ENDPOINT,
+    file = process.env.QUALGEN_TRACE_FILE
+  } = {}) {
+    this.serviceName = serviceName;
+    this.endpoint = endpoint ? `${endpoint.replace(/\/+$/, '')}/v1/traces` : null;
+    this.file = file || null;
+    this.buffer = [];
+    this.timer = null;
+    this.exportFailed = false;
+  }
+
+  get enabled() {
+    return Boolean(this.endpoint || this.file);
+  }
+
+  startSpan(name, options = {}) {
+    return new Span(this, name, { parent: Tracing.current(), ...options });
+  }
+
+  // Run fn(span) with the span as the current context; the span ends, with
+  // any thrown error recorded, when fn settles
+  async inSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      return await Tracing.run(span.context(), () => fn(span));
+    } catch (error) {
+      span.recordError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  record(span) {
+    if (!this.enabled) return;
+
+    this.buffer.push(span);
+    if (this.buffer.length >= EXPORT_BATCH_SIZE) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), EXPORT_INTERVAL_MS);
+      this.timer.unref();
+    }
+  }
+
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const spans = this.buffer.splice(0);
+    if (spans.length === 0) return;
+
+    const body = Tracer.toOtlp(this.serviceName, spans);
+    try {
+      if (this.file) {
+        await fs.promises.appendFile(this.file, `${JSON.stringify(body)}\n`);
+      }
+      if (this.endpoint) {
+        await axios.post(this.endpoint, body, { timeout: EXPORT_TIMEOUT_MS });
+      }
+      this.exportFailed = false;
+    } catch (error) {
+      if (!this.exportFailed) {
+        console.error(`Trace export failed (${this.endpoint || this.file}): ${error.message}`);
+      }
+      this.exportFailed = true;
+    }
+  }
+
+  // An OTLP ExportTraceServiceRequest in its JSON encoding
+  static toOtlp(serviceName, spans) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: toOtlpAttributes({ 'service.name': serviceName }) },
+        scopeSpans: [{
+          scope: { name: 'qualgen' },
+          spans: spans.map(span => span.toOtlp())
+        }]
+      }]
+    };
+  }
+}
+
+class Tracing {
+  static newTraceId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  static newSpanId() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  // IDs for a new span under `parent` ({ trace_id, span_id }), or a new trace
+  static childContext(parent) {
+    return {
+      trace_id: (parent && parent.trace_id) || Tracing.newTraceId(),
+      span_id: Tracing.newSpanId(),
+      parent_span_id: (parent && parent.trace_id && parent.span_id) || null
+    };
+  }
+
+  // { trace_id, span_id } from a traceparent header; null when absent or invalid
+  static parseTraceparent(header) {
+    const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+    if (!match || match[1] === 'ff' || match[2] === INVALID_TRACE_ID || match[3] === INVALID_SPAN_ID) {
+      return null;
+    }
+    return { trace_id: match[2], span_id: match[3] };
+  }
+
+  static formatTraceparent(context) {
+    if (!context || !context.trace_id || !context.span_id) return null;
+    return `00-${context.trace_id}-${context.span_id}-01`;
+  }
+
+  // The context the calling code runs in: trace_id, span_id and any job_id
+  static current() {
+    return contextStorage.getStore() || null;
+  }
+
+  // Run fn with `context` merged over the current one; empty fields are ignored
+  static run(context, fn) {
+    const fields = Object.fromEntries(Object.entries(context || {})
+      .filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    return contextStorage.run({ ...Tracing.current(), ...fields }, fn);
+  }
+}
+
+Tracing.Tracer = Tracer;
+
+module.exports = Tracing;
@@ -0,0 +1,111 @@
+/**
+ * QualGen Webhook Delivery
+ * Event types, payload signing and retry backoff for outbound webhooks.
+ *
+ * Each delivery is a JSON POST signed with the webhook's secret:
+ *
+ *   X-QualGen-Event:      job.completed
+ *   X-QualGen-Delivery:   qe_...
+ *   X-QualGen-Timestamp:  1760000000 (unix seconds)
+ *   X-QualGen-Signature:  sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ *
+ * Receivers recompute the signature over the raw body and reject stale timestamps.
+ */
+
+const crypto = require('crypto');
+
+const EVENT_TYPES = [
+  'job.queued', 'job.started', 'job.completed', 'job.failed', 'job.cancelled',
+  'build.completed', 'build.failed', 'build.cancelled',
+  'device.offline'
+];
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 3600;
+
+class WebhookDelivery {
+  // A webhook subscribes to a list of event types; '*' or none means all of them
+  static validateEvents(events) {
+    if (events === undefined || events === null || events === '*') return ['*'];
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error('events must be a non-empty list of event types');
+    }
+
+    const unknown = events.filter(event => event !== '*' && !EVENT_TYPES.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown webhook event(s): ${unknown.join(', ')}. Supported: ${EVENT_TYPES.join(', ')}`);
+    }
+    return events.includes('*') ? ['*'] : [...new Set(events)];
+  }
+
+  static validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error(`Invalid webhook url: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Webhook url must use http or https');
+    }
+    return parsed.toString();
+  }
+
+  static subscribes(events, eventType) {
+    return events.includes('*') || events.includes(eventType);
+  }
+
+  // Terminal job statuses map onto the event for that outcome; a timeout is a failure
+  static jobEventFor(status) {
+    switch (status) {
+      case 'completed': return 'job.completed';
+      case 'failed':
+      case 'timed_out': return 'job.failed';
+      case 'cancelled': return 'job.cancelled';
+      default: return null;
+    }
+  }
+
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  static sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  static verify(secret, signature, timestamp, body, toleranceSeconds = 300, now = Date.now()) {
+    if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(WebhookDelivery.sign(secret, timestamp, body));
+    const received = Buffer.from(String(signature || ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  static headers({ secret, eventType, deliveryId, body, now = Date.now() }) {
+    const timestamp = Math.floor(now / 1000);
+    return {
+      'Content-Type': 'application/json',
+      'User-Agent': 'QualGen-Webhooks/1.0',
+      'X-QualGen-Event': eventType,
+      'X-QualGen-Delivery': deliveryId,
+      'X-QualGen-Timestamp': String(timestamp),
+      'X-QualGen-Signature': WebhookDelivery.sign(secret, timestamp, body)
+    };
+  }
+
+  // Delay before retrying after `attempts` failed attempts: 30s, 60s, 120s, ... capped at an hour
+  static backoffSeconds(attempts) {
+    return Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_SECONDS);
+  }
+
+  // Network errors, timeouts, 408, 429 and 5xx are worth retrying; other 4xx are not
+  static isRetryable(statusCode) {
+    if (!statusCode) return true;
+    return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+  }
+}
+
+WebhookDelivery.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = WebhookDelivery;